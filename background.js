@@ -1,42 +1,263 @@
-// State management
-let extensionEnabled = false;
-let openaiApiKey = '';
-let geminiApiKey = '';
-let provider = 'openai';
-let model = 'gpt-5.2';
-let language = 'en';
-
-// Get current API key based on provider
-function getApiKey() {
-  return provider === 'gemini' ? geminiApiKey : openaiApiKey;
+// Load the settings schema, the provider adapters, the shared analysis tasks and the persistent cache
+importScripts('settings.js', 'providers.js', 'url-templates.js', 'site-policies.js', 'site-profiles.js', 'snapshot-budget.js', 'schemas.js', 'tasks.js', 'cache.js', 'usage.js', 'scheduler.js', 'fixtures.js', 'provider-chain.js');
+
+// Settings (settings.js), rehydrated from storage every time the worker wakes up
+// The worker can be stopped at any moment and restarted by the next event, so every entry
+// point that reads settings awaits ensureSettingsLoaded() first
+let currentSettings = getDefaultSettings();
+let settingsLoaded = null;
+
+function ensureSettingsLoaded() {
+  if (!settingsLoaded) {
+    settingsLoaded = migrateSettings()
+      .then(() => loadSettings())
+      .then(loaded => {
+        currentSettings = loaded;
+        setProviderConcurrency(currentSettings.providerConcurrency);
+        console.log('[SurfMate] Settings loaded - provider:', currentSettings.provider, 'model:', currentSettings.model, 'language:', currentSettings.language);
+      })
+      .catch(error => {
+        settingsLoaded = null;
+        console.error('[SurfMate] Loading settings failed:', error);
+      });
+  }
+  return settingsLoaded;
+}
+
+ensureSettingsLoaded();
+
+// Current settings as seen by provider adapters and tasks
+function getSettings() {
+  return {
+    ...currentSettings,
+    urlTemplateRules: {
+      enabled: currentSettings.urlTemplatesEnabled,
+      patterns: currentSettings.urlTemplatePatterns,
+      ignoredQueryParams: currentSettings.ignoredQueryParams
+    }
+  };
+}
+
+// Check whether the current provider has everything it needs to make requests
+function isProviderConfigured() {
+  return getProviderAdapter(currentSettings.provider).isConfigured(getSettings());
 }
 
-// Cache for analyzed pages (no TTL - cache persists until manually cleared)
-const pageCache = new Map();
-
-// Request queue to prevent rate limiting - sequentialize API calls
-let apiQueue = Promise.resolve();
-const REQUEST_DELAY = 500; // 500ms between requests for Gemini
-
-async function queueRequest(requestFn) {
-  // Add this request to the queue
-  const previousQueue = apiQueue;
-  apiQueue = previousQueue.then(async () => {
-    const result = await requestFn();
-    // Add delay between requests for Gemini
-    if (provider === 'gemini') {
-      await new Promise(resolve => setTimeout(resolve, REQUEST_DELAY));
+// Parse a JSON object out of model output
+// Models without JSON mode often wrap it in ```json fences or add reasoning text around it
+function parseJsonContent(content) {
+  try {
+    return JSON.parse(content);
+  } catch (e) {
+    const stripped = content
+      .replace(/<think>[\s\S]*?<\/think>/g, '')
+      .replace(/```(?:json)?/g, '');
+    const start = stripped.indexOf('{');
+    const end = stripped.lastIndexOf('}');
+    if (start !== -1 && end > start) {
+      return JSON.parse(stripped.slice(start, end + 1));
     }
-    return result;
-  }, (err) => {
-    // Even if there's an error, add delay before next request
-    return new Promise(resolve => setTimeout(resolve, REQUEST_DELAY)).then(() => Promise.reject(err));
+    throw e;
+  }
+}
+
+// Site policy rules (site-policies.js) - enforcement waits for the settings to be rehydrated
+async function getSitePolicyRules() {
+  await ensureSettingsLoaded();
+  return currentSettings.sitePolicies || DEFAULT_SITE_POLICY_RULES;
+}
+
+// Sites approved on the page for "ask" policies: tabId -> Set of hostnames (until the tab closes)
+const siteApprovals = new Map();
+
+// Policy for one URL in a tab: { policy, rulePolicy, hostname } - approved "ask" sites are "allow"
+function resolveSitePolicy(url, rules, tabId) {
+  const rulePolicy = getSitePolicy(url, rules).policy;
+  const hostname = getUrlHostname(url);
+  const approved = rulePolicy === 'ask' && !!siteApprovals.get(tabId)?.has(hostname);
+  return { policy: approved ? 'allow' : rulePolicy, rulePolicy, hostname };
+}
+
+// Policy for the page a message came from, from the browser's sender info (never from the message)
+// A frame is held to the stricter of its own and its tab's policy
+// Returns { policy, rulePolicy, hostname }
+async function getSenderSitePolicy(sender) {
+  const pageUrl = sender?.url || sender?.tab?.url;
+  if (!pageUrl) {
+    return { policy: 'block', rulePolicy: 'block', hostname: '' };
+  }
+
+  const rules = await getSitePolicyRules();
+  const page = resolveSitePolicy(pageUrl, rules, sender.tab?.id);
+  if (!sender.tab?.url || sender.tab.url === pageUrl) return page;
+
+  const tab = resolveSitePolicy(sender.tab.url, rules, sender.tab.id);
+  return {
+    policy: getStricterSitePolicy(page.policy, tab.policy),
+    rulePolicy: getStricterSitePolicy(page.rulePolicy, tab.rulePolicy),
+    hostname: page.hostname
+  };
+}
+
+// Policy for an analysis request: the sender's, and for a frame snapshot the top frame sends
+// (its URL is the frame's, see generateFrameSnapshot) the stricter of that and the frame's own
+async function getRequestSitePolicy(sender, message) {
+  const senderPolicy = await getSenderSitePolicy(sender);
+  const snapshotUrl = message.domSnapshot?.url;
+  const hostname = getUrlHostname(snapshotUrl);
+  // about:srcdoc and other frames without a host of their own are the page's content
+  if (!hostname || hostname === senderPolicy.hostname) return senderPolicy;
+
+  const frame = resolveSitePolicy(snapshotUrl, await getSitePolicyRules(), sender.tab?.id);
+  return {
+    policy: getStricterSitePolicy(senderPolicy.policy, frame.policy),
+    rulePolicy: getStricterSitePolicy(senderPolicy.rulePolicy, frame.rulePolicy),
+    hostname
+  };
+}
+
+const SITE_POLICY_ERRORS = {
+  ask: 'Sending this site to the AI provider needs your approval',
+  offline: 'AI analysis is turned off for this site',
+  block: 'SurfMate is blocked on this site'
+};
+
+// Run an analysis request for a page if its site policy allows sending it to a provider
+// Denied requests resolve to { error, policy } without reaching the scheduler
+// onProgress receives the events run(signal, emit) emits - also when the request is shared
+async function runSiteRequest(sender, requestId, taskName, message, run, onProgress = null) {
+  await ensureSettingsLoaded();
+  const { policy, hostname } = await getRequestSitePolicy(sender, message);
+  if (policy !== 'allow') {
+    console.log('[SurfMate] Site policy', policy, 'denied', taskName, 'request from', hostname || 'unknown sender');
+    return { error: SITE_POLICY_ERRORS[policy], policy };
+  }
+  return runTrackedRequest(requestId, sender?.tab?.id, taskName, message, run, onProgress);
+}
+
+// Cache options as seen by cache.js
+function getCacheOptions() {
+  return {
+    ttlMinutes: currentSettings.cacheTtlMinutes,
+    maxEntries: currentSettings.cacheMaxEntries
+  };
+}
+
+// Analysis requests by request id: { controller, tabId } - the controller cancels the caller
+// in the scheduler (scheduler.js), which aborts the API call once nobody else shares it
+const activeRequests = new Map();
+
+// Cancel a request by id: aborts its fetch, or drops it from its tab's queue
+function cancelRequest(requestId) {
+  const request = activeRequests.get(requestId);
+  if (!request) return false;
+
+  console.log('[SurfMate] Cancelling request', requestId);
+  request.controller.abort(createCancelledError());
+  activeRequests.delete(requestId);
+  return true;
+}
+
+// Run an analysis task through the scheduler with cancellation
+// Identical requests (same cache key) share one API call; run(signal, emit) receives the job's
+// AbortSignal and emits progress to every caller's onProgress
+function runTrackedRequest(requestId, tabId, taskName, message, run, onProgress = null) {
+  const id = requestId || `bg-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+  const controller = new AbortController();
+  activeRequests.set(id, { controller, tabId });
+
+  // The job is queued for the first tier of the fallback chain (or the selected provider)
+  const settings = { ...getSettings(), ...getProviderTiers(getSettings())[0] };
+  const cacheKey = ANALYSIS_TASKS[taskName].getCacheKey(message, settings);
+  // A forced refresh must not share a request that may be answered from the cache
+  const key = cacheKey && (message.bypassCache ? `fresh|${cacheKey}` : cacheKey);
+  const url = message.domSnapshot?.url;
+
+  return scheduleRequest({
+    tabId,
+    provider: settings.provider,
+    key,
+    label: `${taskName} · ${url ? getCacheSite(url) : 'unknown'}`,
+    signal: controller.signal,
+    onProgress
+  }, run).finally(() => {
+    activeRequests.delete(id);
   });
-  return apiQueue;
 }
 
-// Retry fetch with exponential backoff for rate limiting (429 errors)
-async function fetchWithRetry(url, options, maxRetries = 3) {
+// Sleep that ends early (rejecting) when the signal aborts
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  });
+}
+
+// Longest rate-limit wait we sit through before failing with an error
+const MAX_RATE_LIMIT_WAIT_MS = 60000;
+
+// Parse durations like "20ms", "1.5s" or "6m0s" (OpenAI rate-limit reset headers, Gemini retryDelay)
+function parseDurationMs(value) {
+  if (!value) return null;
+  let total = 0;
+  let matched = false;
+  String(value).replace(/(\d+(?:\.\d+)?)(ms|s|m|h)/g, (_, amount, unit) => {
+    matched = true;
+    total += parseFloat(amount) * { ms: 1, s: 1000, m: 60000, h: 3600000 }[unit];
+  });
+  return matched ? total : null;
+}
+
+// How long a rate-limited provider asks us to wait
+// Checks Retry-After, provider rate-limit reset headers and Gemini's RetryInfo, then falls back to 1s/2s/4s
+function getRetryDelayMs(response, bodyText, attempt) {
+  const headers = response.headers;
+
+  const retryAfterMs = parseFloat(headers.get('retry-after-ms'));
+  if (!isNaN(retryAfterMs)) return retryAfterMs;
+
+  const retryAfter = headers.get('retry-after');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (!isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(retryAfter);
+    if (!isNaN(date)) return Math.max(0, date - Date.now());
+  }
+
+  // OpenAI: x-ratelimit-reset-requests: "1s", "6m0s"
+  const openaiReset = parseDurationMs(headers.get('x-ratelimit-reset-requests')) ??
+    parseDurationMs(headers.get('x-ratelimit-reset-tokens'));
+  if (openaiReset !== null) return openaiReset;
+
+  // Anthropic: anthropic-ratelimit-requests-reset: RFC 3339 timestamp
+  const anthropicReset = headers.get('anthropic-ratelimit-requests-reset') ||
+    headers.get('anthropic-ratelimit-tokens-reset');
+  if (anthropicReset && !isNaN(Date.parse(anthropicReset))) {
+    return Math.max(0, Date.parse(anthropicReset) - Date.now());
+  }
+
+  // Gemini: error.details[] RetryInfo { retryDelay: "23s" }
+  try {
+    const details = JSON.parse(bodyText).error?.details || [];
+    const retryInfo = details.find(detail => detail.retryDelay);
+    const geminiDelay = parseDurationMs(retryInfo?.retryDelay);
+    if (geminiDelay !== null) return geminiDelay;
+  } catch (e) {}
+
+  // No hint from the provider: exponential backoff 2^attempt seconds (1s, 2s, 4s)
+  return Math.pow(2, attempt) * 1000;
+}
+
+// Retry fetch on rate limiting (429), waiting as long as the provider asks
+// Also pauses new requests to the provider in the scheduler for that long
+async function fetchWithRetry(url, options, providerId, maxRetries = 3) {
   for (let attempt = 0; attempt < maxRetries; attempt++) {
     const response = await fetch(url, options);
 
@@ -45,18 +266,63 @@ async function fetchWithRetry(url, options, maxRetries = 3) {
       return response;
     }
 
-    // If this is the last attempt, throw the error
-    if (attempt === maxRetries - 1) {
-      const error = await response.json();
-      throw new Error(error.error?.message || 'Rate limit exceeded');
+    const bodyText = await response.text();
+    const delayMs = getRetryDelayMs(response, bodyText, attempt);
+    const message = extractErrorMessage(bodyText, 'Rate limit exceeded');
+
+    // Last attempt, or the provider wants us to wait longer than is reasonable
+    if (attempt === maxRetries - 1 || delayMs > MAX_RATE_LIMIT_WAIT_MS) {
+      noteRateLimit(providerId, Math.min(delayMs, MAX_RATE_LIMIT_WAIT_MS));
+      throw new Error(`${message} (rate limited, retry in ${Math.ceil(delayMs / 1000)}s)`);
+    }
+
+    noteRateLimit(providerId, delayMs);
+    console.log(`[SurfMate] Rate limited (429), retrying in ${Math.round(delayMs)}ms... (attempt ${attempt + 1}/${maxRetries})`);
+
+    await delay(delayMs, options.signal);
+  }
+}
+
+// Read a server-sent events response, calling onEvent with each JSON data payload
+async function readServerSentEvents(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const handleLine = (line) => {
+    if (!line.startsWith('data:')) return;
+    const data = line.slice(5).trim();
+    if (!data || data === '[DONE]') return;
+    let event;
+    try {
+      event = JSON.parse(data);
+    } catch (e) {
+      console.log('[SurfMate] Skipping unparseable stream event:', data.substring(0, 100));
+      return;
     }
+    onEvent(event);
+  };
 
-    // Calculate exponential backoff delay: 2^attempt seconds (1s, 2s, 4s, etc.)
-    const delayMs = Math.pow(2, attempt) * 1000;
-    console.log(`[SurfMate] Rate limited (429), retrying in ${delayMs}ms... (attempt ${attempt + 1}/${maxRetries})`);
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
 
-    await new Promise(resolve => setTimeout(resolve, delayMs));
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    lines.forEach(handleLine);
   }
+
+  handleLine(buffer);
+}
+
+// Combine partial usage reports from stream events
+function mergeUsage(total, usage) {
+  return {
+    inputTokens: Math.max(total.inputTokens, usage.inputTokens || 0),
+    outputTokens: Math.max(total.outputTokens, usage.outputTokens || 0),
+    reasoningTokens: Math.max(total.reasoningTokens, usage.reasoningTokens || 0)
+  };
 }
 
 // Keep service worker alive
@@ -72,20 +338,11 @@ function keepServiceWorkerAlive() {
   }, 20000); // Every 20 seconds
 }
 
-// Initialize extension
+// Initialize extension (settings are migrated and loaded by ensureSettingsLoaded on every wake-up)
 chrome.runtime.onInstalled.addListener(() => {
   console.log('Browse extension installed');
   keepServiceWorkerAlive();
-  // Set default state
-  chrome.storage.local.get(['extensionEnabled', 'openaiApiKey', 'geminiApiKey', 'provider', 'model', 'language'], (result) => {
-    extensionEnabled = result.extensionEnabled ?? false;
-    openaiApiKey = result.openaiApiKey || '';
-    geminiApiKey = result.geminiApiKey || '';
-    provider = result.provider || 'openai';
-    model = result.model || 'gpt-5.2';
-    language = result.language || 'en';
-    console.log('[SurfMate] Initialized with provider:', provider, 'model:', model, 'language:', language);
-  });
+  ensureSettingsLoaded();
 });
 
 // Also keep alive on startup
@@ -97,33 +354,44 @@ chrome.runtime.onStartup.addListener(() => {
 // Keep alive when extension is first loaded
 keepServiceWorkerAlive();
 
+// Tell every tab which settings changed - the one settings notification content scripts get
+// Only public settings are sent: API keys never reach a page
+function broadcastSettingsChanged(keys) {
+  const message = { type: SETTINGS_CHANGED_MESSAGE, keys, settings: getPublicSettings(currentSettings) };
+  chrome.tabs.query({}, (tabs) => {
+    tabs.forEach(tab => {
+      if (!tab.url || !/^https?:/.test(tab.url)) return;
+      chrome.tabs.sendMessage(tab.id, message).catch(() => {
+        // No content script in this tab (not loaded yet, or a restricted page)
+      });
+    });
+  });
+}
+
 // Listen for storage changes
 chrome.storage.onChanged.addListener((changes, namespace) => {
-  if (namespace === 'local') {
-    if (changes.extensionEnabled) {
-      extensionEnabled = changes.extensionEnabled.newValue;
-    }
-    if (changes.openaiApiKey) {
-      openaiApiKey = changes.openaiApiKey.newValue;
-      console.log('[SurfMate] OpenAI API key updated');
-    }
-    if (changes.geminiApiKey) {
-      geminiApiKey = changes.geminiApiKey.newValue;
-      console.log('[SurfMate] Gemini API key updated');
-    }
-    if (changes.provider) {
-      provider = changes.provider.newValue;
-      console.log('[SurfMate] Provider changed to:', provider);
-    }
-    if (changes.model) {
-      model = changes.model.newValue;
-      console.log('[SurfMate] Model changed to:', model);
+  if (namespace !== 'local') return;
+  const keys = Object.keys(changes).filter(key => SETTINGS_SCHEMA[key]);
+  if (keys.length === 0) return;
+
+  ensureSettingsLoaded().then(() => {
+    keys.forEach(key => {
+      currentSettings[key] = coerceSetting(key, changes[key].newValue);
+    });
+    // Key names only - values may be API keys
+    console.log('[SurfMate] Settings changed:', keys.join(', '));
+
+    if (keys.includes('cacheMaxEntries')) {
+      evictCachedAnalyses(currentSettings.cacheMaxEntries).catch(error => {
+        console.error('[SurfMate] Cache eviction failed:', error);
+      });
     }
-    if (changes.language) {
-      language = changes.language.newValue;
-      console.log('[SurfMate] Language changed to:', language);
+    if (keys.includes('providerConcurrency')) {
+      setProviderConcurrency(currentSettings.providerConcurrency);
     }
-  }
+
+    broadcastSettingsChanged(keys);
+  });
 });
 
 // Listen for keyboard shortcut command
@@ -136,25 +404,12 @@ chrome.commands.onCommand.addListener((command) => {
 });
 
 // Toggle extension on/off
-function toggleExtension() {
-  extensionEnabled = !extensionEnabled;
+// Tabs follow through the settings change notification (blocked sites stay off in the content script)
+async function toggleExtension() {
+  await ensureSettingsLoaded();
+  const extensionEnabled = !currentSettings.extensionEnabled;
   console.log('[SurfMate] Extension enabled:', extensionEnabled);
-  chrome.storage.local.set({ extensionEnabled });
-
-  // Notify all tabs about the state change
-  chrome.tabs.query({}, (tabs) => {
-    console.log('[SurfMate] Sending toggle message to', tabs.length, 'tabs');
-    tabs.forEach(tab => {
-      if (tab.url && (tab.url.startsWith('http://') || tab.url.startsWith('https://'))) {
-        chrome.tabs.sendMessage(tab.id, {
-          type: 'toggleBrowse',
-          enabled: extensionEnabled
-        }).catch((error) => {
-          console.log('[SurfMate] Failed to send message to tab', tab.id, error);
-        });
-      }
-    });
-  });
+  await chrome.storage.local.set({ extensionEnabled });
 }
 
 // Handle messages from content script
@@ -165,1003 +420,614 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
+  // One-shot page analysis (streaming clients connect through a port instead, see onConnect below)
   if (message.type === 'analyzePage') {
-    queueRequest(() => handleAnalyzePage(message))
+    runSiteRequest(sender, message.requestId, 'page', message, (signal) => handleAnalyzePage(message, signal))
       .then(sendResponse)
       .catch(error => sendResponse({ error: error.message }));
     return true; // Keep message channel open for async response
   }
 
   if (message.type === 'analyzeContainer') {
-    queueRequest(() => handleAnalyzeContainer(message))
+    runSiteRequest(sender, message.requestId, 'container', message, (signal) => handleAnalyzeContainer(message, signal))
+      .then(sendResponse)
+      .catch(error => sendResponse({ error: error.message }));
+    return true; // Keep message channel open for async response
+  }
+
+  if (message.type === 'analyzeSubcontainers') {
+    runSiteRequest(sender, message.requestId, 'subcontainers', message, (signal) => handleAnalyzeSubcontainers(message, signal))
       .then(sendResponse)
       .catch(error => sendResponse({ error: error.message }));
     return true; // Keep message channel open for async response
   }
 
   if (message.type === 'findAdditionalContainers') {
-    queueRequest(() => handleFindAdditionalContainers(message))
+    runSiteRequest(sender, message.requestId, 'additional', message, (signal) => handleFindAdditionalContainers(message, signal))
       .then(sendResponse)
       .catch(error => sendResponse({ error: error.message }));
     return true; // Keep message channel open for async response
   }
 
-  if (message.type === 'checkApiKey') {
-    sendResponse({ hasApiKey: !!apiKey });
-    return true;
+  if (message.type === 'repairSelectors') {
+    runSiteRequest(sender, message.requestId, 'repair', message, (signal) => handleRepairSelectors(message, signal))
+      .then(sendResponse)
+      .catch(error => sendResponse({ error: error.message }));
+    return true; // Keep message channel open for async response
   }
 
-  if (message.type === 'clearCache') {
-    if (message.key) {
-      // Clear specific cache entry
-      pageCache.delete(message.key);
-    } else {
-      // Clear all cache
-      pageCache.clear();
-    }
-    sendResponse({ success: true });
+  if (message.type === 'getSitePolicy') {
+    // Asked by the content script on activation, so it can go offline or ask before sending anything
+    getSenderSitePolicy(sender).then(sendResponse);
     return true;
   }
-});
 
-// Analyze page using AI API with caching
-async function handleAnalyzePage(message) {
-  if (!getApiKey()) {
-    return { error: 'API key not configured' };
+  if (message.type === 'getBudgetStatus') {
+    getBudgetStatus().then(sendResponse);
+    return true;
   }
 
-  const { domSnapshot, url, title } = message;
-
-  // Check cache first (include provider+model in cache key)
-  const cacheKey = `${url}|${provider}|${model}`;
-  const cached = pageCache.get(cacheKey);
-
-  if (cached) {
-    console.log('[SurfMate] Cache hit for:', url);
-    return cached.data;
+  // Frames: the content script runs in every frame, but only the top frame shows the overlay.
+  // A child frame answers the top frame's handshake token here, so the top frame learns its frame id
+  if (message.type === 'registerFrame') {
+    if (!sender.tab || !sender.frameId) return false;
+    chrome.tabs.sendMessage(sender.tab.id, {
+      type: 'frameRegistered',
+      token: message.token,
+      frameId: sender.frameId
+    }, { frameId: 0 }).catch(() => {});
+    return false;
   }
 
-  console.log('[SurfMate] Cache miss, analyzing with', provider, 'using', model, '...');
-
-  // Use Gemini API handler
-  if (provider === 'gemini') {
-    return handleAnalyzePageGemini(message, cacheKey);
+  if (message.type === 'frameCommand') {
+    // Only the top frame drives its child frames
+    if (!sender.tab || sender.frameId !== 0 || !message.frameId) {
+      sendResponse({ error: 'Frame commands are only accepted from the top frame' });
+      return false;
+    }
+    chrome.tabs.sendMessage(sender.tab.id, { type: 'frameCommand', command: message.command }, { frameId: message.frameId })
+      .then(response => sendResponse(response || { error: 'Frame did not respond' }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
   }
 
-  // OpenAI API (original code)
-  return handleAnalyzePageOpenAI(message, cacheKey);
-}
-
-// Handle OpenAI API calls
-async function handleAnalyzePageOpenAI(message, cacheKey) {
-  const { domSnapshot, url, title } = message;
-
-  const apiEndpoint = 'https://api.openai.com/v1/chat/completions';
-
-  // Build request body
-  const requestBody = {
-    model: model,
-    messages: [
-      {
-        role: 'system',
-        content: `You are a web page navigation assistant. Analyze the DOM snapshot and identify:
-
-1. CONTAINERS (semantic sections with multiple interactive elements) - Return the container selector and label ONLY
-2. STANDALONE elements (important elements not in any container) - For elements that don't belong in any container
-
-*** IMPORTANT ***
-- For CONTAINERS: Only return the container selector, label, and type. DO NOT include elements inside containers.
-- Elements inside containers will be detected dynamically when the user enters the container.
-- This is important because container contents often change dynamically (especially in SPAs).
-
-${domSnapshot.isGradio ? `
-*** GRADIO APP DETECTED ***
-This is a Gradio/ML application. Pay special attention to:
-- Gradio components: inputs (textbox, dropdown, slider, checkbox, radio, file upload)
-- Submit/Generate/Run buttons (highest priority!)
-- Output areas: galleries, chatbots, dataframes, markdown
-- Grouped components in tabs, accordions, or rows/columns
-
-For Gradio apps:
-- Group related components (e.g., all inputs in one section)
-- Submit/Clear buttons are always important
-- Output areas (chatbot, gallery, dataframe) are important containers
-` : ''}
-
-*** LANGUAGE ***
-${language === 'ko' ? `
-ALL labels and descriptions MUST be in Korean (한국어).
-- Use natural Korean phrases for labels
-- Examples:
-  ❌ BAD: "Search", "Submit", "Login"
-  ✅ GOOD: "검색", "제출", "로그인"
-  ✅ GOOD: "상품 검색", "게시글 등록", "로그인하기"
-- Keep labels SHORT (10-15 Korean characters) but MEANINGFUL
-` : language === 'en' ? `
-ALL labels and descriptions MUST be in English.
-- Use natural English phrases for labels
-` : ''}
-
-*** CRITICAL - ORDER BY WORKFLOW IMPORTANCE ***
-The ORDER of containers in your response determines their keyboard shortcut numbers (1-9).
-Return containers in the LOGICAL ORDER a user should interact with them:
-- First: Input/entry points (search box, prompt input, forms)
-- Second: Primary actions (submit, generate, run, search buttons)
-- Third: Results/outputs (results, gallery, output display)
-- Fourth: Secondary actions (settings, filters, options)
-- Last: Navigation and utility items
-
-${domSnapshot.isGradio ? `
-Gradio workflow ordering example:
-1. Prompt/Model input area
-2. Submit/Generate button
-3. Output gallery/chatbot
-4. Settings/Advanced options
-` : ''}
-
-BE VERY SELECTIVE - Quality over quantity:
-- Find ALL meaningful containers on the page (no limit)
-- Focus on sections with actual interactive content (buttons, links, forms)
-- Maximum 5 standalone elements
-- Skip: decorative elements, footers, social links, cookie notices, empty containers
-
-*** CRITICAL - MEANINGFUL LABELS THAT ADD VALUE ***
-Your labels should provide CONTEXT and ACTIONABLE GUIDANCE, NOT just repeat visible text:
-- DO NOT just copy the button/input text - users can already see that!
-- INSTEAD: Describe the PURPOSE, ACTION, or OUTCOME
-- Use action verbs: "Enter...", "Generate...", "View...", "Adjust..."
-- Combine context with function for clarity
-
-${domSnapshot.isGradio ? `
-Gradio examples:
-❌ BAD: "Submit", "Prompt", "Output"
-✅ GOOD: "Generate image", "Enter your prompt", "View results"
-
-❌ BAD: "Model", "Settings", "Clear"
-✅ GOOD: "Choose AI model", "Adjust parameters", "Reset form"
-` : ''}
-
-General examples:
-❌ BAD: "Search", "Login", "Cart"
-✅ GOOD: "Find products", "Sign in", "View 3 items"
-
-❌ BAD: "Submit", "Save", "Cancel"
-✅ GOOD: "Post comment", "Save changes", "Go back"
-
-Keep labels SHORT (15-20 chars) but MEANINGFUL:
-- "Generate image" (not "Submit")
-- "Enter search terms" (not "Search box")
-- "View cart (3)" (not "Cart")
-
-CRITICAL - SELECTOR HANDLING:
-- For CONTAINERS: Use elements where "isContainer": true from the DOM snapshot
-  - Elements with "isContainer": true are actual container divs/navs/sections
-  - Check if any isContainer element covers the region you want to make a container
-  - If no isContainer element exists for a region, that's OK - just skip creating a container for that region
-- For STANDALONE ELEMENTS: use the EXACT "selector" from the DOM snapshot
-- NEVER use button/link/input selectors as container selectors - only use div/nav/section/header/main/footer elements
-- DO NOT generate completely new selectors - only use selectors that exist in the snapshot
-${domSnapshot.isGradio ? `
-- For Gradio: Use the exact selector from the snapshot, including those marked "isGradioComponent"
-- Gradio components often have nested structures - prefer the innermost actionable element
-` : ''}
-
-Return a JSON object with "containers" (each with selector, label, type) and "standalone" arrays.`
-      },
-      {
-        role: 'user',
-        content: `Page URL: ${url}\nPage Title: ${title}\n${domSnapshot.isGradio ? '\n*** GRADIO APP *** This is a Gradio/ML application interface.\n' : ''}\n\nDOM Snapshot:\n${JSON.stringify(domSnapshot, null, 2)}\n\nAnalyze this page and return containers in WORKFLOW ORDER with MEANINGFUL, ACTION-ORIENTED labels that add value beyond visible text. Use exact selectors from the snapshot. Respond with JSON only.`
+  if (message.type === 'approveSite') {
+    // The user allowed sending this site on an "ask" policy (for this tab only)
+    getSenderSitePolicy(sender).then(({ rulePolicy, hostname }) => {
+      if (rulePolicy !== 'ask' || !sender.tab) {
+        sendResponse({ success: false });
+        return;
       }
-    ],
-    max_completion_tokens: 4000,
-    temperature: 0.1,
-    response_format: { type: 'json_object' }
-  };
-
-  console.log('[SurfMate] Sending request to', apiEndpoint);
-
-  try {
-    const response = await fetch(apiEndpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${getApiKey()}`
-      },
-      body: JSON.stringify(requestBody)
+      if (!siteApprovals.has(sender.tab.id)) siteApprovals.set(sender.tab.id, new Set());
+      siteApprovals.get(sender.tab.id).add(hostname);
+      console.log('[SurfMate] Site approved for tab', sender.tab.id, hostname);
+      sendResponse({ success: true });
     });
+    return true;
+  }
 
-    console.log('[SurfMate] Response status:', response.status, response.statusText);
-
-    if (!response.ok) {
-      const error = await response.json();
-      console.error('[SurfMate] API error response:', error);
-      throw new Error(error.error?.message || 'API request failed');
-    }
+  if (message.type === 'cancelRequest') {
+    sendResponse({ cancelled: cancelRequest(message.requestId) });
+    return true;
+  }
 
-    const data = await response.json();
-    console.log('[SurfMate] API response data:', data);
+  if (message.type === 'getQueueState') {
+    // Used by the popup request queue view
+    sendResponse(getSchedulerState());
+    return true;
+  }
 
-    const content = data.choices?.[0]?.message?.content;
+  if (message.type === 'checkApiKey') {
+    ensureSettingsLoaded().then(() => sendResponse({ hasApiKey: isProviderConfigured() }));
+    return true;
+  }
 
-    console.log('[SurfMate] Raw API response length:', content?.length);
+  if (message.type === 'clearCache') {
+    // Clear a specific entry (key), a page (url), a site (site) or everything
+    clearCachedAnalyses({ key: message.key, url: message.url, site: message.site })
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
 
-    // Check if response is empty
-    if (!content || content.trim().length === 0) {
-      console.error('[SurfMate] Empty API response');
-      console.error('[SurfMate] Full API response:', JSON.stringify(data, null, 2));
-      throw new Error('Empty response from API');
-    }
+  if (message.type === 'getCacheEntries') {
+    // Used by the popup cache inspector
+    listCachedAnalyses()
+      .then(entries => sendResponse({ entries }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
 
-    // Parse JSON response
-    let result;
-    try {
-      const parsed = JSON.parse(content);
-      console.log('[SurfMate] Parsed response:', parsed);
-      result = {
-        containers: parsed.containers || [],
-        standalone: parsed.standalone || []
-      };
-    } catch (e) {
-      console.error('[SurfMate] Parse error:', e);
-      console.error('[SurfMate] Content that failed to parse:', content);
-      throw new Error('Failed to parse LLM response: ' + e.message);
-    }
+  if (message.type === 'getSentLog') {
+    // Used by the audit view (debug.html)
+    sendResponse({ entries: sentLog });
+    return false;
+  }
 
-    // Cache the result
-    pageCache.set(cacheKey, {
-      timestamp: Date.now(),
-      data: result
-    });
+  if (message.type === 'clearSentLog') {
+    sentLog.length = 0;
+    sendResponse({ success: true });
+    return false;
+  }
+});
 
-    console.log('[SurfMate] Result cached for:', url);
+// Streaming page analysis over a port: containers are posted as soon as they are parsed,
+// followed by the complete result
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'analyzePage') return;
 
-    return result;
+  let disconnected = false;
+  let requestId = null;
 
-  } catch (error) {
-    console.error('[SurfMate] API error:', error);
-    return { error: error.message };
-  }
-}
+  // The port closes when the tab navigates or closes - nobody is waiting for the result anymore
+  port.onDisconnect.addListener(() => {
+    disconnected = true;
+    if (requestId) cancelRequest(requestId);
+  });
 
-// Handle Gemini API calls
-async function handleAnalyzePageGemini(message, cacheKey) {
-  const { domSnapshot, url, title } = message;
-
-  const apiEndpoint = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${getApiKey()}`;
-
-  // Build the system prompt
-  const systemPrompt = `You are a web page navigation assistant. Analyze the DOM snapshot and identify:
-
-1. CONTAINERS (semantic sections with multiple interactive elements) - Return the container selector and label ONLY
-2. STANDALONE elements (important elements not in any container) - For elements that don't belong in any container
-
-*** IMPORTANT ***
-- For CONTAINERS: Only return the container selector, label, and type. DO NOT include elements inside containers.
-- Elements inside containers will be detected dynamically when the user enters the container.
-
-*** LANGUAGE ***
-${language === 'ko' ? 'ALL labels MUST be in Korean (한국어)' : 'ALL labels MUST be in English'}
-
-*** ORDER ***
-Return in workflow order: inputs → actions → outputs → settings → navigation
-
-*** LABELS ***
-Be descriptive: "Search box" not "input", "Submit form" not "button"
-
-Return ONLY JSON with "containers" and "standalone" arrays.`;
-
-  // Build user prompt with DOM snapshot
-  const userPrompt = `Page URL: ${url}\nPage Title: ${title}\n\nDOM Snapshot:\n${JSON.stringify(domSnapshot, null, 2)}`;
-
-  // Gemini API request format with structured output
-  const requestBody = {
-    contents: [{
-      parts: [
-        { text: systemPrompt + '\n\n' + userPrompt }
-      ]
-    }],
-    generationConfig: {
-      temperature: 0.1,
-      maxOutputTokens: 8192,
-      responseMimeType: 'application/json',
-      thinkingConfig: {
-        thinkingBudget: 0  // Disable thinking mode for faster responses
-      },
-      responseSchema: {
-        type: 'object',
-        properties: {
-          containers: {
-            type: 'array',
-            items: {
-              type: 'object',
-              properties: {
-                selector: { type: 'string', description: 'CSS selector for the container element' },
-                label: { type: 'string', description: 'Human-readable label for the container' },
-                type: { type: 'string', description: 'Container type: navigation, main, form, list, card, section, etc.' }
-              },
-              required: ['selector', 'label', 'type']
-            }
-          },
-          standalone: {
-            type: 'array',
-            items: {
-              type: 'object',
-              properties: {
-                selector: { type: 'string', description: 'CSS selector for the element' },
-                label: { type: 'string', description: 'Action-oriented label for this element' },
-                type: { type: 'string', description: 'Element type: button, link, input, textarea, select' }
-              },
-              required: ['selector', 'label', 'type']
-            }
-          }
-        },
-        required: ['containers', 'standalone']
-      }
-    }
+  const post = (msg) => {
+    if (!disconnected) port.postMessage(msg);
   };
 
-  console.log('[SurfMate] Sending request to Gemini API');
+  port.onMessage.addListener((message) => {
+    requestId = message.requestId || `port-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    // Progress is emitted through the scheduler, so a tab sharing this request streams too
+    runSiteRequest(port.sender, requestId, 'page', message, (signal, emit) => runAnalysisTask('page', message, {
+      signal,
+      onStart: () => emit({ type: 'started' }),
+      onItem: (container) => emit({ type: 'container', container }),
+      onEscalate: (tier) => emit({ type: 'escalating', tier })
+    }), post)
+      .then(result => post({ type: 'result', result }))
+      .catch(error => post({ type: 'result', result: { error: error.message } }));
+  });
+});
 
-  try {
-    const response = await fetchWithRetry(apiEndpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(requestBody)
-    });
+// Send one task request through the adapter and return { content, usage }
+// With onText the response is streamed and onText receives each text chunk as it arrives
+// Retries once with a rebuilt request when the adapter marks the error as retryable
+async function requestCompletion(adapter, task, prompts, settings, onText = null, signal = null, attempt = 0) {
+  const stream = !!(onText && adapter.parseStreamEvent);
+  const { url, options } = adapter.buildRequest(task, prompts, settings, { stream });
 
-    console.log('[SurfMate] Response status:', response.status, response.statusText);
+  console.log('[SurfMate] Sending', task.name, 'request to', adapter.name);
 
-    if (!response.ok) {
-      const error = await response.json();
-      console.error('[SurfMate] Gemini API error:', error);
-      throw new Error(error.error?.message || 'Gemini API request failed');
-    }
+  const response = await fetchWithRetry(url, { ...options, signal }, adapter.id);
 
-    const data = await response.json();
-    console.log('[SurfMate] Gemini API response data:', data);
+  console.log('[SurfMate] Response status:', response.status, response.statusText);
 
-    // Check if response was truncated due to token limit
-    const finishReason = data.candidates?.[0]?.finishReason;
-    if (finishReason === 'MAX_TOKENS') {
-      console.error('[SurfMate] Response was truncated due to maxOutputTokens limit');
-      throw new Error('Response too large - try reducing page complexity or increase token limit');
+  if (!response.ok) {
+    const bodyText = await response.text();
+    const error = adapter.mapError(response.status, bodyText, settings);
+    if (error.retryable && attempt === 0) {
+      return requestCompletion(adapter, task, prompts, settings, onText, signal, attempt + 1);
     }
+    console.error('[SurfMate] API error response:', bodyText);
+    throw error;
+  }
 
-    // Gemini returns text in candidates[0].content.parts[0].text
-    const content = data.candidates?.[0]?.content?.parts?.[0]?.text;
+  if (!stream) {
+    const data = await response.json();
+    return adapter.parseResponse(data, task);
+  }
 
-    console.log('[SurfMate] Raw API response length:', content?.length);
+  let content = '';
+  let usage = { inputTokens: 0, outputTokens: 0, reasoningTokens: 0 };
 
-    if (!content || content.trim().length === 0) {
-      console.error('[SurfMate] Empty Gemini API response');
-      throw new Error('Empty response from Gemini API');
+  await readServerSentEvents(response, (event) => {
+    const delta = adapter.parseStreamEvent(event, task);
+    if (delta.usage) {
+      usage = mergeUsage(usage, delta.usage);
     }
-
-    // Parse JSON response
-    let result;
-    try {
-      const parsed = JSON.parse(content);
-      console.log('[SurfMate] Parsed response:', parsed);
-      result = {
-        containers: parsed.containers || [],
-        standalone: parsed.standalone || []
-      };
-    } catch (e) {
-      console.error('[SurfMate] Parse error:', e);
-      console.error('[SurfMate] Content that failed to parse:', content);
-      throw new Error('Failed to parse Gemini response: ' + e.message);
+    if (delta.text) {
+      content += delta.text;
+      onText(delta.text);
     }
+  });
 
-    // Cache the result
-    const cacheKey = `${url}|${provider}|${model}`;
-    pageCache.set(cacheKey, {
-      timestamp: Date.now(),
-      data: result
-    });
-
-    console.log('[SurfMate] Result cached for:', url);
-
-    return result;
-
-  } catch (error) {
-    console.error('[SurfMate] Gemini API error:', error);
-    return { error: error.message };
-  }
-}
+  console.log('[SurfMate] Streamed response length:', content.length);
 
-// Analyze a single container using AI API
-async function handleAnalyzeContainer(message) {
-  if (!getApiKey()) {
-    return { error: 'API key not configured' };
+  if (!content.trim()) {
+    throw new Error(`Empty response from ${adapter.name} API`);
   }
 
-  const { domSnapshot, containerLabel, containerType } = message;
-  const url = domSnapshot.url;
-
-  // Check cache first (include container label + provider+model in cache key)
-  const cacheKey = `${url}|container|${containerLabel}|${provider}|${model}`;
-  const cached = pageCache.get(cacheKey);
+  return { content, usage };
+}
 
-  if (cached) {
-    console.log('[SurfMate] Cache hit for container:', containerLabel);
-    return cached.data;
+// Provider tiers to try in order: the configured tiers of the fallback chain (provider-chain.js),
+// or the selected provider and model when there is no chain
+function getProviderTiers(settings) {
+  if (settings.providerChain.length === 0) {
+    return [{ provider: settings.provider, model: settings.model }];
   }
+  return settings.providerChain.filter(tier =>
+    providerAdapters.has(tier.provider) && getProviderAdapter(tier.provider).isConfigured({ ...settings, ...tier })
+  );
+}
 
-  console.log('[SurfMate] Cache miss, analyzing container:', containerLabel, 'with', provider, 'using', model, '...');
+// Cached result of a task for one provider tier, or null
+async function getCachedTaskResult(task, message, settings) {
+  const cacheKey = getProviderAdapter(settings.provider).replaysFixtures ? null : task.getCacheKey(message, settings);
+  if (!cacheKey) return null;
 
-  // Use Gemini API handler
-  if (provider === 'gemini') {
-    return handleAnalyzeContainerGemini(message, cacheKey);
+  try {
+    const url = message.domSnapshot.url;
+    const fingerprint = task.getFingerprint ? task.getFingerprint(message) : null;
+    const cached = await getCachedAnalysis(cacheKey, fingerprint, url, getCacheOptions());
+    if (!cached) return null;
+
+    console.log('[SurfMate] Cache hit for', task.name, 'task:', cacheKey, cached.url !== url ? `(template from ${cached.url})` : '');
+    // Flags tell the content script to re-validate selectors before trusting them
+    return { ...cached.data, fromCache: true, fromTemplate: cached.url !== url };
+  } catch (error) {
+    console.error('[SurfMate] Cache read failed:', error);
+    return null;
   }
-
-  // OpenAI API (original code)
-  return handleAnalyzeContainerOpenAI(message, cacheKey);
 }
 
-// Handle OpenAI API calls for container analysis
-async function handleAnalyzeContainerOpenAI(message, cacheKey) {
-  const { domSnapshot, containerLabel, containerType } = message;
-  const url = domSnapshot.url;
-  const title = domSnapshot.title;
-
-  const apiEndpoint = 'https://api.openai.com/v1/chat/completions';
-
-  const requestBody = {
-    model: model,
-    messages: [
-      {
-        role: 'system',
-        content: `You are a web page navigation assistant. Analyze the DOM snapshot of a container section.
-
-IMPORTANT: Find AS MANY interactive elements as possible (up to 20).
-
-Include EVERYTHING that looks interactive:
-- All buttons (primary, secondary, icon buttons)
-- All links (navigation, actions, external links)
-- All form inputs (text, email, password, checkbox, radio, select, textarea)
-- All clickable elements with onclick handlers
-- All elements with tabindex
-
-DO NOT skip elements unless they are:
-- Purely decorative (icons without actions)
-- Duplicate/repeated items (like "read more" links appearing 10+ times)
-- Social media sharing links
-
-*** LANGUAGE ***
-${language === 'ko' ? `
-ALL labels MUST be in Korean (한국어).
-- Use natural Korean action verbs
-- Examples:
-  ❌ BAD: "Submit", "Search", "Save"
-  ✅ GOOD: "제출", "검색", "저장"
-  ✅ GOOD: "댓글 작성", "상품 검색", "변경사항 저장"
-- Keep labels SHORT (8-12 Korean characters)
-` : language === 'en' ? `
-ALL labels MUST be in English.
-- Use natural English action verbs
-` : ''}
-
-*** CRITICAL - ORDER BY WORKFLOW IMPORTANCE ***
-The ORDER of elements in your response determines their keyboard shortcut letters (a-z).
-Return elements in the LOGICAL ORDER a user should interact with them within this container:
-- First: Inputs and form fields
-- Second: Primary action buttons (submit, confirm, save)
-- Third: Secondary actions (cancel, delete, edit)
-- Last: Navigation and utility links
-
-*** CRITICAL - MEANINGFUL LABELS THAT ADD VALUE ***
-Your labels should provide CONTEXT and ACTIONABLE GUIDANCE, NOT just repeat visible text:
-- DO NOT just copy the button/input text - users can already see that!
-- INSTEAD: Describe the PURPOSE, ACTION, or OUTCOME
-- Use action verbs: "Enter...", "Click to...", "View...", "Adjust..."
-
-Examples:
-❌ BAD: "Submit", "Search", "Buy"
-✅ GOOD: "Post comment", "Find products", "Add to cart"
-
-❌ BAD: "Email", "Password", "Name"
-✅ GOOD: "Enter email", "Choose password", "Your full name"
-
-❌ BAD: "Edit", "Delete", "Cancel"
-✅ GOOD: "Modify item", "Remove item", "Go back"
-
-Keep labels SHORT (12-18 chars) but MEANINGFUL:
-- Focus on WHAT HAPPENS or WHAT TO DO
-- Include context when helpful
-
-CRITICAL - SELECTOR HANDLING:
-- Use the EXACT "selector" from the DOM snapshot for each element
-- DO NOT generate your own CSS selectors or modify existing ones
-- Examples:
-  * Snapshot has: "button.search" → Use: "button.search"
-  * Snapshot has: "#submit-btn" → Use: "#submit-btn"
-
-Return a JSON object with an "elements" array (up to 20 items) containing: selector, label, and type (button/link/input/textarea/select).`
-      },
-      {
-        role: 'user',
-        content: `Container: ${containerLabel} (type: ${containerType})
-Page URL: ${url}
-Page Title: ${title}
-
-DOM Snapshot of this container:
-${JSON.stringify(domSnapshot, null, 2)}
-
-Analyze this container and return interactive elements in WORKFLOW ORDER with MEANINGFUL, ACTION-ORIENTED labels that add value beyond visible text. Use exact selectors from the snapshot. Respond with JSON only.`
-      }
-    ],
-    max_completion_tokens: 2000,
-    temperature: 0.1,
-    response_format: { type: 'json_object' }
-  };
-
-  console.log('[SurfMate] Sending container analysis request to OpenAI');
+async function setCachedTaskResult(task, message, settings, result) {
+  // Replayed fixtures are never cached, so a newly recorded fixture replays right away
+  const cacheKey = getProviderAdapter(settings.provider).replaysFixtures ? null : task.getCacheKey(message, settings);
+  if (!cacheKey) return;
 
   try {
-    const response = await fetch(apiEndpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${getApiKey()}`
-      },
-      body: JSON.stringify(requestBody)
-    });
-
-    console.log('[SurfMate] Response status:', response.status, response.statusText);
-
-    if (!response.ok) {
-      const error = await response.json();
-      console.error('[SurfMate] API error response:', error);
-      throw new Error(error.error?.message || 'API request failed');
-    }
-
-    const data = await response.json();
-    const content = data.choices?.[0]?.message?.content;
-
-    console.log('[SurfMate] Raw API response length:', content?.length);
-
-    if (!content || content.trim().length === 0) {
-      console.error('[SurfMate] Empty API response');
-      console.error('[SurfMate] Full API response:', JSON.stringify(data, null, 2));
-      throw new Error('Empty response from API');
-    }
-
-    const parsed = JSON.parse(content);
-    console.log('[SurfMate] Parsed container response:', parsed);
-    const result = {
-      elements: parsed.elements || []
-    };
-
-    pageCache.set(cacheKey, {
-      timestamp: Date.now(),
+    await setCachedAnalysis({
+      key: cacheKey,
+      url: message.domSnapshot.url,
+      task: task.name,
+      provider: settings.provider,
+      model: settings.model,
+      fingerprint: task.getFingerprint ? task.getFingerprint(message) : null,
       data: result
-    });
-
-    console.log('[SurfMate] Container result cached for:', containerLabel);
-
-    return result;
-
+    }, getCacheOptions());
+    console.log('[SurfMate] Result cached for:', cacheKey);
   } catch (error) {
-    console.error('[SurfMate] Container API error:', error);
-    return { error: error.message };
+    console.error('[SurfMate] Cache write failed:', error);
   }
 }
 
-// Handle Gemini API calls for container analysis
-async function handleAnalyzeContainerGemini(message, cacheKey) {
-  const { domSnapshot, containerLabel, containerType } = message;
-  const url = domSnapshot.url;
-  const title = domSnapshot.title;
-
-  const apiEndpoint = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${getApiKey()}`;
-
-  const systemPrompt = `You are a web page navigation assistant. Analyze the DOM snapshot of a container section.
-
-IMPORTANT: Find AS MANY interactive elements as possible (up to 20).
-
-Include EVERYTHING that looks interactive:
-- All buttons (primary, secondary, icon buttons)
-- All links (navigation, actions, external links)
-- All form inputs (text, email, password, checkbox, radio, select, textarea)
-- All clickable elements with onclick handlers
-- All elements with tabindex
-
-DO NOT skip elements unless they are:
-- Purely decorative (icons without actions)
-- Duplicate/repeated items (like "read more" links appearing 10+ times)
-- Social media sharing links
-
-*** LANGUAGE ***
-${language === 'ko' ? `
-ALL labels MUST be in Korean (한국어).
-- Use natural Korean action verbs
-- Examples:
-  ❌ BAD: "Submit", "Search", "Save"
-  ✅ GOOD: "제출", "검색", "저장"
-  ✅ GOOD: "댓글 작성", "상품 검색", "변경사항 저장"
-- Keep labels SHORT (8-12 Korean characters)
-` : language === 'en' ? `
-ALL labels MUST be in English.
-- Use natural English action verbs
-` : ''}
-
-*** CRITICAL - ORDER BY WORKFLOW IMPORTANCE ***
-The ORDER of elements in your response determines their keyboard shortcut letters (a-z).
-Return elements in the LOGICAL ORDER a user should interact with them within this container:
-- First: Inputs and form fields
-- Second: Primary action buttons (submit, confirm, save)
-- Third: Secondary actions (cancel, delete, edit)
-- Last: Navigation and utility links
-
-*** CRITICAL - MEANINGFUL LABELS THAT ADD VALUE ***
-Your labels should provide CONTEXT and ACTIONABLE GUIDANCE, NOT just repeat visible text:
-- DO NOT just copy the button/input text - users can already see that!
-- INSTEAD: Describe the PURPOSE, ACTION, or OUTCOME
-- Use action verbs: "Enter...", "Click to...", "View...", "Adjust..."
-
-Examples:
-❌ BAD: "Submit", "Search", "Buy"
-✅ GOOD: "Post comment", "Find products", "Add to cart"
-
-❌ BAD: "Email", "Password", "Name"
-✅ GOOD: "Enter email", "Choose password", "Your full name"
-
-❌ BAD: "Edit", "Delete", "Cancel"
-✅ GOOD: "Modify item", "Remove item", "Go back"
-
-Keep labels SHORT (12-18 chars) but MEANINGFUL:
-- Focus on WHAT HAPPENS or WHAT TO DO
-- Include context when helpful
-
-CRITICAL - SELECTOR HANDLING:
-- Use the EXACT "selector" from the DOM snapshot for each element
-- DO NOT generate your own CSS selectors or modify existing ones
-- Examples:
-  * Snapshot has: "button.search" → Use: "button.search"
-  * Snapshot has: "#submit-btn" → Use: "#submit-btn"
-
-Return a JSON object with an "elements" array (up to 20 items) containing: selector, label, and type (button/link/input/textarea/select).`;
-
-  const userPrompt = `Container: ${containerLabel} (type: ${containerType})
-Page URL: ${url}
-Page Title: ${title}
-
-DOM Snapshot of this container:
-${JSON.stringify(domSnapshot, null, 2)}
-
-Analyze this container and return interactive elements in WORKFLOW ORDER with MEANINGFUL, ACTION-ORIENTED labels that add value beyond visible text. Use exact selectors from the snapshot. Respond with JSON only.`;
-
-  const requestBody = {
-    contents: [{
-      parts: [
-        { text: systemPrompt + '\n\n' + userPrompt }
-      ]
-    }],
-    generationConfig: {
-      temperature: 0.1,
-      maxOutputTokens: 4096,
-      responseMimeType: 'application/json',
-      thinkingConfig: {
-        thinkingBudget: 0  // Disable thinking mode for faster responses
-      },
-      responseSchema: {
-        type: 'object',
-        properties: {
-          elements: {
-            type: 'array',
-            items: {
-              type: 'object',
-              properties: {
-                selector: { type: 'string', description: 'Exact CSS selector from DOM snapshot' },
-                label: { type: 'string', description: 'Action-oriented label describing what the element does' },
-                type: {
-                  type: 'string',
-                  description: 'Element type',
-                  enum: ['button', 'link', 'input', 'textarea', 'select']
-                }
-              },
-              required: ['selector', 'label', 'type']
-            }
-          }
-        },
-        required: ['elements']
-      }
-    }
-  };
-
-  console.log('[SurfMate] Sending container analysis request to Gemini');
-
-  try {
-    const response = await fetchWithRetry(apiEndpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(requestBody)
-    });
+// Run an analysis task (tasks.js) through the provider tiers, with caching
+// options.onItem streams the response and receives each item of task.streamProperty as soon as it is complete,
+// options.onStart is called when the first chunk arrives, options.onEscalate(tier) before the next tier takes over,
+// options.signal cancels the request
+// The result carries tier: { index, provider, model } - which tier answered
+async function runAnalysisTask(taskName, message, options = {}) {
+  const settings = getSettings();
+  const task = ANALYSIS_TASKS[taskName];
+  const tiers = getProviderTiers(settings);
+
+  if (tiers.length === 0) {
+    return { error: 'None of the providers in the fallback chain is configured' };
+  }
+  const firstAdapter = getProviderAdapter(tiers[0].provider);
+  if (!firstAdapter.isConfigured({ ...settings, ...tiers[0] })) {
+    return { error: firstAdapter.notConfiguredError };
+  }
 
-    console.log('[SurfMate] Response status:', response.status, response.statusText);
+  // Over the daily budget (usage.js): offline mode sends nothing, cache-only still serves cached results
+  const budget = await getBudgetStatus();
+  if (budget.exceeded && budget.action === 'offline') {
+    return { error: formatBudgetError(budget), budgetExceeded: true };
+  }
 
-    if (!response.ok) {
-      const error = await response.json();
-      console.error('[SurfMate] API error response:', error);
-      throw new Error(error.error?.message || 'API request failed');
+  // Check cache first (keys include provider+model, entries are invalidated when the page structure changes)
+  // An answer from any tier will do
+  // bypassCache: the content script found too many cached selectors missing from the live DOM
+  if (!message.bypassCache) {
+    for (const tier of tiers) {
+      const cached = await getCachedTaskResult(task, message, { ...settings, ...tier });
+      if (cached) {
+        recordUsage({ ...tier, task: task.name, url: message.domSnapshot.url, cacheHit: true });
+        return cached;
+      }
     }
+  }
 
-    const data = await response.json();
+  if (budget.exceeded) {
+    console.log('[SurfMate] Daily budget reached, not sending', task.name, 'request');
+    return { error: formatBudgetError(budget), budgetExceeded: true };
+  }
 
-    // Check if response was truncated due to token limit
-    const finishReason = data.candidates?.[0]?.finishReason;
-    if (finishReason === 'MAX_TOKENS') {
-      console.error('[SurfMate] Response was truncated due to maxOutputTokens limit');
-      throw new Error('Response too large - try reducing container complexity or increase token limit');
-    }
+  const failed = [];
+  let lastError = null;
 
-    const content = data.candidates?.[0]?.content?.parts?.[0]?.text;
+  for (let index = 0; index < tiers.length; index++) {
+    const tier = tiers[index];
+    const tierSettings = { ...settings, ...tier };
+    const isLastTier = index === tiers.length - 1;
+    // Earlier tiers get a short timeout of their own; the scheduler's timeout covers the whole chain
+    const tierSignal = isLastTier || !options.signal
+      ? options.signal
+      : AbortSignal.any([options.signal, AbortSignal.timeout(TIER_TIMEOUT_MS)]);
 
-    console.log('[SurfMate] Raw API response length:', content?.length);
+    console.log('[SurfMate] Cache miss, running', task.name, 'task with', tier.provider, 'using', tier.model, tiers.length > 1 ? `(tier ${index + 1} of ${tiers.length})` : '...');
 
-    if (!content || content.trim().length === 0) {
-      console.error('[SurfMate] Empty API response');
-      console.error('[SurfMate] Full API response:', JSON.stringify(data, null, 2));
-      throw new Error('Empty response from API');
-    }
+    try {
+      const result = await runTaskWithProvider(task, message, tierSettings, { ...options, signal: tierSignal });
 
-    const parsed = JSON.parse(content);
-    console.log('[SurfMate] Parsed container response:', parsed);
-    const result = {
-      elements: parsed.elements || []
-    };
+      if (!isLastTier && getValidSelectorRatio(task, result, message) < MIN_VALID_SELECTOR_RATIO) {
+        throw new Error('Most returned selectors are not in the page snapshot');
+      }
 
-    pageCache.set(cacheKey, {
-      timestamp: Date.now(),
-      data: result
-    });
+      const answered = tiers.length > 1 ? { ...result, tier: { index, ...tier } } : result;
+      await setCachedTaskResult(task, message, tierSettings, answered);
+      if (settings.providerChain.length > 0) {
+        recordTierOutcome(message.domSnapshot.url, tier, failed);
+      }
+      return answered;
+
+    } catch (error) {
+      // Aborted fetches reject with the abort reason (cancelled or timed out)
+      if (options.signal?.aborted) {
+        const reason = options.signal.reason;
+        console.log('[SurfMate]', task.name, 'task aborted:', reason.message);
+        return { error: reason.message, cancelled: !!reason.cancelled, timedOut: !!reason.timedOut };
+      }
 
-    console.log('[SurfMate] Container result cached for:', containerLabel);
+      lastError = tierSignal?.aborted ? new Error(`${getTierLabel(tier)} timed out after ${TIER_TIMEOUT_MS / 1000}s`) : error;
+      console.error('[SurfMate]', task.name, 'task error with', getTierLabel(tier) + ':', lastError);
+      failed.push(tier);
 
-    return result;
+      if (!isLastTier) {
+        console.log('[SurfMate] Escalating', task.name, 'task to', getTierLabel(tiers[index + 1]));
+        options.onEscalate?.(tiers[index + 1]);
+      }
+    }
+  }
 
-  } catch (error) {
-    console.error('[SurfMate] Container API error:', error);
-    return { error: error.message };
+  if (settings.providerChain.length > 0) {
+    recordTierOutcome(message.domSnapshot.url, null, failed);
   }
+  return { error: lastError.message };
 }
 
+// Run a task with one provider and model (settings.provider / settings.model)
+// Snapshots over the token budget are analyzed region by region, then merged
+async function runTaskWithProvider(task, message, settings, options) {
+  const adapter = getProviderAdapter(settings.provider);
+  const regions = task.mergeTask
+    ? splitSnapshotByRegion(message.domSnapshot, settings.snapshotTokenBudget)
+    : null;
+
+  return regions && regions.length > 1
+    ? runChunkedAnalysis(adapter, task, message, regions, settings, options)
+    : requestTaskResult(adapter, task, message, settings, options);
+}
 
-// Find additional containers (Shift+A) - excludes already found ones
-async function handleFindAdditionalContainers(message) {
-  if (!getApiKey()) {
-    return { error: 'API key not configured' };
-  }
-
-  const { domSnapshot, excludeSelectors, containerScopes } = message;
-  const url = domSnapshot.url;
+// Recent requests exactly as sent to providers (after redaction), for the audit view (debug.html)
+const SENT_LOG_LIMIT = 20;
+const sentLog = [];
+
+function recordSentRequest(task, message, prompts, settings) {
+  sentLog.unshift({
+    time: Date.now(),
+    task: task.name,
+    provider: settings.provider,
+    model: settings.model,
+    url: message.domSnapshot?.url || '',
+    region: message.domSnapshot?.region || null,
+    redaction: message.redaction || null,
+    system: prompts.system,
+    user: prompts.user
+  });
+  sentLog.length = Math.min(sentLog.length, SENT_LOG_LIMIT);
+}
 
-  // Use Gemini API handler
-  if (provider === 'gemini') {
-    return handleFindAdditionalContainersGemini(message, url, containerScopes);
+// One request for a task: prompts, completion (streamed when options.onItem is set) and parsing
+async function requestTaskResult(adapter, task, message, settings, options = {}) {
+  const prompts = task.buildPrompts(message, settings);
+  recordSentRequest(task, message, prompts, settings);
+
+  let onText = null;
+  if (options.onItem && task.streamProperty) {
+    const parser = createStreamingArrayParser(task.streamProperty, options.onItem);
+    let started = false;
+    onText = (chunk) => {
+      if (!started) {
+        started = true;
+        options.onStart?.();
+      }
+      parser.push(chunk);
+    };
   }
 
-  // OpenAI API
-  return handleFindAdditionalContainersOpenAI(message, url, containerScopes);
-}
+  const { content, usage } = adapter.replaysFixtures
+    ? await replayFixture(task, message, onText, options.signal)
+    : await requestCompletion(adapter, task, prompts, settings, onText, options.signal);
 
-// OpenAI handler for finding additional containers
-async function handleFindAdditionalContainersOpenAI(message, url, containerScopes) {
-  const { domSnapshot, excludeSelectors } = message;
-  const title = domSnapshot.title;
-
-  const apiEndpoint = 'https://api.openai.com/v1/chat/completions';
-
-  // Build exclude list for prompt
-  const excludeList = excludeSelectors.map((s, i) => `${i + 1}. ${s}`).join('\n');
-
-  // Build container scope list - elements inside these should be ignored
-  const scopeList = containerScopes.map((s, i) => `${i + 1}. ${s}`).join('\n');
-
-  const requestBody = {
-    model: model,
-    messages: [
-      {
-        role: 'system',
-        content: `You are a web page navigation assistant. Find ADDITIONAL containers and standalone elements that were NOT already identified.
-
-IMPORTANT - Exclude these already found selectors:
-${excludeList}
-
-CRITICAL - IGNORE ALL ELEMENTS INSIDE THESE CONTAINERS:
-${scopeList}
-Any element that is a descendant (child, grandchild, etc.) of the containers above MUST be ignored. Only look for siblings or ancestors of these containers.
-
-Find:
-1. ADDITIONAL CONTAINERS - Semantic sections with multiple interactive elements (NOT in exclude list, NOT inside scope containers above)
-2. ADDITIONAL STANDALONE elements - Important standalone elements (NOT in exclude list, NOT inside scope containers above)
-
-Return JSON ONLY with this exact structure:
-{
-  "containers": [
-    {"selector": "css_selector", "label": "human_readable_label", "type": "container_type"}
-  ],
-  "standalone": [
-    {"selector": "css_selector", "label": "human_readable_label", "type": "element_type"}
-  ]
-}
+  recordUsage({ provider: settings.provider, model: settings.model, task: task.name, url: message.domSnapshot?.url, usage });
 
-Rules:
-- DO NOT return any selector from the exclude list
-- DO NOT return any element that is inside/nested within the scope containers
-- Only return NEW/MISSING containers and elements at the same level or higher, not nested inside existing ones
-- Use CSS attribute selectors like [data-testid="..."] over complex nth-child
-- For dynamic classes use: [class*="partial-class-name"]
-- Escape single quotes in selectors with backslash: \\\'`
-      },
-      {
-        role: 'user',
-        content: `URL: ${url}\nTitle: ${title}\n\nDOM Snapshot:\n${JSON.stringify(domSnapshot, null, 2)}`
-      }
-    ],
-    temperature: 0.1,
-    max_tokens: 4000,
-    response_format: { type: "json_object" }
-  };
+  if (!adapter.replaysFixtures) {
+    await recordFixture(task, message, content, settings);
+  }
 
+  // Parse JSON response
+  let parsed;
   try {
-    const response = await fetchWithRetry(apiEndpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${getApiKey()}`
-      },
-      body: JSON.stringify(requestBody)
-    });
+    parsed = parseJsonContent(content);
+    console.log('[SurfMate] Parsed', task.name, 'response:', parsed);
+  } catch (e) {
+    console.error('[SurfMate] Parse error:', e);
+    console.error('[SurfMate] Content that failed to parse:', content);
+    throw new Error(`Failed to parse ${adapter.name} response: ` + e.message);
+  }
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`API error: ${response.status} - ${errorText}`);
+  // Check the shape before using it (schemas.js). Only adapters that enforce the schema fail
+  // on a mismatch - local servers get JSON mode only, and normalize fills in what they leave out
+  const errors = validateJsonSchema(parsed, task.schema);
+  if (errors.length > 0) {
+    const more = errors.length > 3 ? ` (and ${errors.length - 3} more)` : '';
+    const summary = `${errors.slice(0, 3).join('; ')}${more}`;
+    if (adapter.enforcesSchema || !parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      console.error('[SurfMate] Invalid', task.name, 'response:', errors);
+      throw new Error(`Invalid ${adapter.name} response for ${task.schemaName}: ${summary}`);
     }
+    console.warn('[SurfMate] Incomplete', task.name, 'response from', adapter.name + ':', summary);
+  }
+  return task.normalize(parsed);
+}
 
-    const data = await response.json();
-    const content = data.choices[0].message.content;
+// Analyze a page that exceeds the token budget region by region (in parallel up to the
+// provider's concurrency), then merge and rank the regions' results in one final pass
+// The final pass is the one that streams; it may only pick selectors the regions returned
+async function runChunkedAnalysis(adapter, task, message, regions, settings, options) {
+  const results = new Array(regions.length);
+  const errors = [];
+  let next = 0;
+
+  const worker = async () => {
+    while (next < regions.length) {
+      const index = next++;
+      const region = regions[index];
+      try {
+        const result = await requestTaskResult(adapter, task, { ...message, domSnapshot: region }, settings, { signal: options.signal });
+        results[index] = { ...region.region, ...result };
+      } catch (error) {
+        if (options.signal?.aborted) throw error;
+        console.error('[SurfMate] Region', index + 1, 'of', regions.length, 'failed:', error);
+        errors.push(error);
+        results[index] = { ...region.region, containers: [], standalone: [] };
+      }
+    }
+  };
 
-    console.log('[SurfMate] Additional containers response:', content);
+  const workerCount = Math.min(getProviderConcurrency(settings.provider), regions.length);
+  await Promise.all(Array.from({ length: workerCount }, worker));
 
-    const parsed = JSON.parse(content);
-    const result = {
-      containers: parsed.containers || [],
-      standalone: parsed.standalone || []
-    };
+  if (errors.length === regions.length) throw errors[0];
 
-    console.log('[SurfMate] Found additional containers:', result.containers.length, 'standalone:', result.standalone.length);
+  // Positions help the final pass keep reading order across regions
+  const positions = new Map(message.domSnapshot.elements.map(e => [e.selector, e.position]));
+  const withPosition = item => ({ ...item, y: positions.has(item.selector) ? Math.round(positions.get(item.selector).y) : null });
+  results.forEach(result => {
+    result.containers = result.containers.map(withPosition);
+    result.standalone = result.standalone.map(withPosition);
+  });
 
-    return result;
+  const containerSelectors = new Set(results.flatMap(result => result.containers.map(c => c.selector)));
+  const standaloneSelectors = new Set(results.flatMap(result => result.standalone.map(s => s.selector)));
 
+  let merged;
+  try {
+    const mergeTask = ANALYSIS_TASKS[task.mergeTask];
+    merged = await requestTaskResult(adapter, mergeTask, { domSnapshot: message.domSnapshot, regions: results, redaction: message.redaction }, settings, options);
   } catch (error) {
-    console.error('[SurfMate] Additional containers API error:', error);
-    return { error: error.message };
+    if (options.signal?.aborted) throw error;
+    console.error('[SurfMate] Merging regions failed, concatenating them instead:', error);
+    merged = concatRegionResults(results);
   }
-}
-
-// Gemini handler for finding additional containers
-async function handleFindAdditionalContainersGemini(message, url, containerScopes) {
-  const { domSnapshot, excludeSelectors } = message;
-  const title = domSnapshot.title;
 
-  const apiEndpoint = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${getApiKey()}`;
-
-  // Build exclude list for prompt
-  const excludeList = excludeSelectors.map((s, i) => `${i + 1}. ${s}`).join('\n');
+  const strip = ({ y, ...item }) => item;
+  return {
+    containers: uniqueItems(merged.containers.filter(c => containerSelectors.has(c.selector))).map(strip),
+    standalone: uniqueItems(merged.standalone.filter(s => standaloneSelectors.has(s.selector))).map(strip)
+  };
+}
 
-  // Build container scope list - elements inside these should be ignored
-  const scopeList = containerScopes.map((s, i) => `${i + 1}. ${s}`).join('\n');
+// Region results top to bottom, as a fallback when the merge pass fails
+function concatRegionResults(results) {
+  return {
+    containers: results.flatMap(result => result.containers),
+    standalone: results.flatMap(result => result.standalone).slice(0, 5)
+  };
+}
 
-  const systemPrompt = `You are a web page navigation assistant. Find ADDITIONAL containers and standalone elements that were NOT already identified.
+// First item per selector
+function uniqueItems(items) {
+  const seen = new Set();
+  return items.filter(item => {
+    if (seen.has(item.selector)) return false;
+    seen.add(item.selector);
+    return true;
+  });
+}
 
-IMPORTANT - Exclude these already found selectors:
-${excludeList}
+// Analyze page using AI API with caching
+async function handleAnalyzePage(message, signal) {
+  return runAnalysisTask('page', message, { signal });
+}
 
-CRITICAL - IGNORE ALL ELEMENTS INSIDE THESE CONTAINERS:
-${scopeList}
-Any element that is a descendant (child, grandchild, etc.) of the containers above MUST be ignored. Only look for siblings or ancestors of these containers.
+// Analyze a single container using AI API
+async function handleAnalyzeContainer(message, signal) {
+  return runAnalysisTask('container', message, { signal });
+}
 
-Find:
-1. ADDITIONAL CONTAINERS - Semantic sections with multiple interactive elements (NOT in exclude list, NOT inside scope containers above)
-2. ADDITIONAL STANDALONE elements - Important standalone elements (NOT in exclude list, NOT inside scope containers above)
+// Find the sections of a large container (nested containers)
+async function handleAnalyzeSubcontainers(message, signal) {
+  return runAnalysisTask('subcontainers', message, { signal });
+}
 
-Return JSON with this structure:
-{
-  "containers": [
-    {"selector": "css_selector", "label": "human_readable_label", "type": "container_type"}
-  ],
-  "standalone": [
-    {"selector": "css_selector", "label": "human_readable_label", "type": "element_type"}
-  ]
+// Find additional containers (Shift+A) - excludes already found ones
+async function handleFindAdditionalContainers(message, signal) {
+  return runAnalysisTask('additional', message, { signal });
 }
 
-Rules:
-- DO NOT return any selector from the exclude list
-- DO NOT return any element that is inside/nested within the scope containers
-- Only return NEW/MISSING containers and elements at the same level or higher, not nested inside existing ones`;
-
-  const userPrompt = `URL: ${url}\nTitle: ${title}\n\nDOM Snapshot:\n${JSON.stringify(domSnapshot, null, 2)}`;
-
-  const requestBody = {
-    contents: [{
-      parts: [{ text: systemPrompt + '\n\n' + userPrompt }]
-    }],
-    generationConfig: {
-      temperature: 0.1,
-      maxOutputTokens: 4096,
-      responseMimeType: "application/json",
-      thinkingConfig: {
-        thinkingBudget: 0
-      },
-      responseSchema: {
-        type: "object",
-        properties: {
-          containers: {
-            type: "array",
-            items: {
-              type: "object",
-              properties: {
-                selector: { type: "string" },
-                label: { type: "string" },
-                type: { type: "string" }
-              },
-              required: ["selector", "label", "type"]
-            }
-          },
-          standalone: {
-            type: "array",
-            items: {
-              type: "object",
-              properties: {
-                selector: { type: "string" },
-                label: { type: "string" },
-                type: { type: "string" }
-              },
-              required: ["selector", "label", "type"]
-            }
-          }
-        },
-        required: ["containers", "standalone"]
-      }
+// Repair selectors that don't resolve on the live page (validated by the content script)
+// Only candidates the content script verified are accepted; the cached analysis is patched
+// so the next visit doesn't need the repair again
+async function handleRepairSelectors(message, signal) {
+  const response = await runAnalysisTask('repair', message, { signal });
+  if (response.error) return response;
+
+  const candidateSelectors = new Set([
+    ...message.candidates.containers.map(c => c.selector),
+    ...message.candidates.standalone.map(c => c.selector)
+  ]);
+  const invalidSelectors = new Set(message.invalid.map(entry => entry.selector));
+
+  const repairs = new Map();
+  response.repairs.forEach(repair => {
+    if (invalidSelectors.has(repair.original) && candidateSelectors.has(repair.selector)) {
+      repairs.set(repair.original, repair.selector);
     }
-  };
+  });
 
-  try {
-    const response = await fetchWithRetry(apiEndpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(requestBody)
-    });
+  console.log('[SurfMate] Repaired', repairs.size, 'of', message.invalid.length, 'invalid selectors');
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Gemini API error: ${response.status} - ${errorText}`);
-    }
+  const applyRepairs = items => (items || []).map(item =>
+    repairs.has(item.selector) ? { ...item, selector: repairs.get(item.selector), repairedFrom: item.selector } : item
+  );
 
-    const data = await response.json();
-    const content = data.candidates[0].content.parts[0].text;
+  const repaired = {
+    containers: applyRepairs(message.result.containers),
+    standalone: applyRepairs(message.result.standalone)
+  };
 
-    console.log('[SurfMate] Additional containers response:', content);
+  if (repairs.size > 0) {
+    try {
+      // The analysis was cached under the tier that answered (message.tier, set when there is
+      // a chain); without one it came from the first tier
+      const settings = getSettings();
+      const tier = message.tier || getProviderTiers(settings)[0];
+      const cached = message.tier ? { ...repaired, tier: message.tier } : repaired;
+      if (tier) {
+        const cacheKey = ANALYSIS_TASKS.page.getCacheKey(message, { ...settings, provider: tier.provider, model: tier.model });
+        await updateCachedAnalysisData(cacheKey, cached);
+      }
+    } catch (error) {
+      console.error('[SurfMate] Failed to update cached analysis after repair:', error);
+    }
+  }
 
-    const parsed = JSON.parse(content);
-    const result = {
-      containers: parsed.containers || [],
-      standalone: parsed.standalone || []
-    };
+  return { ...repaired, repairedCount: repairs.size };
+}
 
-    console.log('[SurfMate] Found additional containers:', result.containers.length, 'standalone:', result.standalone.length);
+// The focused tab's requests are served first
+chrome.tabs.onActivated.addListener(({ tabId }) => {
+  setFocusedTab(tabId);
+});
 
-    return result;
+chrome.windows.onFocusChanged.addListener((windowId) => {
+  if (windowId === chrome.windows.WINDOW_ID_NONE) return;
+  chrome.tabs.query({ active: true, windowId }, (tabs) => {
+    if (tabs[0]) setFocusedTab(tabs[0].id);
+  });
+});
 
-  } catch (error) {
-    console.error('[SurfMate] Additional containers API error:', error);
-    return { error: error.message };
-  }
-}
+// Drop everything a closed tab was waiting for
+chrome.tabs.onRemoved.addListener((tabId) => {
+  siteApprovals.delete(tabId);
+  activeRequests.forEach((request, requestId) => {
+    if (request.tabId === tabId) cancelRequest(requestId);
+  });
+});
@@ -0,0 +1,195 @@
+// Persistent analysis cache (IndexedDB)
+//
+// Entries survive service worker eviction, expire after a configurable TTL and are
+// capped in number (least recently used entries are evicted first). Each entry keeps a
+// structural fingerprint of the DOM snapshot it was computed from, so an unchanged page
+// re-opens instantly while a changed page is re-analyzed even at the same URL.
+//
+// Entry shape:
+//   { key, site, url, task, provider, model, fingerprint, data, createdAt, lastAccessed, size }
+
+const CACHE_DB_NAME = 'surfmate-cache';
+const CACHE_DB_VERSION = 1;
+const CACHE_STORE = 'analyses';
+
+const DEFAULT_CACHE_TTL_MINUTES = 24 * 60; // 1 day
+const DEFAULT_CACHE_MAX_ENTRIES = 200;
+
+let cacheDbPromise = null;
+
+function openCacheDb() {
+  if (cacheDbPromise) return cacheDbPromise;
+
+  cacheDbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(CACHE_DB_NAME, CACHE_DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      const store = db.createObjectStore(CACHE_STORE, { keyPath: 'key' });
+      store.createIndex('site', 'site');
+      store.createIndex('lastAccessed', 'lastAccessed');
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      cacheDbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return cacheDbPromise;
+}
+
+// Run fn(store) in a transaction and resolve with its request result once the transaction completes
+async function withCacheStore(mode, fn) {
+  const db = await openCacheDb();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(CACHE_STORE, mode);
+    const request = fn(tx.objectStore(CACHE_STORE));
+
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// Site (hostname) an entry belongs to, used to group entries in the popup inspector
+function getCacheSite(url) {
+  try {
+    return new URL(url).hostname || url;
+  } catch (e) {
+    return url || 'unknown';
+  }
+}
+
+// 32-bit FNV-1a hash as hex
+function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+// Structural fingerprint of a DOM snapshot
+// Only tags and selectors count - text, positions and timestamps change without the layout changing
+function fingerprintSnapshot(snapshot) {
+  if (!snapshot?.elements) return null;
+
+  const structure = Array.from(new Set(
+    snapshot.elements.map(e => `${e.isContainer ? 'C' : 'E'}|${e.tag}|${e.selector}`)
+  )).sort();
+
+  return hashString(structure.join('\n'));
+}
+
+// Look up an entry, dropping it if it expired or the page structure changed
+// url is the page being analyzed - it differs from entry.url when the entry is shared through a URL template
+async function getCachedAnalysis(key, fingerprint, url, options) {
+  const entry = await withCacheStore('readonly', store => store.get(key));
+  if (!entry) return null;
+
+  const ttlMs = (options.ttlMinutes ?? DEFAULT_CACHE_TTL_MINUTES) * 60 * 1000;
+  if (Date.now() - entry.createdAt > ttlMs) {
+    console.log('[SurfMate] Cache entry expired:', key);
+    await deleteCachedAnalysis(key);
+    return null;
+  }
+
+  // Other pages of the same template naturally differ in structure, so fingerprints are only
+  // compared for the same URL - the content script re-validates template hits against the live DOM
+  if (fingerprint && entry.fingerprint && entry.url === url && entry.fingerprint !== fingerprint) {
+    console.log('[SurfMate] Page structure changed, invalidating cache entry:', key);
+    await deleteCachedAnalysis(key);
+    return null;
+  }
+
+  entry.lastAccessed = Date.now();
+  await withCacheStore('readwrite', store => store.put(entry));
+  return entry;
+}
+
+// Store an entry and evict least recently used entries beyond the size cap
+async function setCachedAnalysis(entry, options) {
+  const now = Date.now();
+  await withCacheStore('readwrite', store => store.put({
+    site: getCacheSite(entry.url),
+    size: JSON.stringify(entry.data).length,
+    createdAt: now,
+    lastAccessed: now,
+    ...entry
+  }));
+
+  await evictCachedAnalyses(options.maxEntries ?? DEFAULT_CACHE_MAX_ENTRIES);
+}
+
+async function evictCachedAnalyses(maxEntries) {
+  const count = await withCacheStore('readonly', store => store.count());
+  if (count <= maxEntries) return;
+
+  let toEvict = count - maxEntries;
+  console.log('[SurfMate] Cache over limit, evicting', toEvict, 'least recently used entries');
+
+  const db = await openCacheDb();
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction(CACHE_STORE, 'readwrite');
+    // Oldest lastAccessed first
+    const cursorRequest = tx.objectStore(CACHE_STORE).index('lastAccessed').openCursor();
+
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor || toEvict <= 0) return;
+      cursor.delete();
+      toEvict--;
+      cursor.continue();
+    };
+
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+// Replace an entry's data in place (e.g. after selector repair), keeping its age and fingerprint
+async function updateCachedAnalysisData(key, data) {
+  const entry = await withCacheStore('readonly', store => store.get(key));
+  if (!entry) return false;
+
+  entry.data = data;
+  entry.size = JSON.stringify(data).length;
+  await withCacheStore('readwrite', store => store.put(entry));
+  return true;
+}
+
+async function deleteCachedAnalysis(key) {
+  await withCacheStore('readwrite', store => store.delete(key));
+}
+
+// Clear entries matching a filter: { key }, { url }, { site } or nothing for everything
+async function clearCachedAnalyses(filter = {}) {
+  if (filter.key) {
+    return deleteCachedAnalysis(filter.key);
+  }
+
+  if (!filter.url && !filter.site) {
+    return withCacheStore('readwrite', store => store.clear());
+  }
+
+  const entries = await listCachedAnalyses();
+  const matching = entries.filter(entry =>
+    filter.url ? entry.url === filter.url : entry.site === filter.site
+  );
+
+  await withCacheStore('readwrite', store => {
+    matching.forEach(entry => store.delete(entry.key));
+  });
+}
+
+// All entries without their analysis data, most recently used first
+async function listCachedAnalyses() {
+  const entries = await withCacheStore('readonly', store => store.getAll());
+  return entries
+    .map(({ data, ...entry }) => entry)
+    .sort((a, b) => b.lastAccessed - a.lastAccessed);
+}
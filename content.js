@@ -74,8 +74,7 @@ const state = {
   currentElements: [], // Elements in current container
   keyToElement: new Map(),
   overlay: null,
-  apiKey: '',
-  enabled: false,
+  enabled: false, // extensionEnabled setting (settings.js)
   mode: 'normal', // normal, follow, command
   navigationLevel: 'containers', // 'containers' or 'elements'
   macroRecording: false,
@@ -84,15 +83,38 @@ const state = {
   followModeInput: '',
   followModeSelectedIndex: 0, // For arrow key navigation
   followModeMatches: [], // Cached matches for arrow navigation
-  // Breadcrumb trail for navigation history
-  breadcrumbTrail: [],
+  // Entered containers, outermost first: { container, elements, enrichmentStatus } per level
+  // (the last one is currentContainer; see "Nested containers")
+  containerStack: [],
   // Recently interacted elements (for highlights)
   recentElements: new Set(),
   // Tooltip element
   activeTooltip: null,
   // Gradio detection
   isGradio: false,
-  gradioVersion: 'unknown'
+  gradioVersion: 'unknown',
+  // Analysis requests in flight by request id -> cancel function (cancelled on deactivate/navigation)
+  pendingRequests: new Map(),
+  // Heuristic preview hints are on screen while the AI analysis runs
+  previewActive: false,
+  // AI labels for the current container's elements: null, 'labeling' or 'labeled'
+  enrichmentStatus: null,
+  // How this activation analyzes the page: 'ai' or 'offline' (offline provider or site policy)
+  siteAccess: 'ai',
+  // Why the page is analyzed offline, shown in the status badge (null: offline provider)
+  offlineNote: null,
+  // Resolves the site approval prompt (true: send the page) while it is on screen
+  sitePrompt: null,
+  // This page's site profile (site-profiles.js): preferred/ignored selectors, or null
+  siteProfile: null,
+  // Command keys on this site (keybindings.js): { commandId: combo }, '' when unbound
+  keybindings: getDefaultKeybindings(),
+  // Hint alphabets (hints.js), from the containerHintKeys / elementHintKeys settings
+  hintKeys: { containers: DEFAULT_CONTAINER_HINT_KEYS, elements: DEFAULT_ELEMENT_HINT_KEYS },
+  // Keys typed so far of a multi-key hint code
+  hintInput: '',
+  // A re-render that would reassign the hint codes, held back while a code is being typed
+  deferredHintRender: null
 };
 
 // Resize debounce timeout
@@ -103,12 +125,7 @@ let scrollTimeout = null;
 let scrollPending = false;
 
 // Constants
-const NUMBERS = '123456789';
-const LETTERS = 'abcdefghijklmnopqrstuvwxyz';
-// Extended keys for more elements (case-insensitive in practice, but we check both)
-const EXTENDED_KEYS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'; // Will require Shift key
-// Combined all available single-key shortcuts (total 61)
-const ALL_KEYS = NUMBERS + LETTERS + EXTENDED_KEYS;
+const NUMBERS = '123456789'; // Follow mode match keys (hints use state.hintKeys)
 const MODES = {
   NORMAL: 'normal',
   FOLLOW: 'follow',
@@ -121,6 +138,7 @@ const COLORS = {
   secondary: '#DDDD00',    // Clear yellow
   accent: '#CC33BB',       // Clear magenta
   muted: '#DD6633',        // Clear orange for inactive
+  section: '#22AACC',      // Clear cyan for sub-containers
   bg: 'rgba(8, 8, 12, 0.88)',   // Deep rich black-blue
   border: 'rgba(255, 255, 255, 0.6)',
   text: '#ffffff'
@@ -211,40 +229,809 @@ function sanitizeSelector(selector, doc = document) {
   return null;
 }
 
+// Shadow DOM: open shadow roots are searched like the rest of the page. An element inside one
+// is addressed by its host's selector, " >>> ", then its selector within the shadow root
+// ("sl-dialog#settings >>> sl-button.save >>> button"). Closed shadow roots stay out of reach.
+const SHADOW_SELECTOR_SEPARATOR = ' >>> ';
+
+// root and every open shadow root below it
+function getSearchRoots(root) {
+  const roots = [root];
+  if (root.shadowRoot) roots.push(...getSearchRoots(root.shadowRoot));
+
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    if (node.shadowRoot) roots.push(...getSearchRoots(node.shadowRoot));
+  }
+  return roots;
+}
+
+// The search roots inside el, taken from roots already collected for an enclosing scope -
+// loops over a scope's elements reuse one walk instead of walking each subtree again
+function getSearchRootsWithin(el, roots) {
+  return [el, ...roots.filter(root => root instanceof ShadowRoot && containsAcrossShadow(el, root.host))];
+}
+
+// querySelectorAll through open shadow roots (pass roots when querying the same root repeatedly)
+function querySelectorAllDeep(root, selector, roots = getSearchRoots(root)) {
+  return roots.flatMap(searchRoot => Array.from(searchRoot.querySelectorAll(selector)));
+}
+
+// Resolve a "host >>> inner" selector one shadow root at a time with resolvePart(part, root)
+function resolveShadowSelector(selector, resolvePart) {
+  let root = document;
+  let el = null;
+
+  for (const part of selector.split(SHADOW_SELECTOR_SEPARATOR)) {
+    if (el) {
+      root = el.shadowRoot;
+      if (!root) return null;
+    }
+    el = resolvePart(part.trim(), root);
+    if (!el) return null;
+  }
+  return el;
+}
+
+// el.closest(selector), continuing past shadow roots to their hosts
+function closestAcrossShadow(el, selector) {
+  const match = el.closest(selector);
+  if (match) return match;
+  const root = el.getRootNode();
+  return root instanceof ShadowRoot ? closestAcrossShadow(root.host, selector) : null;
+}
+
+// Node.contains() that also looks through shadow hosts
+function containsAcrossShadow(ancestor, el) {
+  if (ancestor.contains(el)) return true;
+  const root = el.getRootNode();
+  return root instanceof ShadowRoot ? containsAcrossShadow(ancestor, root.host) : false;
+}
+
 // Query element with selector sanitization
-function queryElementSafe(selector) {
-  const sanitized = sanitizeSelector(selector);
+function queryElementSafe(selector, root = document) {
+  if (selector?.includes(SHADOW_SELECTOR_SEPARATOR)) return resolveShadowSelector(selector, queryElementSafe);
+
+  const sanitized = sanitizeSelector(selector, root);
   if (!sanitized) return null;
-  return document.querySelector(sanitized);
+  return root.querySelector(sanitized);
+}
+
+// Every element a selector matches (a shadow selector's last part within its host's shadow root)
+function queryAllElementsSafe(selector) {
+  const parts = selector.split(SHADOW_SELECTOR_SEPARATOR);
+  const last = parts.pop();
+  const root = parts.length > 0 ? queryElementSafe(parts.join(SHADOW_SELECTOR_SEPARATOR))?.shadowRoot : document;
+  if (!root) return [];
+
+  const sanitized = sanitizeSelector(last.trim(), root);
+  return sanitized ? Array.from(root.querySelectorAll(sanitized)) : [];
+}
+
+// Minimum share of cached selectors that must still resolve before a cached analysis is reused
+const MIN_CACHED_SELECTOR_RATIO = 0.7;
+
+// Share of selectors in an analysis that resolve in the live DOM
+function getResolvedSelectorRatio(response) {
+  const selectors = [...(response.containers || []), ...(response.standalone || [])].map(item => item.selector);
+  if (selectors.length === 0) return 1;
+  const resolved = selectors.filter(selector => queryElementSafe(selector)).length;
+  return resolved / selectors.length;
+}
+
+// Unique id so a request can be cancelled later
+function createRequestId() {
+  return `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+}
+
+// Ask the background to abort a request (or drop it from the queue)
+function sendCancelRequest(requestId) {
+  chrome.runtime.sendMessage({ type: 'cancelRequest', requestId }).catch(() => {});
+}
+
+// Send an analysis message to the background with a request id that deactivate() can cancel
+// The background answers a cancelled request with { error, cancelled: true }
+async function sendAnalysisRequest(message) {
+  const outgoing = await redactOutgoingMessage(message);
+  const requestId = createRequestId();
+  state.pendingRequests.set(requestId, () => sendCancelRequest(requestId));
+  try {
+    return await chrome.runtime.sendMessage({ ...outgoing, requestId });
+  } finally {
+    state.pendingRequests.delete(requestId);
+  }
+}
+
+// Redact everything a message carries from the page (redaction.js) before it leaves the content script
+// The redaction report travels along so the audit view can show what was masked
+async function redactOutgoingMessage(message) {
+  const { redactionOptions, redactionRules } = await loadSettings(['redactionOptions', 'redactionRules']);
+  const options = { ...DEFAULT_REDACTION_OPTIONS, ...redactionOptions };
+  const outgoing = { ...message };
+
+  if (message.domSnapshot) {
+    const { snapshot, report } = redactSnapshot(message.domSnapshot, options, redactionRules);
+    outgoing.domSnapshot = snapshot;
+    outgoing.redaction = report;
+  }
+
+  // Repair candidates carry snapshot text
+  if (message.candidates && options.enabled) {
+    const redactor = createRedactor(window.location.href, options, redactionRules || []);
+    const redactList = list => list.map(candidate => ({ ...candidate, text: redactor.text(candidate.text) }));
+    outgoing.candidates = {
+      containers: redactList(message.candidates.containers),
+      standalone: redactList(message.candidates.standalone)
+    };
+  }
+
+  return outgoing;
+}
+
+// Cancel every analysis request this page is waiting for
+function cancelPendingRequests() {
+  const cancels = Array.from(state.pendingRequests.values());
+  state.pendingRequests.clear();
+  cancels.forEach(cancel => cancel());
+}
+
+// Run a page analysis over a port so containers arrive while the model is still writing
+// options.onStart: first response chunk arrived, options.onContainer: one container parsed
+async function streamPageAnalysis(snapshot, bypassCache, options) {
+  const outgoing = await redactOutgoingMessage({ type: 'analyzePage', domSnapshot: snapshot, bypassCache });
+  if (!state.active) return { error: 'Request cancelled', cancelled: true };
+
+  const requestId = createRequestId();
+
+  return new Promise((resolve, reject) => {
+    const port = chrome.runtime.connect({ name: 'analyzePage' });
+    let settled = false;
+
+    const settle = () => {
+      settled = true;
+      state.pendingRequests.delete(requestId);
+      port.disconnect();
+    };
+
+    // Closing the port also tells the background to abort
+    state.pendingRequests.set(requestId, () => {
+      if (settled) return;
+      sendCancelRequest(requestId);
+      settle();
+      resolve({ error: 'Request cancelled', cancelled: true });
+    });
+
+    port.onMessage.addListener((msg) => {
+      if (settled) return;
+
+      if (msg.type === 'started') {
+        options.onStart?.();
+      } else if (msg.type === 'container') {
+        options.onContainer?.(msg.container);
+      } else if (msg.type === 'escalating') {
+        options.onEscalate?.(msg.tier);
+      } else if (msg.type === 'result') {
+        settle();
+        resolve(msg.result);
+      }
+    });
+
+    port.onDisconnect.addListener(() => {
+      state.pendingRequests.delete(requestId);
+      if (!settled) {
+        settled = true;
+        reject(new Error('Lost connection to the extension'));
+      }
+    });
+
+    port.postMessage({ ...outgoing, requestId });
+  });
+}
+
+// Request a page analysis, re-validating cached results against the live DOM
+// Cached analyses may come from another page of the same URL template, so if too many
+// selectors no longer resolve the page is analyzed again from scratch
+async function requestPageAnalysis(snapshot, options = {}) {
+  const response = await streamPageAnalysis(snapshot, !!options.bypassCache, options);
+
+  if (response.error || !response.fromCache || !state.active) return response;
+
+  const ratio = getResolvedSelectorRatio(response);
+  if (ratio >= MIN_CACHED_SELECTOR_RATIO) {
+    console.log('[SurfMate] Reusing cached analysis', response.fromTemplate ? '(URL template)' : '', '-', Math.round(ratio * 100) + '% selectors resolved');
+    return response;
+  }
+
+  console.log('[SurfMate] Cached analysis is stale (' + Math.round(ratio * 100) + '% selectors resolved), re-analyzing');
+  return streamPageAnalysis(snapshot, true, options);
+}
+
+// Resolve a selector exactly as returned (only CSS escaping, none of sanitizeSelector's guessing)
+function resolveSelectorStrict(selector, root = document) {
+  if (!selector) return null;
+  if (selector.includes(SHADOW_SELECTOR_SEPARATOR)) return resolveShadowSelector(selector, resolveSelectorStrict);
+
+  for (const candidate of [escapeCssSelector(selector), selector]) {
+    try {
+      const el = root.querySelector(candidate);
+      if (el) return el;
+    } catch (e) {}
+  }
+  return null;
+}
+
+// Snapshot selectors that resolve on the live page and aren't used yet - the only selectors a repair may pick
+function getRepairCandidates(snapshot, usedSelectors) {
+  const candidates = { containers: [], standalone: [] };
+  const seen = new Set(usedSelectors);
+
+  snapshot.elements.forEach(e => {
+    if (seen.has(e.selector)) return;
+    seen.add(e.selector);
+
+    const list = e.isContainer ? candidates.containers : candidates.standalone;
+    if (list.length >= 120 || !resolveSelectorStrict(e.selector)) return;
+    list.push({ selector: e.selector, tag: e.tag, text: (e.text || '').substring(0, 50) });
+  });
+
+  return candidates;
+}
+
+// Validate every returned selector against the live DOM and ask the model to repair
+// the ones that don't resolve, choosing only among verified snapshot selectors
+async function validateAndRepairAnalysis(snapshot, response) {
+  const entries = [
+    ...state.containers.map(item => ({ ...item, kind: 'container' })),
+    ...state.standalone.map(item => ({ ...item, kind: 'standalone' }))
+  ];
+  const invalid = entries.filter(entry => !resolveSelectorStrict(entry.selector));
+  const stats = { returned: entries.length, valid: entries.length - invalid.length, repaired: 0, tier: response.tier };
+
+  console.log('[SurfMate] Selector validation:', stats.valid, 'of', stats.returned, 'valid');
+
+  // Cached analyses already had their repair pass (and template hits belong to another page)
+  if (invalid.length === 0 || response.fromCache) {
+    showValidationStats(stats);
+    return;
+  }
+
+  showValidationStats({ ...stats, repairing: true });
+
+  const validSelectors = entries.filter(entry => !invalid.includes(entry)).map(entry => entry.selector);
+  const repaired = await sendAnalysisRequest({
+    type: 'repairSelectors',
+    domSnapshot: { url: snapshot.url, title: snapshot.title },
+    result: { containers: state.containers, standalone: state.standalone },
+    tier: response.tier || null,
+    invalid: invalid.map(({ selector, label, type, kind }) => ({ selector, label, type, kind })),
+    candidates: getRepairCandidates(snapshot, validSelectors)
+  });
+
+  if (repaired.cancelled || !state.active) return;
+
+  if (repaired.error) {
+    console.log('[SurfMate] Selector repair failed:', repaired.error);
+    showValidationStats(stats);
+    return;
+  }
+
+  const analysis = applySiteProfile(repaired);
+  state.containers = analysis.containers;
+  state.standalone = analysis.standalone;
+  state.annotations = [...state.containers, ...state.standalone];
+  stats.repaired = [...state.containers, ...state.standalone]
+    .filter(item => item.repairedFrom && resolveSelectorStrict(item.selector)).length;
+
+  if (state.navigationLevel === 'containers') {
+    renderContainers();
+  }
+
+  showValidationStats(stats);
+}
+
+// Small corner badge with selector validation stats (N returned, M valid, K repaired)
+// and, with a provider fallback chain, the tier that answered
+function showValidationStats(stats) {
+  const tier = stats.tier ? ` • ${stats.tier.provider} ${stats.tier.model}` : '';
+  showStatusBadge(`${stats.returned} returned • ${stats.valid} valid • ${stats.repairing ? 'repairing...' : `${stats.repaired} repaired`}${tier}`);
+}
+
+// Small top-right status badge (validation stats, offline analysis notices)
+function showStatusBadge(text) {
+  if (!state.overlay) return;
+
+  let badge = state.overlay.querySelector('.browse-status-badge');
+  if (!badge) {
+    badge = document.createElement('div');
+    badge.className = 'browse-status-badge';
+    badge.style.cssText = `
+      position: fixed;
+      top: 12px;
+      right: 12px;
+      max-width: 420px;
+      padding: 6px 12px;
+      background: rgba(15, 15, 35, 0.85);
+      border: 1px solid rgba(255, 255, 255, 0.15);
+      border-radius: 8px;
+      color: rgba(255, 255, 255, 0.85);
+      font-family: -apple-system, BlinkMacSystemFont, monospace;
+      font-size: 12px;
+      z-index: 2147483647;
+      pointer-events: none;
+    `;
+    state.overlay.appendChild(badge);
+  }
+
+  badge.textContent = text;
+}
+
+// Offline mode analyzes pages with heuristics.js only - nothing is sent to a provider
+// Decided on activation by resolveSiteAccess()
+function isOfflineMode() {
+  return state.siteAccess !== 'ai';
+}
+
+// Status badge for an offline analysis
+function getOfflineStatus(analysis) {
+  return `Offline analysis • ${state.offlineNote || `${analysis.containers.length} containers`}`;
+}
+
+// This page's site policy (site-policies.js), as the background sees it
+// The background enforces it on every request anyway - checking first lets the page go
+// offline or ask instead of sending requests that get denied
+async function getPageSitePolicy() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'getSitePolicy' });
+    return response?.policy || 'offline';
+  } catch (error) {
+    console.log('[SurfMate] Could not get the site policy:', error.message);
+    return 'offline';
+  }
+}
+
+// Decide how this activation may analyze the page under its site policy: 'ai' or 'offline'
+async function resolveSiteAccess(policy) {
+  state.offlineNote = null;
+
+  const { provider } = await loadSettings(['provider']);
+  if (provider === 'offline') return 'offline';
+
+  // Over the daily budget with the "offline" action - the background would refuse anyway
+  const budget = await chrome.runtime.sendMessage({ type: 'getBudgetStatus' }).catch(() => null);
+  if (budget?.exceeded && budget.action === 'offline') {
+    state.offlineNote = 'daily AI budget reached';
+    return 'offline';
+  }
+
+  if (policy === 'offline') {
+    state.offlineNote = 'AI is turned off for this site';
+    return 'offline';
+  }
+
+  if (policy === 'ask') {
+    const approved = await askSiteApproval();
+    if (!approved) {
+      state.offlineNote = 'page not sent to the AI';
+      return 'offline';
+    }
+    const response = await chrome.runtime.sendMessage({ type: 'approveSite' });
+    return response?.success ? 'ai' : 'offline';
+  }
+
+  return 'ai';
+}
+
+// Ask whether this site may be sent to the AI provider (site policy "ask")
+// Resolves true for Y, false for N or when SurfMate is closed
+function askSiteApproval() {
+  if (!state.overlay) return Promise.resolve(false);
+
+  const prompt = document.createElement('div');
+  prompt.className = 'browse-site-prompt';
+  prompt.style.cssText = `
+    position: fixed;
+    top: 50%;
+    left: 50%;
+    transform: translate(-50%, -50%);
+    max-width: 420px;
+    padding: 20px 24px;
+    background: rgba(15, 15, 35, 0.95);
+    border: 1px solid rgba(102, 126, 234, 0.6);
+    border-radius: 12px;
+    color: rgba(255, 255, 255, 0.9);
+    font-family: -apple-system, BlinkMacSystemFont, sans-serif;
+    font-size: 14px;
+    line-height: 1.5;
+    text-align: center;
+    z-index: 2147483647;
+  `;
+
+  const question = document.createElement('div');
+  question.textContent = `Send ${window.location.hostname} to your AI provider for analysis?`;
+  const keys = document.createElement('div');
+  keys.style.cssText = 'margin-top: 10px; font-size: 12px; color: rgba(255, 255, 255, 0.6);';
+  keys.textContent = 'Y: allow in this tab • N: analyze offline';
+  prompt.append(question, keys);
+  state.overlay.appendChild(prompt);
+
+  return new Promise(resolve => {
+    state.sitePrompt = (approved) => {
+      state.sitePrompt = null;
+      prompt.remove();
+      resolve(approved);
+    };
+  });
+}
+
+function hasNavigableElements(analysis) {
+  return analysis.containers.length > 0 || analysis.standalone.length > 0;
+}
+
+// Load this page's site profile - its instructions go into the prompts in the background,
+// its selectors are applied here, where the DOM is
+async function loadSiteProfile() {
+  const { siteProfiles } = await loadSettings(['siteProfiles']);
+  state.siteProfile = getSiteProfile(siteProfiles, window.location.href);
+}
+
+// Whether an element matches one of the site's ignored selectors or is inside one
+function isIgnoredBySiteProfile(el) {
+  if (!el || !state.siteProfile) return false;
+  return state.siteProfile.ignoredSelectors.some(selector => {
+    try {
+      return !!closestAcrossShadow(el, selector);
+    } catch (e) {
+      return false;
+    }
+  });
+}
+
+// Position of the first preferred selector an element matches or is inside (Infinity if none)
+function getSiteProfileRank(el) {
+  if (!el || !state.siteProfile) return Infinity;
+  const index = state.siteProfile.preferredSelectors.findIndex(selector => {
+    try {
+      return !!closestAcrossShadow(el, selector);
+    } catch (e) {
+      return false;
+    }
+  });
+  return index === -1 ? Infinity : index;
+}
+
+// Drop ignored items and move preferred ones to the front (otherwise keeping their order)
+function applySiteProfileToItems(items, getElement = item => resolveSelectorStrict(item.selector)) {
+  if (!state.siteProfile) return items;
+
+  return items
+    .map((item, index) => ({ item, index, el: getElement(item) }))
+    .filter(entry => !isIgnoredBySiteProfile(entry.el))
+    .map(entry => ({ ...entry, rank: getSiteProfileRank(entry.el) }))
+    .sort((a, b) => (a.rank - b.rank) || (a.index - b.index))
+    .map(entry => entry.item);
+}
+
+// Apply the site profile to a page analysis; preferred sections the analysis missed are added
+function applySiteProfile(analysis) {
+  if (!state.siteProfile) return analysis;
+
+  const containers = [...analysis.containers];
+  state.siteProfile.preferredSelectors.forEach(selector => {
+    const el = resolveSelectorStrict(selector);
+    if (!el || !isVisible(el) || isIgnoredBySiteProfile(el)) return;
+    if (containers.some(container => resolveSelectorStrict(container.selector) === el)) return;
+    containers.push({ selector, label: getAccessibleLabel(el) || getSectionHeading(el) || selector, type: 'section' });
+  });
+
+  return {
+    ...analysis,
+    containers: applySiteProfileToItems(containers),
+    standalone: applySiteProfileToItems(analysis.standalone)
+  };
+}
+
+// Show an offline (heuristic) analysis: offline mode, the AI request failed, or a preview while it runs
+function applyHeuristicAnalysis(heuristic, status) {
+  const analysis = applySiteProfile(heuristic);
+  state.containers = analysis.containers;
+  state.standalone = analysis.standalone;
+  state.annotations = [...state.containers, ...state.standalone];
+
+  hideLoadingProgress();
+  renderContainers();
+  showStatusBadge(status);
+}
+
+// Delay before the heuristic preview is painted - quick answers (e.g. from cache) skip it
+const HEURISTIC_PREVIEW_DELAY_MS = 400;
+
+// Paint the heuristic analysis while the AI analysis is still running
+// Returns a cancel function; the first streamed AI container replaces the preview
+function scheduleHeuristicPreview(analysis) {
+  if (!hasNavigableElements(analysis)) return () => {};
+
+  const timer = setTimeout(() => {
+    // Deactivated, or streamed AI containers are already on screen
+    if (!state.active || state.keyToElement.size > 0) return;
+    state.previewActive = true;
+    applyHeuristicAnalysis(analysis, 'Quick preview • AI analysis running...');
+  }, HEURISTIC_PREVIEW_DELAY_MS);
+
+  return () => clearTimeout(timer);
+}
+
+// Streaming callbacks shared by activate() and reloadFullPage()
+function getStreamingRenderOptions() {
+  return {
+    onStart: () => setLoadingStatus('Receiving analysis...'),
+    onContainer: renderStreamedContainer,
+    onEscalate: handleEscalation
+  };
+}
+
+// The background gave up on a provider tier and asked the next one in the fallback chain -
+// hints streamed from the failed tier are dropped (a heuristic preview stays until the new tier streams)
+function handleEscalation(tier) {
+  if (!state.active || !state.overlay) return;
+
+  if (state.navigationLevel === 'containers' && !state.previewActive) {
+    clearHints();
+    state.keyToElement.clear();
+  }
+
+  const message = `Escalating to ${tier.provider} ${tier.model}...`;
+  setLoadingStatus(message);
+  showStatusBadge(message);
+}
+
+// Frames: the content script runs in every frame (all_frames), but only the top frame shows
+// the overlay. An <iframe> is a container like any other: child frames list their own elements
+// and click them on request, with commands relayed by the background to their frame ids.
+// Frame element rects are frame-relative and placed through the iframe's box when rendered.
+// One level deep - frames inside frames are not listed.
+const FRAME_HANDSHAKE_TIMEOUT_MS = 1000;
+const MAX_FRAME_SUMMARIES = 10;
+const frameIds = new WeakMap(); // <iframe> -> frame id
+const pendingFrameTokens = new Map(); // Handshake token -> resolve(frameId)
+let frameAgentElements = []; // In a child frame: the elements listed for the top frame
+
+function isTopFrame() {
+  return window === window.top;
+}
+
+// Frame id of an <iframe>, or null when its content script doesn't answer (still loading,
+// or a page extensions can't run on). The token goes to the frame's window; its content script
+// hands it to the background, which tells us the sender's frame id.
+function getFrameId(iframe) {
+  if (frameIds.has(iframe)) return Promise.resolve(frameIds.get(iframe));
+  if (!iframe.contentWindow) return Promise.resolve(null);
+
+  return new Promise(resolve => {
+    const token = createRequestId();
+    const timeout = setTimeout(() => {
+      pendingFrameTokens.delete(token);
+      resolve(null);
+    }, FRAME_HANDSHAKE_TIMEOUT_MS);
+
+    pendingFrameTokens.set(token, (frameId) => {
+      clearTimeout(timeout);
+      pendingFrameTokens.delete(token);
+      frameIds.set(iframe, frameId);
+      resolve(frameId);
+    });
+    iframe.contentWindow.postMessage({ surfmateFrameToken: token }, '*');
+  });
+}
+
+// Run a command in the frame behind an <iframe> (see handleFrameCommand)
+async function sendFrameCommand(iframe, command) {
+  const frameId = await getFrameId(iframe);
+  if (!frameId) return { error: 'Frame is not available' };
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'frameCommand', frameId, command });
+    // The frame may have navigated - shake hands again next time
+    if (response.error) frameIds.delete(iframe);
+    return response;
+  } catch (error) {
+    frameIds.delete(iframe);
+    return { error: error.message };
+  }
+}
+
+// Where a frame element is in this (the top frame's) viewport, or null when it is scrolled
+// out of its iframe
+function getFrameElementRect(element) {
+  const iframe = element._frame;
+  if (!iframe.isConnected) return null;
+
+  const box = iframe.getBoundingClientRect();
+  const style = getComputedStyle(iframe);
+  const left = box.left + iframe.clientLeft + parseFloat(style.paddingLeft);
+  const top = box.top + iframe.clientTop + parseFloat(style.paddingTop);
+  const right = box.left + iframe.clientLeft + iframe.clientWidth - parseFloat(style.paddingRight);
+  const bottom = box.top + iframe.clientTop + iframe.clientHeight - parseFloat(style.paddingBottom);
+
+  const rect = {
+    left: element.rect.left + left,
+    top: element.rect.top + top,
+    width: element.rect.width,
+    height: element.rect.height
+  };
+  rect.right = rect.left + rect.width;
+  rect.bottom = rect.top + rect.height;
+
+  if (rect.right <= left || rect.left >= right || rect.bottom <= top || rect.top >= bottom) return null;
+  return rect;
+}
+
+// The interactive elements of an <iframe> container, tagged with their iframe
+async function findInteractiveElementsInFrame(iframe) {
+  const response = await sendFrameCommand(iframe, { name: 'elements' });
+  if (response.error) {
+    console.log('[SurfMate] Frame elements unavailable:', response.error);
+    return [];
+  }
+  return response.elements.map(element => ({ ...element, _frame: iframe }));
+}
+
+// Container snapshot of a frame's document, under the frame's own URL so its redaction rules
+// and cache key are the frame's. null when the frame's site policy keeps it from the provider
+async function generateFrameSnapshot(iframe, container) {
+  const response = await sendFrameCommand(iframe, { name: 'snapshot', label: container.label, type: container.type });
+  if (response.withheld) return null;
+  return {
+    url: response.url || iframe.src,
+    title: document.title,
+    containerLabel: container.label,
+    containerType: container.type,
+    elements: response.error ? [] : response.elements
+  };
+}
+
+// Describe each iframe container of a page snapshot with what its frame holds
+async function addFrameSummaries(snapshot) {
+  const frames = snapshot.elements.filter(e => e.tag === 'iframe').slice(0, MAX_FRAME_SUMMARIES);
+
+  await Promise.all(frames.map(async (entry) => {
+    const iframe = queryElementSafe(entry.selector);
+    if (!iframe) return;
+
+    const response = await sendFrameCommand(iframe, { name: 'summary' });
+    if (response.error || response.withheld) return;
+    entry.text = response.text.substring(0, 100);
+    entry.attributes.heading = entry.attributes.heading || response.heading;
+  }));
+}
+
+// Activate an element inside an iframe - its own frame clicks it
+async function activateFrameElement(annotation, key) {
+  hideHint(key);
+
+  const response = await sendFrameCommand(annotation._frame, {
+    name: 'activate',
+    index: annotation.frameIndex,
+    selector: annotation.selector,
+    type: annotation.type
+  });
+  if (response.error) {
+    console.warn('[SurfMate] Could not activate frame element:', annotation.label, response.error);
+    showHUD('Element no longer available');
+    return;
+  }
+
+  deactivate();
+}
+
+// In a child frame: answer the top frame's handshake and its commands
+function initFrameAgent() {
+  window.addEventListener('message', (event) => {
+    const token = event.data?.surfmateFrameToken;
+    if (event.source !== window.parent || typeof token !== 'string') return;
+    chrome.runtime.sendMessage({ type: 'registerFrame', token }).catch(() => {});
+  });
+
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.type !== 'frameCommand') return false;
+    handleFrameCommand(message.command).then(sendResponse);
+    return true;
+  });
+}
+
+// Whether the frame's contents may go to the provider. The background holds a frame to the
+// stricter of its own and its tab's policy, so an embedded bank stays offline on any page.
+// "ask" counts as no: only the top frame asks, so a frame's own site is never approved
+async function isFrameShareable() {
+  const policy = await getPageSitePolicy();
+  return policy === 'allow';
+}
+
+// Redactor for text the frame hands to the top frame, with the frame's own domain rules
+async function getFrameRedactor() {
+  const { redactionOptions, redactionRules } = await loadSettings(['redactionOptions', 'redactionRules']);
+  const options = { ...DEFAULT_REDACTION_OPTIONS, ...redactionOptions };
+  return options.enabled ? createRedactor(window.location.href, options, redactionRules || []) : { text: value => value };
+}
+
+// The whole frame document is the container
+function listFrameElements() {
+  frameAgentElements = findInteractiveElementsInContainer({ selector: 'body', label: document.title || 'frame' });
+  return frameAgentElements;
+}
+
+// Summaries and snapshots end up in analysis requests - the frame's policy decides whether
+// they leave the frame at all ({ withheld: true })
+async function handleFrameCommand(command) {
+  if (command.name === 'elements') {
+    return {
+      elements: listFrameElements().map((element, index) => {
+        const rect = element._element.getBoundingClientRect();
+        return {
+          selector: generateSelector(element._element),
+          label: element.label,
+          type: element.type,
+          frameIndex: index,
+          rect: { left: rect.left, top: rect.top, width: rect.width, height: rect.height }
+        };
+      })
+    };
+  }
+
+  if (command.name === 'summary') {
+    if (!(await isFrameShareable())) return { withheld: true };
+    const redactor = await getFrameRedactor();
+    const labels = listFrameElements().map(element => element.label);
+    return {
+      heading: redactor.text((document.title || document.querySelector('h1, h2, h3')?.textContent || '').trim().substring(0, 80)),
+      text: redactor.text(`${labels.length} controls: ${labels.join(', ')}`)
+    };
+  }
+
+  if (command.name === 'snapshot') {
+    if (!(await isFrameShareable())) return { withheld: true };
+    return generateContainerSnapshot({ selector: 'body', label: command.label, type: command.type });
+  }
+
+  if (command.name === 'activate') {
+    // The listed element, unless the frame changed since - then whatever the selector finds
+    const listed = frameAgentElements[command.index]?._element;
+    const element = listed?.isConnected && generateSelector(listed) === command.selector
+      ? listed
+      : queryElementSafe(command.selector);
+    if (!element) return { error: 'Element no longer available' };
+
+    // Answer first - a click that opens a dialog would hold the response until it's closed
+    setTimeout(() => performElementAction(element, command.type || element.tagName.toLowerCase()), 0);
+    return { success: true };
+  }
+
+  return { error: `Unknown frame command: ${command.name}` };
 }
 
 // Initialize
 function init() {
+  if (!isTopFrame()) {
+    initFrameAgent();
+    return;
+  }
+
   loadState();
   setupEventListeners();
   observeChanges();
   loadSessions();
 }
 
-// Load saved state
-function loadState() {
-  chrome.storage.local.get(['apiKey', 'browseEnabled', 'browseSessions'], (result) => {
-    state.apiKey = result.apiKey || '';
-    state.enabled = result.browseEnabled || false;
-
-    if (result.browseSessions) {
-      try {
-        const sessions = JSON.parse(result.browseSessions);
-        Object.entries(sessions).forEach(([name, data]) => {
-          state.sessions.set(name, data);
-        });
-      } catch (e) {}
-    }
+// Load saved state (sessions are loaded by loadSessions)
+// Whether the provider is configured is up to the background - without it the analysis falls back to offline
+async function loadState() {
+  const settings = await loadSettings(['extensionEnabled', 'containerHintKeys', 'elementHintKeys', 'keybindings', 'siteKeybindings']);
+  state.enabled = settings.extensionEnabled;
+  setKeybindings(settings);
+  setHintKeys(settings);
 
-    if (state.enabled && state.apiKey) {
-      activate();
-    }
-  });
+  if (state.enabled) {
+    activate();
+  }
 }
 
 // Setup event listeners
@@ -307,17 +1094,12 @@ function handleScroll() {
 
 // Handle messages
 function handleMessage(message, sender, sendResponse) {
-  if (message.type === 'toggleBrowse') {
-    if (message.enabled) activate();
-    else deactivate();
+  if (message.type === SETTINGS_CHANGED_MESSAGE) {
+    handleSettingsChanged(message.keys, message.settings);
   }
 
-  if (message.type === 'settingsUpdate') {
-    state.apiKey = message.apiKey;
-    state.enabled = message.enabled;
-
-    if (state.enabled && state.apiKey) activate();
-    else deactivate();
+  if (message.type === 'frameRegistered') {
+    pendingFrameTokens.get(message.token)?.(message.frameId);
   }
 
   if (message.type === 'saveSession') {
@@ -331,95 +1113,198 @@ function handleMessage(message, sender, sendResponse) {
   return true;
 }
 
-// Keyboard handler
-function handleKeyDown(e) {
-  if (!state.active) return;
+// Settings changed in the popup, the options page or by the toggle shortcut (sent by the background)
+function handleSettingsChanged(keys, settings) {
+  if (keys.includes('extensionEnabled')) {
+    state.enabled = settings.extensionEnabled;
+    if (state.enabled) activate();
+    else deactivate();
+  }
 
-  // Always allow escape
-  if (e.key === 'Escape') {
-    e.preventDefault();
-    handleEscape();
-    return;
+  if (keys.includes('siteProfiles') && state.active) {
+    state.siteProfile = getSiteProfile(settings.siteProfiles, window.location.href);
   }
 
-  // Mode-specific handling FIRST (before other key checks)
-  if (state.mode === MODES.FOLLOW) {
-    handleFollowModeKeydown(e);
-    return;
+  // Bound keys are taken out of the hint alphabets, so new bindings can change the hints too
+  if (['containerHintKeys', 'elementHintKeys', 'keybindings', 'siteKeybindings'].some(key => keys.includes(key))) {
+    setKeybindings(settings);
+    setHintKeys(settings);
+    if (state.active && state.navigationLevel === 'containers') renderContainers();
+    if (state.active && state.navigationLevel === 'elements' && state.currentContainer) {
+      renderContainerElements(state.currentContainer);
+    }
   }
+}
 
-  if (state.mode === MODES.COMMAND) {
-    handleCommandPaletteKeydown(e);
-    return;
+// The user's keys, then this site's overrides
+function setKeybindings(settings) {
+  const siteOverrides = settings.siteKeybindings[getSiteProfileOrigin(window.location.href)];
+  state.keybindings = resolveKeybindings(settings.keybindings, siteOverrides);
+}
+
+// Call after setKeybindings - plain keys bound to commands are no hint keys
+function setHintKeys(settings) {
+  const reserved = getReservedHintKeys(state.keybindings);
+  state.hintKeys = {
+    containers: normalizeHintKeys(settings.containerHintKeys, DEFAULT_CONTAINER_HINT_KEYS, reserved),
+    elements: normalizeHintKeys(settings.elementHintKeys, DEFAULT_ELEMENT_HINT_KEYS, reserved)
+  };
+}
+
+// A hint alphabet short enough for a HUD
+function formatHintKeysPreview(keys) {
+  return keys.length > 10 ? `${keys.slice(0, 9)}…` : keys;
+}
+
+// Container count and hint keys for HUD texts
+function formatContainersHUD() {
+  return `${state.containers.length} containers (workflow order) • ${formatHintKeysPreview(state.hintKeys.containers)}: select`;
+}
+
+// Element count and hint keys of the current container for HUD texts
+function formatElementsHUD() {
+  return `${state.currentElements.length} elements (workflow order) • ${formatHintKeysPreview(state.hintKeys.elements)}: select`;
+}
+
+// Key of a command for HUD texts
+function getCommandKey(id) {
+  return state.keybindings[id] || 'unbound';
+}
+
+// Type one key of a hint code: a complete code selects its item, a prefix narrows the hints
+// Returns false for keys that don't continue any code
+function typeHintKey(key) {
+  const typed = state.hintInput + key;
+  const codes = Array.from(state.keyToElement.keys());
+  if (!codes.some(code => code.startsWith(typed))) return false;
+
+  const item = state.keyToElement.get(typed);
+  if (!item) {
+    state.hintInput = typed;
+    applyHintFilter();
+    return true;
+  }
+
+  state.hintInput = '';
+  applyHintFilter();
+  if (item.type === 'container') {
+    // Enter container (zoom in)
+    enterContainer(item.data);
+  } else if (item.type === 'standalone' || item.type === 'element') {
+    // Activate element directly
+    activateElement(item.data, typed);
+  }
+  return true;
+}
+
+// Run the re-render held back while a hint code was being typed (the typed keys were dropped)
+function flushDeferredHintRender() {
+  const render = state.deferredHintRender;
+  state.deferredHintRender = null;
+  render?.();
+}
+
+// Dim the hints that don't start with the typed keys and mark the typed part on the rest
+// (called after every render, so the typed keys survive scrolling)
+function applyHintFilter() {
+  if (!state.overlay) return;
+
+  const codes = Array.from(state.keyToElement.keys());
+  if (!codes.some(code => code.startsWith(state.hintInput))) {
+    state.hintInput = '';
+    // Not from inside the render that called us
+    if (state.deferredHintRender) setTimeout(flushDeferredHintRender, 0);
   }
+  const typed = state.hintInput;
+
+  state.overlay.querySelectorAll('.browse-vimium-hint, .browse-container-badge').forEach(hint => {
+    const code = hint.getAttribute('data-key');
+    const matches = code.startsWith(typed);
+    hint.style.opacity = matches ? '' : '0.15';
+
+    // Element hints show the typed keys faded
+    if (hint.classList.contains('browse-vimium-hint')) {
+      hint.innerHTML = matches && typed
+        ? `<span style="opacity: 0.4;">${typed}</span>${code.slice(typed.length)}`
+        : code;
+    }
+  });
+
+  state.overlay.querySelectorAll('.browse-element-border, .browse-container-border').forEach(border => {
+    const code = border.getAttribute('data-for') || border.getAttribute('data-container-key') || '';
+    border.style.opacity = code.startsWith(typed) ? '' : '0.15';
+  });
+}
+
+// Keyboard handler
+function handleKeyDown(e) {
+  if (!state.active) return;
 
-  // Command mode: Ctrl/Cmd + P
-  if ((e.ctrlKey || e.metaKey) && e.key === 'p') {
+  // Site approval prompt: Y sends the page, N analyzes it offline (Escape closes SurfMate)
+  if (state.sitePrompt && e.key !== 'Escape') {
     e.preventDefault();
-    openCommandPalette();
+    const key = e.key.toLowerCase();
+    if (key === 'y' || key === 'n') state.sitePrompt(key === 'y');
     return;
   }
 
-  // Follow mode: F (only if not already in follow mode)
-  if (e.key === 'f' && !e.ctrlKey && !e.metaKey && !e.altKey) {
+  // Backspace takes back the last typed key of a hint code
+  if (e.key === 'Backspace' && state.hintInput && state.mode === MODES.NORMAL) {
     e.preventDefault();
-    enterFollowMode();
+    state.hintInput = state.hintInput.slice(0, -1);
+    applyHintFilter();
+    if (!state.hintInput) flushDeferredHintRender();
     return;
   }
 
-  // Force reload: Shift+R (ignore cache)
-  if (e.shiftKey && e.key === 'R' && !e.ctrlKey && !e.metaKey) {
+  // Always allow escape
+  if (e.key === 'Escape') {
     e.preventDefault();
-    forceReload();
+    handleEscape();
     return;
   }
 
-  // Find additional containers: Shift+A
-  if (e.shiftKey && e.key === 'A' && !e.ctrlKey && !e.metaKey) {
-    e.preventDefault();
-    findAdditionalContainers();
+  // Mode-specific handling FIRST (before other key checks)
+  if (state.mode === MODES.FOLLOW) {
+    handleFollowModeKeydown(e);
     return;
   }
 
-  // Macro recording: Ctrl+Shift+R
-  if (e.ctrlKey && e.shiftKey && e.key === 'R') {
-    e.preventDefault();
-    toggleMacroRecording();
+  // The palette's input handles its own keys (handlePaletteKeydown)
+  if (state.mode === MODES.COMMAND) {
     return;
   }
 
-  // Save session: Ctrl+S
-  if (e.ctrlKey && e.key === 's') {
+  // Command keys (keybindings.js) - follow mode, reload, palette, ...
+  const command = getKeybindingCommand(state.keybindings, getKeyEventCombo(e));
+  if (command) {
     e.preventDefault();
-    promptSaveSession();
+    executeCommand(command);
     return;
   }
 
-  // Container/Element navigation
-  if (!e.ctrlKey && !e.metaKey && !e.altKey) {
+  // Container/Element navigation (hint codes are lowercase, Shift is ignored)
+  if (!e.ctrlKey && !e.metaKey && !e.altKey && e.key.length === 1) {
     const key = e.key.toLowerCase();
+    const hintKeys = state.navigationLevel === 'elements' ? state.hintKeys.elements : state.hintKeys.containers;
 
-    // Check if key is one of our mapped shortcuts
-    if (ALL_KEYS.toLowerCase().includes(key)) {
+    // Keys of the hint alphabet never reach the page, even when they continue no code
+    if (typeHintKey(key) || hintKeys.includes(key)) {
       e.preventDefault();
-
-      if (state.keyToElement.has(key)) {
-        const item = state.keyToElement.get(key);
-
-        if (item.type === 'container') {
-          // Enter container (zoom in)
-          enterContainer(item.data);
-        } else if (item.type === 'standalone' || item.type === 'element') {
-          // Activate element directly
-          activateElement(item.data, key);
-        }
-      }
     }
   }
 }
 
 // Handle escape
 function handleEscape() {
+  // Typed keys of a hint code are dropped first
+  if (state.hintInput && state.mode === MODES.NORMAL) {
+    state.hintInput = '';
+    applyHintFilter();
+    flushDeferredHintRender();
+    return;
+  }
+
   if (state.mode === MODES.FOLLOW) {
     exitFollowMode();
     return;
@@ -435,9 +1320,9 @@ function handleEscape() {
     return;
   }
 
-  // If inside a container, go back to container level
+  // If inside a container, go back one level (parent container or container level)
   if (state.navigationLevel === 'elements') {
-    exitToContainers();
+    exitContainer();
     return;
   }
 
@@ -755,6 +1640,16 @@ async function activate() {
   state.active = true;
   state.navigationLevel = 'containers';
   state.currentContainer = null;
+  state.containerStack = [];
+
+  // Blocked sites never show the overlay
+  const sitePolicy = await getPageSitePolicy();
+  if (sitePolicy === 'block') {
+    console.log('[SurfMate] Blocked on this site by its site policy');
+    state.active = false;
+    return;
+  }
+  if (!state.active) return;
 
   // Detect if this is a Gradio app
   state.isGradio = isGradioApp();
@@ -764,11 +1659,21 @@ async function activate() {
   }
 
   createOverlay();
+  // Keys typed into a focused iframe never reach this document
+  if (document.activeElement?.tagName === 'IFRAME') document.activeElement.blur();
+  // Streamed containers take the container hint keys in arrival order
+  state.keyToElement.clear();
+
+  state.siteAccess = await resolveSiteAccess(sitePolicy);
+  await loadSiteProfile();
+  if (!state.active) return;
 
   // Show animated loading progress
   showLoadingProgress();
 
   const snapshot = generateDOMSnapshot();
+  await addFrameSummaries(snapshot);
+  if (!state.active) return;
 
   // Debug: Log snapshot info
   const containerElements = snapshot.elements.filter(e => e.isContainer);
@@ -776,20 +1681,38 @@ async function activate() {
   console.log('[SurfMate] Container elements (isContainer:true):', containerElements.length);
   console.log('[SurfMate] Container element selectors:', containerElements.slice(0, 5).map(e => `${e.tag} - ${e.selector}`));
 
+  const heuristic = analyzeSnapshotHeuristically(snapshot);
+  console.log('[SurfMate] Heuristic analysis:', heuristic.containers.length, 'containers,', heuristic.standalone.length, 'standalone');
+
+  if (isOfflineMode()) {
+    if (!hasNavigableElements(heuristic)) {
+      hideLoadingProgress();
+      showError('No navigable elements found');
+      return;
+    }
+    applyHeuristicAnalysis(heuristic, getOfflineStatus(heuristic));
+    return;
+  }
+
+  const cancelPreview = scheduleHeuristicPreview(heuristic);
+
   try {
-    const response = await chrome.runtime.sendMessage({
-      type: 'analyzePage',
-      domSnapshot: snapshot
-    });
+    const response = await requestPageAnalysis(snapshot, getStreamingRenderOptions());
+    cancelPreview();
+
+    // Deactivated while loading - the overlay is already gone
+    if (response.cancelled) return;
+
+    state.previewActive = false;
 
     if (response.error) {
-      hideLoadingProgress();
-      showError(response.error);
+      showAnalysisError(formatResponseError(response), heuristic);
       return;
     }
 
-    state.containers = response.containers || [];
-    state.standalone = response.standalone || [];
+    const analysis = applySiteProfile({ containers: response.containers || [], standalone: response.standalone || [] });
+    state.containers = analysis.containers;
+    state.standalone = analysis.standalone;
 
     // Debug: Log what we received
     console.log('[SurfMate] AI returned containers:', state.containers.length, 'standalone:', state.standalone.length);
@@ -810,13 +1733,39 @@ async function activate() {
       return;
     }
 
-    renderContainers();
+    // The user may already be inside a container picked from the heuristic preview
+    if (state.navigationLevel === 'containers') {
+      renderContainers();
+    }
     const total = state.containers.length + state.standalone.length;
-    showHUD(`${state.containers.length} containers (1→9 workflow order) • 1-9: select • ?: help`);
+    showHUD(`${formatContainersHUD()}${state.keybindings.help ? ` • ${state.keybindings.help}: help` : ''}`);
+
+    await validateAndRepairAnalysis(snapshot, response);
   } catch (error) {
-    hideLoadingProgress();
-    showError(error.message);
+    cancelPreview();
+    state.previewActive = false;
+    showAnalysisError(error.message, heuristic);
+  }
+}
+
+// Error text of a failed analysis response - a timeout names this site's retry key
+function formatResponseError(response) {
+  const reloadKey = state.keybindings.reload;
+  return response.timedOut && reloadKey ? `${response.error} (${reloadKey})` : response.error;
+}
+
+// The AI analysis failed (no key, provider error, timeout) - fall back to the offline analysis
+function showAnalysisError(message, heuristic) {
+  if (!state.active) return;
+
+  if (hasNavigableElements(heuristic)) {
+    console.log('[SurfMate] AI analysis failed, using offline analysis:', message);
+    applyHeuristicAnalysis(heuristic, `Offline analysis • AI unavailable: ${message}`);
+    return;
   }
+
+  hideLoadingProgress();
+  showError(message);
 }
 
 // Loading progress animation
@@ -978,6 +1927,18 @@ function showLoadingProgress() {
   }, 1500);
 }
 
+// Replace the rotating loading messages with real progress
+function setLoadingStatus(message) {
+  if (loadingInterval) {
+    clearInterval(loadingInterval);
+    loadingInterval = null;
+  }
+
+  if (!loadingProgressElement) return;
+  const textEl = loadingProgressElement.querySelector('.browse-loading-text');
+  if (textEl) textEl.textContent = message;
+}
+
 function hideLoadingProgress() {
   if (loadingInterval) {
     clearInterval(loadingInterval);
@@ -1011,9 +1972,14 @@ function hideLoadingProgress() {
 
 // Deactivate
 function deactivate() {
+  // Stop paying for analyses nobody will see
+  cancelPendingRequests();
+
   state.active = false;
   state.mode = MODES.NORMAL;
   state.navigationLevel = 'containers';
+  state.previewActive = false;
+  if (state.sitePrompt) state.sitePrompt(false);
 
   if (state.overlay) {
     // Add fade-out animation
@@ -1033,7 +1999,10 @@ function deactivate() {
   state.annotations = [];
   state.currentContainer = null;
   state.currentElements = [];
+  state.containerStack = [];
   state.keyToElement.clear();
+  state.hintInput = '';
+  state.deferredHintRender = null;
 }
 
 // Force reload
@@ -1052,7 +2021,7 @@ async function forceReload() {
 async function findAdditionalContainers() {
   // Only works at container level
   if (state.navigationLevel !== 'containers') {
-    showHUD('Shift+A only works at container level. Press Escape first.');
+    showHUD(`${getCommandKey('additional')} only works at container level. Press Escape first.`);
     return;
   }
 
@@ -1069,22 +2038,26 @@ async function findAdditionalContainers() {
   try {
     const snapshot = generateDOMSnapshot();
 
-    const response = await chrome.runtime.sendMessage({
-      type: 'findAdditionalContainers',
-      domSnapshot: snapshot,
-      excludeSelectors: Array.from(existingSelectors),
-      containerScopes: containerScopes
-    });
+    const response = isOfflineMode()
+      ? findAdditionalContainersOffline(snapshot, existingSelectors, containerScopes)
+      : await sendAnalysisRequest({
+        type: 'findAdditionalContainers',
+        domSnapshot: snapshot,
+        excludeSelectors: Array.from(existingSelectors),
+        containerScopes: containerScopes
+      });
 
     hideLoadingProgress();
 
+    if (response.cancelled) return;
+
     if (response.error) {
       showError(response.error);
       return;
     }
 
-    const newContainers = response.containers || [];
-    const newStandalone = response.standalone || [];
+    const newContainers = applySiteProfileToItems(response.containers || []);
+    const newStandalone = applySiteProfileToItems(response.standalone || []);
 
     if (newContainers.length === 0 && newStandalone.length === 0) {
       showHUD('No additional containers found');
@@ -1126,42 +2099,66 @@ async function findAdditionalContainers() {
   }
 }
 
+// Offline Shift+A: run the heuristics over whatever the current containers don't cover
+function findAdditionalContainersOffline(snapshot, excludeSelectors, containerScopes) {
+  const scopeRects = snapshot.elements
+    .filter(e => e.isContainer && containerScopes.includes(e.selector))
+    .map(e => e.position);
+
+  return analyzeSnapshotHeuristically({
+    ...snapshot,
+    elements: snapshot.elements.filter(e =>
+      !excludeSelectors.has(e.selector) &&
+      (e.isContainer || !scopeRects.some(rect => rectContains(rect, e.position)))
+    )
+  });
+}
+
 // Reload full page
 async function reloadFullPage() {
-  // Clear cache for current page
-  await chrome.runtime.sendMessage({ type: 'clearCache' });
+  // Streamed containers replace the current hints
+  clearHints();
+  state.keyToElement.clear();
 
   // Show loading animation
   showLoadingProgress();
 
-  // Re-analyze
+  // Re-analyze, ignoring the cache (the fresh result replaces the cached one,
+  // including one shared through a URL template)
   const snapshot = generateDOMSnapshot();
+  const heuristic = analyzeSnapshotHeuristically(snapshot);
+
+  if (isOfflineMode()) {
+    applyHeuristicAnalysis(heuristic, getOfflineStatus(heuristic));
+    return;
+  }
 
   try {
-    const response = await chrome.runtime.sendMessage({
-      type: 'analyzePage',
-      domSnapshot: snapshot
-    });
+    const response = await requestPageAnalysis(snapshot, { bypassCache: true, ...getStreamingRenderOptions() });
 
-    hideLoadingProgress();
+    if (response.cancelled) return;
 
     if (response.error) {
-      showError(response.error);
+      showAnalysisError(formatResponseError(response), heuristic);
       return;
     }
 
-    state.containers = response.containers || [];
-    state.standalone = response.standalone || [];
+    hideLoadingProgress();
+
+    const analysis = applySiteProfile({ containers: response.containers || [], standalone: response.standalone || [] });
+    state.containers = analysis.containers;
+    state.standalone = analysis.standalone;
 
     // Populate annotations for hover effects
     state.annotations = [...state.containers, ...state.standalone];
 
     renderContainers();
     const total = state.containers.length + state.standalone.length;
-    showHUD(`Reloaded: ${state.containers.length} containers (1→9 workflow order) • 1-9: select`);
+    showHUD(`Reloaded: ${formatContainersHUD()}`);
+
+    await validateAndRepairAnalysis(snapshot, response);
   } catch (error) {
-    hideLoadingProgress();
-    showError(error.message);
+    showAnalysisError(error.message, heuristic);
   }
 }
 
@@ -1175,10 +2172,15 @@ async function reloadContainer() {
 
   state.currentElements = findInteractiveElementsInContainer(container);
 
-  // Re-render with new elements
+  // Re-render with new elements, then re-apply AI labels and sections (usually straight from the cache)
+  const containerEl = queryElementSafe(container.selector);
+  state.enrichmentStatus = null;
+  splitContainer(container, containerEl);
   renderContainerElements(container);
+  enrichContainerElements(container);
+  analyzeSubcontainers(container, containerEl);
 
-  showHUD(`${state.currentElements.length} elements (a→z workflow order) • ESC: back`);
+  showHUD(`${formatElementsHUD()} • esc: back`);
 }
 
 // ============================================================================
@@ -1313,45 +2315,80 @@ function renderContainers() {
   clearHints();
   state.keyToElement.clear();
 
-  // Filter out fake containers (AI sometimes identifies single elements as containers)
-  // A real container should have multiple elements OR be a known semantic section
-  const validContainers = state.containers.filter(container => {
-    // Check if the container actually contains multiple elements
-    const containerEl = queryElementSafe(container.selector);
-    if (!containerEl) {
-      console.log('[SurfMate] Filtered container with invalid selector:', container.label);
-      return false;
-    }
-
-    // Count ALL elements within (not just interactive)
-    const elementCount = containerEl.querySelectorAll('*').length;
-
-    // Must have at least 2 elements to be considered a valid container
-    const isValid = elementCount >= 2;
-
-    if (!isValid) {
-      console.log('[SurfMate] Filtered fake container:', container.label, 'only had', elementCount, 'elements');
-    }
-
-    return isValid;
-  });
+  const validContainers = state.containers.filter(isValidContainer);
 
   console.log('[SurfMate] Valid containers:', validContainers.length, 'out of', state.containers.length);
 
-  // Render containers with number hints
+  // Render containers with hint codes (every container, longer codes when there are many)
+  const codes = generateHintCodes(validContainers.length, state.hintKeys.containers);
   validContainers.forEach((container, i) => {
-    if (i >= 9) return;
-    const key = NUMBERS[i];
-    state.keyToElement.set(key, { type: 'container', data: container });
-    showContainerHint(container, key);
+    state.keyToElement.set(codes[i], { type: 'container', data: container });
+    showContainerHint(container, codes[i], i);
   });
+  applyHintFilter();
 
   // NOTE: Standalone elements are NOT shown at container level
   // They are only accessible when inside a container (vimium-style navigation)
 }
 
+// Filter out fake containers (AI sometimes identifies single elements as containers)
+// A real container should have multiple elements OR be a known semantic section
+function isValidContainer(container) {
+  // Check if the container actually contains multiple elements
+  const containerEl = queryElementSafe(container.selector);
+  if (!containerEl) {
+    console.log('[SurfMate] Filtered container with invalid selector:', container.label);
+    return false;
+  }
+
+  // Count ALL elements within (not just interactive) - shadow roots only when the light DOM
+  // alone is too small, so most containers skip the walk
+  const lightCount = containerEl.querySelectorAll('*').length;
+  const elementCount = lightCount >= 2 ? lightCount : querySelectorAllDeep(containerEl, '*').length;
+
+  // Must have at least 2 elements to be considered a valid container
+  const isValid = elementCount >= 2;
+
+  if (!isValid) {
+    console.log('[SurfMate] Filtered fake container:', container.label, 'only had', elementCount, 'elements');
+  }
+
+  return isValid;
+}
+
+// Render a container badge as soon as it streams in
+// The final result replaces these through renderContainers() once the response is complete
+function renderStreamedContainer(container) {
+  if (!state.active || !state.overlay || state.navigationLevel !== 'containers') return;
+  if (!container?.selector || !isValidContainer(container)) return;
+  if (isIgnoredBySiteProfile(resolveSelectorStrict(container.selector))) return;
+
+  // The AI result takes over from the heuristic preview
+  if (state.previewActive) {
+    state.previewActive = false;
+    clearHints();
+    state.keyToElement.clear();
+    showStatusBadge('Receiving AI analysis...');
+  }
+
+  // Single keys only while streaming - the total isn't known yet, so codes can't be prefix-free;
+  // renderContainers() gives every container a code when the response is complete
+  const count = state.keyToElement.size;
+  if (count >= state.hintKeys.containers.length) return;
+
+  // First usable hint - drop the loading screen so the page is visible
+  if (count === 0) {
+    hideLoadingProgress();
+  }
+
+  const key = state.hintKeys.containers[count];
+  state.keyToElement.set(key, { type: 'container', data: container });
+  showContainerHint(container, key, count);
+  applyHintFilter();
+}
+
 // Show container hint with cute doodle/sketch style
-function showContainerHint(container, key) {
+function showContainerHint(container, key, index) {
   const element = queryElementSafe(container.selector);
   if (!element) return;
 
@@ -1373,8 +2410,7 @@ function showContainerHint(container, key) {
     { primary: '#DDAA88', secondary: '#BBDD88', sparkle: '#DD6699' }, // Peach + lime
     { primary: '#AA88DD', secondary: '#88DDAA', sparkle: '#DD8888' }, // Periwinkle + mint
   ];
-  const colorIndex = parseInt(key) - 1;
-  const colors = cuteColors[colorIndex % cuteColors.length];
+  const colors = cuteColors[index % cuteColors.length];
 
   // Create gorgeous dimmed background overlay (first time only)
   if (!state.overlay.querySelector('.browse-dim-overlay')) {
@@ -1572,7 +2608,7 @@ function showContainerHint(container, key) {
       <text x="${badgeWidth / 2}" y="${badgeHeight / 2 + 2}"
         text-anchor="middle" dominant-baseline="middle"
         font-family="'Comic Sans MS', 'Chalkboard SE', 'Varela Round', cursive, sans-serif"
-        font-size="${28 * sizeScale}" font-weight="bold" fill="#fff" style="text-shadow: 2px 2px 6px rgba(0,0,0,0.2);">${key}</text>
+        font-size="${Math.min(28, 44 / key.length) * sizeScale}" font-weight="bold" fill="#fff" style="text-shadow: 2px 2px 6px rgba(0,0,0,0.2);">${key}</text>
 
       <!-- Cute arrow with softer look -->
       <path d="${arrowPath}" fill="none" stroke="${colors.secondary}"
@@ -1739,18 +2775,20 @@ function generateStraightArrow(fromX, fromY, toX, toY) {
   return shaft + ' ' + head;
 }
 
-// Enter container (Level 2)
+// Enter container (Level 2, or deeper for a sub-container)
 function enterContainer(container) {
-  // Add to breadcrumb trail
-  state.breadcrumbTrail.push({
-    type: 'container',
-    label: container.label,
-    selector: container.selector,
-    timestamp: Date.now()
-  });
+  // Drilling down keeps the parent's elements for the way back (exitContainer)
+  const parent = state.containerStack[state.containerStack.length - 1];
+  if (parent) {
+    parent.elements = state.currentElements;
+    parent.enrichmentStatus = state.enrichmentStatus;
+  }
+  state.containerStack.push({ container, elements: [], enrichmentStatus: null });
 
   state.currentContainer = container;
   state.navigationLevel = 'elements';
+  state.hintInput = '';
+  state.deferredHintRender = null;
 
   // Scroll container into view if it's not visible
   const containerEl = queryElementSafe(container.selector);
@@ -1777,6 +2815,17 @@ function enterContainer(container) {
     setTimeout(() => dimOverlay.remove(), 250);
   }
 
+  // An iframe lists its own elements - the hints appear when the frame answers
+  if (containerEl?.tagName === 'IFRAME') {
+    state.currentElements = [];
+    state.annotations = [];
+    state.enrichmentStatus = null;
+    container.subcontainers = [];
+    renderContainerElements(container);
+    enterFrameContainer(container, containerEl);
+    return;
+  }
+
   // Use traditional Vimium-style approach: find ALL interactive elements in container
   state.currentElements = findInteractiveElementsInContainer(container);
 
@@ -1785,7 +2834,264 @@ function enterContainer(container) {
 
   console.log('[SurfMate] Found', state.currentElements.length, 'interactive elements in', container.label);
 
+  state.enrichmentStatus = null;
+  splitContainer(container, containerEl);
+  renderContainerElements(container);
+
+  // Hints are usable right away - AI labels and sections replace them when they arrive
+  enrichContainerElements(container);
+  analyzeSubcontainers(container, containerEl);
+}
+
+// Go back one level: to the parent of a section, or to container level from a top-level container
+function exitContainer() {
+  state.containerStack.pop();
+  const parent = state.containerStack[state.containerStack.length - 1];
+  if (!parent) {
+    exitToContainers();
+    return;
+  }
+
+  state.currentContainer = parent.container;
+  state.currentElements = parent.elements;
+  state.annotations = parent.elements;
+  state.hintInput = '';
+  state.deferredHintRender = null;
+
+  // Labels still on their way when the section was entered were dropped - ask again (cached by now)
+  state.enrichmentStatus = parent.enrichmentStatus === 'labeled' ? 'labeled' : null;
+  renderContainerElements(parent.container);
+  if (!state.enrichmentStatus) enrichContainerElements(parent.container);
+}
+
+async function enterFrameContainer(container, iframe) {
+  const elements = await findInteractiveElementsInFrame(iframe);
+  if (!state.active || state.navigationLevel !== 'elements' || state.currentContainer !== container) return;
+
+  state.currentElements = elements;
+  state.annotations = elements;
+  console.log('[SurfMate] Found', elements.length, 'interactive elements in frame', container.label);
+
   renderContainerElements(container);
+  enrichContainerElements(container);
+}
+
+// Nested containers
+//
+// A container with more elements than one hint set holds (single-key codes of the element
+// alphabet) is split into sections: heuristic ones right away (heuristics.js on a snapshot
+// of the container), AI ones when they arrive. Section hints sit beside the hints of the
+// elements outside any section, and typing one drills down a level - as deep as the page
+// nests. Every level is kept on state.containerStack, which Escape pops one at a time.
+
+const MIN_SUBCONTAINERS = 2; // A single section would only cost a key press
+
+// Whether a container's elements need codes longer than one key
+function needsSubcontainers(elements) {
+  return elements.length > state.hintKeys.elements.length;
+}
+
+// Heuristic sections of the current container (container.subcontainers, empty when not needed)
+function splitContainer(container, containerEl) {
+  container.subcontainers = [];
+  if (!containerEl || !needsSubcontainers(state.currentElements)) return;
+
+  const { containers } = analyzeSnapshotHeuristically(generateDOMSnapshot(containerEl));
+  container.subcontainers = getValidSubcontainers(containers, containerEl);
+  console.log('[SurfMate] Split', container.label, 'into', container.subcontainers.length, 'sections');
+}
+
+// Sections that resolve inside the container, don't overlap and hold at least two of its elements
+// Fewer than MIN_SUBCONTAINERS of them aren't worth a level
+function getValidSubcontainers(candidates, containerEl) {
+  const subcontainers = [];
+
+  applySiteProfileToItems(candidates).forEach(candidate => {
+    const el = resolveSelectorStrict(candidate.selector);
+    if (!el || el === containerEl || !containsAcrossShadow(containerEl, el)) return;
+    if (subcontainers.some(sub => containsAcrossShadow(sub._element, el) || containsAcrossShadow(el, sub._element))) return;
+
+    const memberCount = state.currentElements.filter(e => e._element && containsAcrossShadow(el, e._element)).length;
+    if (memberCount < 2) return;
+
+    subcontainers.push({ selector: candidate.selector, label: candidate.label, type: candidate.type, _element: el });
+  });
+
+  return subcontainers.length >= MIN_SUBCONTAINERS ? subcontainers : [];
+}
+
+// Ask the AI for the container's sections (cached per container by the background) and
+// replace the heuristic ones with them - only for containers that need sections at all
+async function analyzeSubcontainers(container, containerEl) {
+  if (!containerEl || !needsSubcontainers(state.currentElements)) return;
+
+  if (isOfflineMode()) return;
+  const { subcontainerAnalysis } = await loadSettings(['subcontainerAnalysis']);
+  if (!subcontainerAnalysis) return;
+
+  const isStillInContainer = () => state.active && state.navigationLevel === 'elements' && state.currentContainer === container;
+  if (!isStillInContainer()) return;
+
+  try {
+    const response = await sendAnalysisRequest({
+      type: 'analyzeSubcontainers',
+      domSnapshot: generateDOMSnapshot(containerEl),
+      containerLabel: container.label,
+      containerType: container.type,
+      containerSelector: container.selector
+    });
+
+    // Left the container meanwhile - the result stays cached for the next visit
+    if (response.cancelled || !isStillInContainer()) return;
+
+    if (response.error) {
+      console.log('[SurfMate] Sub-container analysis failed:', response.error);
+      return;
+    }
+
+    const subcontainers = getValidSubcontainers(response.containers || [], containerEl);
+    console.log('[SurfMate] AI found', subcontainers.length, 'sections in', container.label, response.fromCache ? '(cached)' : '');
+
+    // Keep the heuristic sections when the AI found nothing usable, or when the user has started
+    // typing a hint - new sections reassign every code, so the next key could hit something else
+    if (subcontainers.length === 0) return;
+    if (state.hintInput) {
+      console.log('[SurfMate] Hint typing in progress, keeping the heuristic sections');
+      return;
+    }
+
+    container.subcontainers = subcontainers;
+    renderContainerElements(container);
+  } catch (error) {
+    console.log('[SurfMate] Sub-container analysis failed:', error.message);
+  }
+}
+
+// Mini HUD note per state.enrichmentStatus
+const ENRICHMENT_STATUS_NOTES = { labeling: 'AI labeling...', labeled: 'AI labeled' };
+
+// Ask the AI for action labels, importance and workflow order of the current container's
+// elements (cached per container by the background), then re-render the hints in place
+async function enrichContainerElements(container) {
+  if (state.currentElements.length === 0) return;
+
+  if (isOfflineMode()) return;
+  const { containerEnrichment } = await loadSettings(['containerEnrichment']);
+  if (!containerEnrichment) return;
+
+  const isStillInContainer = () => state.active && state.navigationLevel === 'elements' && state.currentContainer === container;
+  if (!isStillInContainer()) return;
+
+  state.enrichmentStatus = 'labeling';
+  showMiniHUD(container, state.currentElements.length, ENRICHMENT_STATUS_NOTES.labeling);
+
+  try {
+    const iframe = state.currentElements[0]._frame;
+    const domSnapshot = iframe ? await generateFrameSnapshot(iframe, container) : generateContainerSnapshot(container);
+    if (!isStillInContainer()) return;
+
+    if (!domSnapshot) {
+      console.log('[SurfMate] Frame site policy keeps', container.label, 'offline');
+      state.enrichmentStatus = null;
+      showMiniHUD(container, state.currentElements.length);
+      return;
+    }
+
+    const response = await sendAnalysisRequest({
+      type: 'analyzeContainer',
+      domSnapshot,
+      containerLabel: container.label,
+      containerType: container.type,
+      containerSelector: container.selector
+    });
+
+    // Left the container meanwhile - the result stays cached for the next visit
+    if (response.cancelled || !isStillInContainer()) return;
+
+    if (response.error) {
+      console.log('[SurfMate] Container enrichment failed:', response.error);
+      state.enrichmentStatus = null;
+      showMiniHUD(container, state.currentElements.length);
+      return;
+    }
+
+    const applyLabels = () => {
+      if (!isStillInContainer()) return;
+      const merge = iframe ? mergeFrameEnrichment : mergeContainerEnrichment;
+      state.currentElements = applySiteProfileToItems(
+        merge(state.currentElements, response.elements || []),
+        element => element._element
+      );
+      state.annotations = state.currentElements;
+      state.enrichmentStatus = 'labeled';
+
+      console.log('[SurfMate] Enriched', state.currentElements.filter(e => e.aiLabeled).length, 'elements in', container.label, response.fromCache ? '(cached)' : '');
+
+      renderContainerElements(container);
+    };
+
+    // The labels reorder the hint codes - with part of a code typed, the next key could pick
+    // another element, so they wait until the code is dropped (a complete code leaves the level)
+    if (state.hintInput) {
+      console.log('[SurfMate] Hint typing in progress, deferring the AI labels');
+      state.deferredHintRender = applyLabels;
+      return;
+    }
+    applyLabels();
+  } catch (error) {
+    console.log('[SurfMate] Container enrichment failed:', error.message);
+    if (isStillInContainer()) {
+      state.enrichmentStatus = null;
+      showMiniHUD(container, state.currentElements.length);
+    }
+  }
+}
+
+// Apply AI labels to the elements found on the page, in the AI's workflow order
+// AI selectors come from the container snapshot, so they are matched by the DOM element
+// they resolve to (or its wrapper); elements the AI skipped keep their place after the labeled ones
+function mergeContainerEnrichment(elements, aiElements) {
+  const remaining = [...elements];
+  const ordered = [];
+
+  aiElements.forEach(ai => {
+    const el = resolveSelectorStrict(ai.selector);
+    if (!el) return;
+
+    let index = remaining.findIndex(e => e._element === el);
+    if (index === -1) {
+      index = remaining.findIndex(e => e._element && (e._element.contains(el) || el.contains(e._element)));
+    }
+
+    if (index === -1) {
+      // An element the page scan missed
+      if (!isVisible(el) || ordered.some(e => e._element === el)) return;
+      ordered.push({ selector: ai.selector, label: ai.label, type: ai.type, importance: ai.importance, aiLabeled: true, _element: el });
+      return;
+    }
+
+    const [element] = remaining.splice(index, 1);
+    ordered.push({ ...element, label: ai.label || element.label, importance: ai.importance || element.importance, aiLabeled: true });
+  });
+
+  return [...ordered, ...remaining];
+}
+
+// Same for the elements of an iframe container, matched by selector: the frame builds both
+// its snapshot and its element list with generateSelector
+function mergeFrameEnrichment(elements, aiElements) {
+  const remaining = [...elements];
+  const ordered = [];
+
+  aiElements.forEach(ai => {
+    const index = remaining.findIndex(e => e.selector === ai.selector);
+    if (index === -1) return;
+
+    const [element] = remaining.splice(index, 1);
+    ordered.push({ ...element, label: ai.label || element.label, importance: ai.importance || element.importance, aiLabeled: true });
+  });
+
+  return [...ordered, ...remaining];
 }
 
 // Traditional Vimium-style: find ALL interactive elements in a container
@@ -1836,10 +3142,11 @@ function findInteractiveElementsInContainer(container) {
 
   console.log('[SurfMate] Searching for interactive elements in', container.label);
 
-  // Find all matching elements within this container
+  // Find all matching elements within this container (and the shadow roots inside it)
+  const roots = getSearchRoots(containerEl);
   interactiveSelectors.forEach(selector => {
     try {
-      const found = containerEl.querySelectorAll(selector);
+      const found = querySelectorAllDeep(containerEl, selector, roots);
       console.log('[SurfMate] Selector', selector, 'found', found.length, 'elements');
 
       found.forEach((el) => {
@@ -1865,7 +3172,10 @@ function findInteractiveElementsInContainer(container) {
         seenElements.add(el);
 
         // Try to generate a selector, but also store element reference as fallback
-        const simpleSelector = generateSimpleSelector(el, containerEl);
+        // (elements in shadow roots need the full host path)
+        const simpleSelector = el.getRootNode() instanceof ShadowRoot
+          ? generateSelector(el)
+          : generateSimpleSelector(el, containerEl);
 
         const text = getElementText(el);
         const label = text || el.getAttribute('aria-label') || el.getAttribute('title') || el.className || el.tagName.toLowerCase();
@@ -1886,7 +3196,7 @@ function findInteractiveElementsInContainer(container) {
   });
 
   console.log('[SurfMate] Vimium-style found', elements.length, 'elements in', container.label);
-  return elements;
+  return applySiteProfileToItems(elements, element => element._element);
 }
 
 // Generate a simple CSS selector for an element relative to its container
@@ -1980,18 +3290,24 @@ function renderContainerElements(container) {
     state.overlay.appendChild(activeBorder);
   }
 
-  // VIMIUM-STYLE: Show ALL elements without filtering!
-  console.log('[SurfMate] Vimium-style: Rendering', state.currentElements.length, 'elements');
+  // VIMIUM-STYLE: Show ALL elements without filtering - except the ones inside a section,
+  // which are reached through the section's hint
+  const subcontainers = container.subcontainers || [];
+  const elements = state.currentElements.filter(element =>
+    !subcontainers.some(sub => element._element && containsAcrossShadow(sub._element, element._element))
+  );
+  console.log('[SurfMate] Vimium-style: Rendering', elements.length, 'elements and', subcontainers.length, 'sections');
 
-  renderVimiumHintsUniversal(state.currentElements);
+  renderVimiumHintsUniversal(elements, subcontainers);
 
-  // Show context-aware mini HUD instead of bottom HUD
-  const visibleCount = Math.min(state.currentElements.length, ALL_KEYS.length);
-  showMiniHUD(container, visibleCount);
+  // Show context-aware mini HUD instead of bottom HUD, and the path when nested
+  showMiniHUD(container, state.currentElements.length, ENRICHMENT_STATUS_NOTES[state.enrichmentStatus] || '');
+  showBreadcrumbHUD();
 }
 
 // Universal vimium hints - works the same for ALL elements (no special cases)
-function renderVimiumHintsUniversal(elements) {
+// Sub-containers of a nested container get hints too: they come first and enter the section
+function renderVimiumHintsUniversal(elements, subcontainers = []) {
   if (!state.overlay) return;
 
   clearHints();
@@ -2022,22 +3338,38 @@ function renderVimiumHintsUniversal(elements) {
 
   // Collect valid elements
   const validElements = [];
-  elements.forEach((element, i) => {
-    if (i >= ALL_KEYS.length) return;
+  subcontainers.forEach((subcontainer) => {
+    const el = subcontainer._element?.isConnected ? subcontainer._element : queryElementSafe(subcontainer.selector);
+    const rect = el?.getBoundingClientRect();
+    if (!rect || rect.width === 0 || rect.height === 0) return;
+    validElements.push({ element: subcontainer, rect, domElement: el, isSection: true });
+  });
+
+  elements.forEach((element) => {
+    // Elements inside an iframe are placed through the iframe's box
+    if (element._frame) {
+      const frameRect = getFrameElementRect(element);
+      if (frameRect) validElements.push({ element, rect: frameRect, domElement: null });
+      return;
+    }
 
     // Track how many times we've used this selector
     const usageCount = selectorUsage.get(element.selector) || 0;
     selectorUsage.set(element.selector, usageCount + 1);
 
-    // Get all matching elements for this selector (with proper escaping)
-    const sanitizedSelector = sanitizeSelector(element.selector);
-    if (!sanitizedSelector) return;
-    const allMatches = document.querySelectorAll(sanitizedSelector);
+    // Prefer the element found when the hints were collected - the elements may have been
+    // reordered (AI workflow order), so the nth match of a shared selector can be another element
+    let el = element._element?.isConnected ? element._element : null;
+
+    if (!el) {
+      // Get all matching elements for this selector (with proper escaping)
+      const allMatches = queryAllElementsSafe(element.selector);
 
-    if (allMatches.length === 0) return;
+      if (allMatches.length === 0) return;
 
-    // Use the nth matching element based on usage count
-    const el = allMatches[Math.min(usageCount, allMatches.length - 1)];
+      // Use the nth matching element based on usage count
+      el = allMatches[Math.min(usageCount, allMatches.length - 1)];
+    }
 
     const rect = el.getBoundingClientRect();
     if (rect.width === 0 || rect.height === 0) return;
@@ -2045,12 +3377,16 @@ function renderVimiumHintsUniversal(elements) {
     validElements.push({
       element,
       rect,
-      key: ALL_KEYS[i],
-      index: i,
       domElement: el
     });
   });
 
+  // Codes in workflow order - the first elements get the shortest ones
+  const codes = generateHintCodes(validElements.length, state.hintKeys.elements);
+  validElements.forEach((item, i) => {
+    item.key = codes[i];
+  });
+
   // Sort by visual position (reading order)
   validElements.sort((a, b) => {
     const rowDiff = a.rect.top - b.rect.top;
@@ -2060,21 +3396,22 @@ function renderVimiumHintsUniversal(elements) {
 
   // Render hints with collision avoidance
   validElements.forEach((item) => {
-    const { element, rect, key, index, domElement } = item;
+    const { element, rect, key, domElement, isSection } = item;
 
     // Store the actual DOM element reference
-    element._element = domElement;
+    if (domElement) element._element = domElement;
 
-    // Map key to element
-    state.keyToElement.set(key.toLowerCase(), { type: 'element', data: element });
+    // Map key to element (a section is entered like a container)
+    state.keyToElement.set(key, { type: isSection ? 'container' : 'element', data: element });
 
-    const isNumber = NUMBERS.includes(key);
-    const isExtended = index >= NUMBERS.length + LETTERS.length;
-    const color = isNumber ? COLORS.primary : (isExtended ? COLORS.accent : COLORS.secondary);
+    // Sections cyan; single digits green, single letters yellow, multi-key codes magenta
+    const isNumber = /^[0-9]$/.test(key);
+    const color = isSection ? COLORS.section : isNumber ? COLORS.primary : (key.length > 1 ? COLORS.accent : COLORS.secondary);
+    const hintWidth = HINT_SIZE + (key.length - 1) * 9;
 
     // Find non-overlapping position for hint
     const targetRect = { x: rect.left, y: rect.top, width: rect.width, height: rect.height };
-    const hintSize = { width: HINT_SIZE, height: HINT_SIZE };
+    const hintSize = { width: hintWidth, height: HINT_SIZE };
     const position = findNonOverlappingPosition(targetRect, hintSize, occupiedRects, viewport);
 
     // Use found position or fallback to centered position
@@ -2091,7 +3428,7 @@ function renderVimiumHintsUniversal(elements) {
       position: fixed;
       left: ${hintX}px;
       top: ${hintY}px;
-      width: ${HINT_SIZE}px;
+      width: ${hintWidth}px;
       height: ${HINT_SIZE}px;
       background: ${color};
       color: #000;
@@ -2104,27 +3441,28 @@ function renderVimiumHintsUniversal(elements) {
       font-size: ${isNumber ? '14px' : '12px'};
       z-index: 2147483647;
       pointer-events: none;
-      box-shadow: 0 0 4px ${color}40, 0 2px 6px rgba(0, 0, 0, 0.5);
-      border: 2px solid rgba(255, 255, 255, 0.9);
+      box-shadow: ${element.importance === 'high' ? `0 0 10px ${color}, ` : `0 0 4px ${color}40, `}0 2px 6px rgba(0, 0, 0, 0.5);
+      border: ${element.importance === 'high' ? 3 : 2}px solid rgba(255, 255, 255, 0.9);
       text-shadow: 0 1px 2px rgba(0, 0, 0, 0.8);
     `;
     hint.textContent = key;
     state.overlay.appendChild(hint);
 
     // Add hint position to occupied rectangles
-    occupiedRects.push({ x: hintX, y: hintY, width: HINT_SIZE, height: HINT_SIZE });
+    occupiedRects.push({ x: hintX, y: hintY, width: hintWidth, height: HINT_SIZE });
 
     // Create EXACT bounding box (same position and size as element)
     const border = document.createElement('div');
     border.className = 'browse-element-border';
+    border.setAttribute('data-for', key);
     border.style.cssText = `
       position: fixed;
       left: ${rect.left}px;
       top: ${rect.top}px;
       width: ${rect.width}px;
       height: ${rect.height}px;
-      border: 2px solid ${color};
-      border-radius: 4px;
+      border: 2px ${isSection ? 'dashed' : 'solid'} ${color};
+      border-radius: ${isSection ? 8 : 4}px;
       box-sizing: border-box;
       pointer-events: none;
       z-index: 2147483646;
@@ -2134,11 +3472,38 @@ function renderVimiumHintsUniversal(elements) {
     `;
     state.overlay.appendChild(border);
 
+    // A section is labeled in its top right corner; the hints of the elements around it may
+    // overlap it, so its box isn't occupied
+    if (isSection) {
+      const label = document.createElement('span');
+      label.className = 'browse-section-label';
+      label.textContent = element.label || 'Section';
+      label.style.cssText = `
+        position: absolute;
+        top: -2px;
+        right: -2px;
+        max-width: 60%;
+        padding: 2px 8px;
+        background: ${color};
+        color: #000;
+        border-radius: 0 8px 0 8px;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        font-size: 11px;
+        font-weight: 600;
+        white-space: nowrap;
+        overflow: hidden;
+        text-overflow: ellipsis;
+      `;
+      border.appendChild(label);
+      return;
+    }
+
     // Also add border to occupied rects (so hints don't overlap borders)
     occupiedRects.push({ x: rect.left, y: rect.top, width: rect.width, height: rect.height });
   });
 
   console.log('[SurfMate] Rendered', validElements.length, 'vimium hints (on target elements)');
+  applyHintFilter();
 }
 
 // Filter out elements that are too close together (anti-crowding)
@@ -2188,9 +3553,8 @@ function filterCrowdedElements(elements, minDistance = 60) {
 
 // Exit back to container level
 function exitToContainers() {
-  // Remove mini HUD
-  const miniHud = state.overlay?.querySelector('.browse-mini-hud');
-  if (miniHud) miniHud.remove();
+  // Remove mini HUD and the path of a nested container
+  state.overlay?.querySelectorAll('.browse-mini-hud, .browse-breadcrumb-hud').forEach(el => el.remove());
 
   // Restore dim overlay with fade-in (only if it doesn't already exist)
   let dimOverlay = state.overlay?.querySelector('.browse-dim-overlay');
@@ -2261,30 +3625,23 @@ function exitToContainers() {
     });
   }
 
-  // Update breadcrumb trail (remove last entry if it's the current container)
-  if (state.breadcrumbTrail.length > 0) {
-    state.breadcrumbTrail.pop();
-  }
-
   state.currentContainer = null;
   state.currentElements = [];
+  state.containerStack = [];
   state.navigationLevel = 'containers';
+  state.hintInput = '';
+  state.deferredHintRender = null;
 
   // Restore annotations to containers + standalone for hover effects
   state.annotations = [...state.containers, ...state.standalone];
 
   renderContainers();
-
-  // Show breadcrumb HUD if we have history
-  if (state.breadcrumbTrail.length > 0) {
-    showBreadcrumbHUD();
-  } else {
-    showHUD(`${state.containers.length} containers (1→9 workflow order) • 1-9: select • esc: back`);
-  }
+  showHUD(`${formatContainersHUD()} • esc: back`);
 }
 
 // Generate DOM snapshot with smart prioritization
-function generateDOMSnapshot() {
+// scope limits it to the inside of one element (sub-containers of a nested container)
+function generateDOMSnapshot(scope = document) {
   const snapshot = {
     url: window.location.href,
     title: document.title,
@@ -2307,28 +3664,8 @@ function generateDOMSnapshot() {
     '[tabindex]': 600
   };
 
-  // Container-like elements (sections that may contain multiple interactive elements)
-  const containerSelectors = [
-    // Semantic HTML5 elements
-    'nav', 'header', 'main', 'footer', 'aside', 'section', 'article',
-    // ARIA roles
-    '[role="navigation"]', '[role="banner"]', '[role="main"]', '[role="complementary"]',
-    // Common class patterns (div-based containers)
-    '.nav', '.navbar', '.navigation', '.header', '.menu', '.sidebar',
-    '.container', '.wrapper', '.content', '.main-content', '.page-content',
-    '.sidebar', '.left-sidebar', '.right-sidebar', '.aside',
-    '.top-bar', '.topbar', '.toolbar', '.control-bar',
-    '.panel', '.card', '.widget', '.box', '.block',
-    '.section', '.area', '.region', '.zone',
-    // Common ID patterns
-    '#nav', '#navbar', '#navigation', '#header', '#menu', '#sidebar',
-    '#container', '#wrapper', '#content', '#main', '#main-content',
-    '#sidebar', '#left-sidebar', '#right-sidebar',
-    '#top-bar', '#topbar', '#toolbar',
-    '#panel', '#section',
-    // Data attributes commonly used for containers
-    '[data-container]', '[data-section]', '[data-region]'
-  ];
+  // Container-like elements (shared with the offline analyzer, see heuristics.js)
+  const containerSelectors = [...CONTAINER_SELECTORS];
 
   // Add Gradio-specific selectors if this is a Gradio app
   if (state.isGradio) {
@@ -2338,6 +3675,7 @@ function generateDOMSnapshot() {
   }
 
   const elements = [];
+  const roots = getSearchRoots(scope); // The scope and its open shadow roots
 
   // For Gradio apps, add specific component detection first
   if (state.isGradio) {
@@ -2345,7 +3683,7 @@ function generateDOMSnapshot() {
 
     // Collect Gradio buttons (submit, clear, etc.)
     try {
-      document.querySelectorAll('[class*="gradio-button"]').forEach(el => {
+      scope.querySelectorAll('[class*="gradio-button"]').forEach(el => {
         if (!isVisible(el)) return;
 
         const rect = el.getBoundingClientRect();
@@ -2376,7 +3714,7 @@ function generateDOMSnapshot() {
 
     // Collect Gradio form components (inputs, textareas, etc.)
     try {
-      document.querySelectorAll('[class*="gradio-"]').forEach(el => {
+      scope.querySelectorAll('[class*="gradio-"]').forEach(el => {
         if (!isVisible(el)) return;
         const selector = generateSelector(el);
         // Skip if already collected (avoid duplicates)
@@ -2411,13 +3749,13 @@ function generateDOMSnapshot() {
   // First, collect container elements with lower priority
   containerSelectors.forEach(selector => {
     try {
-      document.querySelectorAll(selector).forEach(el => {
+      querySelectorAllDeep(scope, selector, roots).forEach(el => {
         if (!isVisible(el)) return;
 
         const rect = el.getBoundingClientRect();
 
         // Only include if it contains multiple interactive elements (relaxed from 2 to 1)
-        const interactiveCount = el.querySelectorAll('button, a[href], input, textarea, select, [role="button"]').length;
+        const interactiveCount = querySelectorAllDeep(el, 'button, a[href], input, textarea, select, [role="button"]', getSearchRootsWithin(el, roots)).length;
         if (interactiveCount < 1) return; // Reduced from 2 to 1 to catch more containers
 
         // Skip if too large (likely the whole page) - relaxed slightly
@@ -2432,7 +3770,9 @@ function generateDOMSnapshot() {
           attributes: {
             id: el.id,
             className: el.className?.substring(0, 100),
-            role: el.role
+            role: el.role,
+            ariaLabel: getAccessibleLabel(el),
+            heading: getSectionHeading(el)
           },
           position: { x: rect.x, y: rect.y, width: rect.width, height: rect.height }
         });
@@ -2443,7 +3783,7 @@ function generateDOMSnapshot() {
   // ALSO include generic divs that could be containers (let AI decide)
   // Scan for divs with multiple interactive elements, regardless of class
   try {
-    document.querySelectorAll('div').forEach(el => {
+    querySelectorAllDeep(scope, 'div', roots).forEach(el => {
       if (!isVisible(el)) return;
 
       // Skip if already matched by container selectors
@@ -2453,7 +3793,7 @@ function generateDOMSnapshot() {
       const rect = el.getBoundingClientRect();
 
       // Must contain multiple interactive elements (reduced from 3 to 2)
-      const interactiveCount = el.querySelectorAll('button, a[href], input, textarea, select, [role="button"]').length;
+      const interactiveCount = querySelectorAllDeep(el, 'button, a[href], input, textarea, select, [role="button"]', getSearchRootsWithin(el, roots)).length;
       if (interactiveCount < 2) return; // Reduced from 3 to 2 to catch more containers
 
       // Relaxed size constraints - allow smaller containers
@@ -2472,7 +3812,35 @@ function generateDOMSnapshot() {
         isContainer: true,
         attributes: {
           id: el.id,
-          className: el.className?.substring(0, 100)
+          className: el.className?.substring(0, 100),
+          ariaLabel: getAccessibleLabel(el),
+          heading: getSectionHeading(el)
+        },
+        position: { x: rect.x, y: rect.y, width: rect.width, height: rect.height }
+      });
+    });
+  } catch (e) {}
+
+  // Iframes are containers too - their text is filled in by the frames (addFrameSummaries)
+  try {
+    querySelectorAllDeep(scope, 'iframe', roots).forEach(el => {
+      if (!isVisible(el)) return;
+
+      const rect = el.getBoundingClientRect();
+      if (rect.width < 60 || rect.height < 30) return;
+
+      elements.push({
+        selector: generateSelector(el),
+        text: '',
+        tag: 'iframe',
+        priority: 400,
+        isContainer: true,
+        attributes: {
+          id: el.id,
+          name: el.name,
+          title: el.title?.substring(0, 100),
+          ariaLabel: getAccessibleLabel(el),
+          heading: getSectionHeading(el)
         },
         position: { x: rect.x, y: rect.y, width: rect.width, height: rect.height }
       });
@@ -2482,7 +3850,7 @@ function generateDOMSnapshot() {
   // Then, collect interactive elements with priority scoring
   Object.entries(priorities).forEach(([selector, priority]) => {
     try {
-      document.querySelectorAll(selector).forEach(el => {
+      querySelectorAllDeep(scope, selector, roots).forEach(el => {
         if (!isVisible(el)) return;
 
         const rect = el.getBoundingClientRect();
@@ -2505,7 +3873,10 @@ function generateDOMSnapshot() {
             type: el.type,
             role: el.role,
             placeholder: el.placeholder,
-            name: el.name
+            name: el.name,
+            autocomplete: el.getAttribute('autocomplete') || undefined,
+            ariaLabel: getAccessibleLabel(el),
+            title: el.title?.substring(0, 100)
           },
           position: { x: rect.x, y: rect.y, width: rect.width, height: rect.height }
         });
@@ -2514,8 +3885,12 @@ function generateDOMSnapshot() {
   });
 
   // Sort and limit - collect many more candidates for AI to choose from
+  // Containers get their own share so link-heavy pages don't crowd them out; the background
+  // trims or splits the snapshot to its token budget (snapshot-budget.js)
   elements.sort((a, b) => b.priority - a.priority);
-  snapshot.elements = elements.slice(0, 500); // Increased to 500 to get more containers
+  const containerCandidates = elements.filter(e => e.isContainer).slice(0, 300);
+  const interactiveCandidates = elements.filter(e => !e.isContainer).slice(0, 1200);
+  snapshot.elements = [...interactiveCandidates, ...containerCandidates].sort((a, b) => b.priority - a.priority);
 
   console.log('[SurfMate] Collected', elements.length, 'elements (', snapshot.elements.filter(e => e.isContainer).length, 'containers)');
 
@@ -2556,12 +3931,13 @@ function generateContainerSnapshot(container) {
     '[tabindex]': 600
   };
 
-  // Get elements within this container only
+  // Get elements within this container only (shadow roots included)
   const elements = [];
+  const roots = getSearchRoots(containerEl);
 
   Object.entries(priorities).forEach(([selector, priority]) => {
     try {
-      containerEl.querySelectorAll(selector).forEach(el => {
+      querySelectorAllDeep(containerEl, selector, roots).forEach(el => {
         if (!isVisible(el)) return;
 
         const rect = el.getBoundingClientRect();
@@ -2584,7 +3960,8 @@ function generateContainerSnapshot(container) {
             type: el.type,
             role: el.role,
             placeholder: el.placeholder,
-            name: el.name
+            name: el.name,
+            autocomplete: el.getAttribute('autocomplete') || undefined
           },
           position: { x: rect.x, y: rect.y, width: rect.width, height: rect.height }
         });
@@ -2769,7 +4146,7 @@ function showHintForElement(annotation, key, type = 'auto') {
   if (!element && annotation._element) {
     element = annotation._element;
     // Verify the element is still in the DOM
-    if (!document.contains(element)) {
+    if (!element.isConnected) {
       console.warn('[SurfMate] Stored element no longer in DOM:', annotation.label);
       return;
     }
@@ -2889,6 +4266,11 @@ function highlightAnnotation(annotation) {
 
 // Activate element
 function activateElement(annotation, key) {
+  if (annotation._frame) {
+    activateFrameElement(annotation, key);
+    return;
+  }
+
   // Try using selector first, fall back to stored element reference
   let element = queryElementSafe(annotation.selector);
 
@@ -2896,7 +4278,7 @@ function activateElement(annotation, key) {
   if (!element && annotation._element) {
     element = annotation._element;
     // Verify the element is still in the DOM
-    if (!document.contains(element)) {
+    if (!element.isConnected) {
       console.warn('[SurfMate] Stored element no longer in DOM, cannot activate:', annotation.label);
       showHUD('Element no longer available');
       return;
@@ -2950,21 +4332,25 @@ function activateElement(annotation, key) {
 
   // Activate
   setTimeout(() => {
-    const elementType = annotation.type || element.tagName.toLowerCase();
-    if (elementType === 'input' || elementType === 'textarea') {
-      element.focus();
-      element.click();
-    } else if (element.href) {
-      window.location.href = element.href;
-    } else {
-      element.click();
-    }
+    performElementAction(element, annotation.type || element.tagName.toLowerCase());
 
     // Deactivate overlay after activation to return to normal page interaction
     deactivate();
   }, 150);
 }
 
+// Focus inputs, follow links, click everything else
+function performElementAction(element, elementType) {
+  if (elementType === 'input' || elementType === 'textarea') {
+    element.focus();
+    element.click();
+  } else if (element.href) {
+    window.location.href = element.href;
+  } else {
+    element.click();
+  }
+}
+
 // Hide hint for key
 function hideHint(key) {
   const hint = state.overlay?.querySelector(`[data-key="${key}"]`);
@@ -3016,17 +4402,14 @@ function createOverlay() {
 }
 
 // Show context-aware mini HUD near container
-function showMiniHUD(container, elementCount) {
+// note: optional status after the element count (e.g. "AI labeling...")
+function showMiniHUD(container, elementCount, note = '') {
   if (!state.overlay) return;
 
   // Remove existing mini HUD
   const existingHud = state.overlay.querySelector('.browse-mini-hud');
   if (existingHud) existingHud.remove();
 
-  // Remove existing breadcrumb HUD
-  const existingBreadcrumb = state.overlay.querySelector('.browse-breadcrumb-hud');
-  if (existingBreadcrumb) existingBreadcrumb.remove();
-
   // Remove existing bottom HUD
   const existingBottomHud = state.overlay.querySelector('.browse-hud');
   if (existingBottomHud) existingBottomHud.remove();
@@ -3054,17 +4437,20 @@ function showMiniHUD(container, elementCount) {
     font-family: -apple-system, BlinkMacSystemFont, 'SF Pro Display', 'Segoe UI', Roboto, sans-serif;
   `;
 
+  const hintKeysPreview = formatHintKeysPreview(state.hintKeys.elements);
+  const sectionCount = container.subcontainers?.length || 0;
+  const sectionStats = sectionCount > 0 ? `${sectionCount} sections • ` : '';
+
   miniHud.innerHTML = `
     <div class="browse-mini-hud-left">
       <div class="browse-mini-hud-title">${escapeHtml(container.label)}</div>
-      <div class="browse-mini-hud-stats">${elementCount} elements</div>
+      <div class="browse-mini-hud-stats">${sectionStats}${elementCount} elements${note ? ` • ${escapeHtml(note)}` : ''}</div>
     </div>
     <div class="browse-mini-hud-divider"></div>
     <div class="browse-mini-hud-right">
       <div class="browse-mini-hud-keys">
-        <span class="browse-key-hint">1-9</span>
-        <span class="browse-key-hint">a-z</span>
-        <span class="browse-key-hint">A-Z</span>
+        <span class="browse-key-hint">${escapeHtml(hintKeysPreview)}</span>
+        <span class="browse-key-hint">⌫ undo</span>
       </div>
       <div class="browse-mini-hud-esc">ESC to go back</div>
     </div>
@@ -3073,17 +4459,16 @@ function showMiniHUD(container, elementCount) {
   state.overlay.appendChild(miniHud);
 }
 
-// Show breadcrumb trail HUD
+// Show the path to a nested container (state.containerStack) at the top
+// A top-level container has no path - the mini HUD already names it
 function showBreadcrumbHUD() {
-  if (!state.overlay || state.breadcrumbTrail.length === 0) return;
+  if (!state.overlay) return;
 
   // Remove existing breadcrumb HUD
   const existingBreadcrumb = state.overlay.querySelector('.browse-breadcrumb-hud');
   if (existingBreadcrumb) existingBreadcrumb.remove();
 
-  // Remove mini HUD if showing
-  const existingMini = state.overlay.querySelector('.browse-mini-hud');
-  if (existingMini) existingMini.remove();
+  if (state.containerStack.length < 2) return;
 
   const breadcrumb = document.createElement('div');
   breadcrumb.className = 'browse-breadcrumb-hud';
@@ -3111,11 +4496,12 @@ function showBreadcrumbHUD() {
 
   // Build breadcrumb HTML
   let breadcrumbHtml = '';
-  state.breadcrumbTrail.forEach((crumb, index) => {
+  state.containerStack.forEach(({ container }, index) => {
     if (index > 0) {
       breadcrumbHtml += `<span class="browse-breadcrumb-separator">→</span>`;
     }
-    breadcrumbHtml += `<span class="browse-breadcrumb-item">${escapeHtml(crumb.label)}</span>`;
+    const isCurrent = index === state.containerStack.length - 1;
+    breadcrumbHtml += `<span class="browse-breadcrumb-item" style="${isCurrent ? 'font-weight: 600;' : 'opacity: 0.7;'}">${escapeHtml(container.label || 'Section')}</span>`;
   });
 
   breadcrumb.innerHTML = breadcrumbHtml;
@@ -3271,36 +4657,7 @@ function openCommandPalette() {
       <div class="browse-palette-content" onclick="event.stopPropagation()">
         <input type="text" class="browse-palette-input" placeholder="Type a command..." autofocus>
         <div class="browse-palette-results">
-          <div class="browse-palette-item" data-action="reload">
-            <span class="browse-palette-key">Shift+R</span>
-            <span class="browse-palette-desc">Force reload - re-analyze page</span>
-          </div>
-          <div class="browse-palette-item" data-action="additional">
-            <span class="browse-palette-key">Shift+A</span>
-            <span class="browse-palette-desc">Find additional containers</span>
-          </div>
-          <div class="browse-palette-divider"></div>
-          <div class="browse-palette-item" data-action="follow">
-            <span class="browse-palette-key">F</span>
-            <span class="browse-palette-desc">Follow mode - search links by typing</span>
-          </div>
-          <div class="browse-palette-item" data-action="record">
-            <span class="browse-palette-key">Ctrl+Shift+R</span>
-            <span class="browse-palette-desc">Record macro - sequence of actions</span>
-          </div>
-          <div class="browse-palette-item" data-action="save">
-            <span class="browse-palette-key">Ctrl+S</span>
-            <span class="browse-palette-desc">Save session - current page state</span>
-          </div>
-          <div class="browse-palette-item" data-action="sessions">
-            <span class="browse-palette-key">L</span>
-            <span class="browse-palette-desc">Load session - restore saved state</span>
-          </div>
-          <div class="browse-palette-divider"></div>
-          <div class="browse-palette-item" data-action="help">
-            <span class="browse-palette-key">?</span>
-            <span class="browse-palette-desc">Show all keyboard shortcuts</span>
-          </div>
+          ${renderPaletteItems()}
         </div>
       </div>
     </div>
@@ -3311,6 +4668,7 @@ function openCommandPalette() {
   const input = palette.querySelector('.browse-palette-input');
   input.focus();
   input.addEventListener('keydown', handlePaletteKeydown);
+  input.addEventListener('input', () => filterPaletteItems(input.value));
 
   palette.querySelectorAll('.browse-palette-item').forEach(item => {
     item.addEventListener('click', () => {
@@ -3319,6 +4677,35 @@ function openCommandPalette() {
   });
 }
 
+// One item per command (keybindings.js) with its current key, a divider between groups
+function renderPaletteItems() {
+  let html = '';
+  KEYBINDING_COMMANDS.filter(command => command.id !== 'palette').forEach((command, index, commands) => {
+    if (index > 0 && command.group !== commands[index - 1].group) {
+      html += `<div class="browse-palette-divider"></div>`;
+    }
+    html += `
+      <div class="browse-palette-item" data-action="${command.id}">
+        <span class="browse-palette-key">${escapeHtml(state.keybindings[command.id] || '')}</span>
+        <span class="browse-palette-desc">${escapeHtml(command.description)}</span>
+      </div>
+    `;
+  });
+  return html;
+}
+
+// Hide the commands whose description doesn't contain the typed text
+function filterPaletteItems(query) {
+  const text = query.trim().toLowerCase();
+  document.querySelectorAll('.browse-palette-item').forEach(item => {
+    item.hidden = !item.querySelector('.browse-palette-desc').textContent.toLowerCase().includes(text);
+    if (item.hidden) item.classList.remove('selected');
+  });
+  document.querySelectorAll('.browse-palette-divider').forEach(divider => {
+    divider.hidden = text.length > 0;
+  });
+}
+
 function closeCommandPalette() {
   const palette = state.overlay?.querySelector('.browse-command-palette');
   if (palette) palette.remove();
@@ -3339,8 +4726,9 @@ function handlePaletteKeydown(e) {
     return;
   }
 
-  // Navigate results
-  const items = Array.from(document.querySelectorAll('.browse-palette-item'));
+  // Navigate results (the ones the filter left)
+  const items = Array.from(document.querySelectorAll('.browse-palette-item')).filter(item => !item.hidden);
+  if (items.length === 0) return;
   const selected = document.querySelector('.browse-palette-item.selected');
   const selectedIndex = items.indexOf(selected);
 
@@ -3357,10 +4745,14 @@ function handlePaletteKeydown(e) {
   }
 }
 
+// Run a command of KEYBINDING_COMMANDS (keybindings.js) by id
 function executeCommand(action) {
   closeCommandPalette();
 
   switch (action) {
+    case 'palette':
+      openCommandPalette();
+      break;
     case 'reload':
       forceReload();
       break;
@@ -3391,7 +4783,7 @@ function toggleMacroRecording() {
 
   if (state.macroRecording) {
     state.currentMacro = [];
-    updateHUD('🔴 Recording... Perform actions. Press Ctrl+Shift+R to stop.');
+    updateHUD(`🔴 Recording... Perform actions. Press ${getCommandKey('record')} to stop.`);
   } else {
     stopMacroRecording(true);
   }
@@ -3489,7 +4881,7 @@ function showSessions() {
     .sort((a, b) => b.timestamp - a.timestamp);
 
   if (sessionsList.length === 0) {
-    updateHUD('No saved sessions. Press Ctrl+S to save current state.');
+    updateHUD(`No saved sessions. Press ${getCommandKey('save')} to save current state.`);
     return;
   }
 
@@ -3538,23 +4930,12 @@ function showHelp() {
         <div class="browse-help-sections">
           <div class="browse-help-section">
             <h3>Basic Navigation</h3>
-            <p><kbd>1-9</kbd> - Click top containers</p>
-            <p><kbd>a-z</kbd> - Click remaining elements</p>
+            <p><kbd>${escapeHtml(formatHintKeysPreview(state.hintKeys.containers))}</kbd> - Enter a container</p>
+            <p><kbd>${escapeHtml(formatHintKeysPreview(state.hintKeys.elements))}</kbd> - Click an element or enter a section</p>
+            <p><kbd>Backspace</kbd> - Undo a key of a multi-key hint</p>
             <p><kbd>Esc</kbd> - Exit / Go back</p>
           </div>
-          <div class="browse-help-section">
-            <h3>Actions</h3>
-            <p><kbd>Shift+R</kbd> - Force reload (ignore cache)</p>
-            <p><kbd>Shift+A</kbd> - Find additional containers</p>
-            <p><kbd>F</kbd> - Follow mode (search by typing)</p>
-            <p><kbd>Ctrl+P</kbd> - Command palette</p>
-          </div>
-          <div class="browse-help-section">
-            <h3>Automation</h3>
-            <p><kbd>Ctrl+Shift+R</kbd> - Record macro</p>
-            <p><kbd>Ctrl+S</kbd> - Save session</p>
-            <p><kbd>L</kbd> - Load session</p>
-          </div>
+          ${renderHelpSections()}
         </div>
         <button class="browse-modal-close">Close</button>
       </div>
@@ -3568,12 +4949,30 @@ function showHelp() {
   });
 }
 
+// Help sections per command group (keybindings.js), with this site's keys
+function renderHelpSections() {
+  const groups = [...new Set(KEYBINDING_COMMANDS.map(command => command.group))];
+  return groups.map(group => `
+    <div class="browse-help-section">
+      <h3>${escapeHtml(group)}</h3>
+      ${KEYBINDING_COMMANDS.filter(command => command.group === group).map(command => `
+        <p><kbd>${escapeHtml(state.keybindings[command.id] || 'unbound')}</kbd> - ${escapeHtml(command.label)}</p>
+      `).join('')}
+    </div>
+  `).join('');
+}
+
 // Utility functions
 function isVisible(el) {
   if (!el) return false;
   const rect = el.getBoundingClientRect();
   if (rect.width === 0 || rect.height === 0) return false;
 
+  // Checks the ancestors too, across shadow roots (a hidden host hides its whole shadow tree)
+  if (el.checkVisibility && !el.checkVisibility({ opacityProperty: true, visibilityProperty: true })) {
+    return false;
+  }
+
   const style = window.getComputedStyle(el);
   if (style.display === 'none' || style.visibility === 'hidden' || style.opacity === '0') {
     return false;
@@ -3789,12 +5188,48 @@ function getElementText(el) {
   if (el.tagName === 'INPUT' || el.tagName === 'TEXTAREA') {
     return el.placeholder || el.name || el.value || '';
   }
-  return el.textContent?.trim().substring(0, 100) || el.getAttribute('aria-label') || '';
+  const text = el.getRootNode() instanceof ShadowRoot ? getComposedText(el) : el.textContent;
+  return text?.trim().substring(0, 100) || el.getAttribute('aria-label') || '';
+}
+
+// textContent following <slot>s to the light DOM content they show - a button inside a
+// component's shadow root usually gets its label through a slot
+function getComposedText(node) {
+  if (node.nodeType === Node.TEXT_NODE) return node.textContent;
+  if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+  const children = node.tagName === 'SLOT' ? node.assignedNodes({ flatten: true }) : Array.from(node.childNodes);
+  return children.map(getComposedText).join('');
+}
+
+// aria-label or the text of the aria-labelledby elements
+function getAccessibleLabel(el) {
+  const label = el.getAttribute('aria-label');
+  if (label) return label.trim().substring(0, 100);
+
+  const labelledBy = el.getAttribute('aria-labelledby');
+  if (!labelledBy) return undefined;
+  const text = labelledBy.split(/\s+/)
+    .map(id => document.getElementById(id)?.textContent?.trim())
+    .filter(Boolean)
+    .join(' ');
+  return text ? text.substring(0, 100) : undefined;
+}
+
+// Text of the first heading inside a section (names the section in offline analysis)
+function getSectionHeading(el) {
+  const heading = el.querySelector('h1, h2, h3, h4, h5, h6, [role="heading"], legend');
+  const text = heading?.textContent?.replace(/\s+/g, ' ').trim();
+  return text ? text.substring(0, 60) : undefined;
 }
 
 function generateSelector(el) {
+  // Inside a shadow root: the host's selector, then the path within the root
+  const root = el.getRootNode();
+  const hostPrefix = root instanceof ShadowRoot ? generateSelector(root.host) + SHADOW_SELECTOR_SEPARATOR : '';
+
   if (el.id && /^[a-zA-Z][\w-]*$/.test(el.id)) {
-    return `#${el.id}`;
+    return `${hostPrefix}#${el.id}`;
   }
 
   const path = [];
@@ -3819,7 +5254,8 @@ function generateSelector(el) {
       }
     }
 
-    const siblings = Array.from(current.parentElement?.children || [])
+    // Top-level elements of a shadow root have the root itself as parent
+    const siblings = Array.from((current.parentElement || current.parentNode)?.children || [])
       .filter(e => e.tagName === current.tagName);
 
     if (siblings.length > 1) {
@@ -3833,11 +5269,12 @@ function generateSelector(el) {
     if (path.length > 4) break;
   }
 
-  return path.join(' > ');
+  return hostPrefix + path.join(' > ');
 }
 
 function findAnnotationForElement(element) {
   return state.annotations.find(a => {
+    if (a._frame) return false;
     const el = queryElementSafe(a.selector);
     return el && (el === element || element.contains(el));
   });
@@ -3858,7 +5295,7 @@ function observeChanges() {
       if (state.active && state.enabled) {
         deactivate();
         setTimeout(() => {
-          if (state.enabled && state.apiKey) activate();
+          if (state.enabled) activate();
         }, 500);
       }
     }
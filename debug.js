@@ -0,0 +1,94 @@
+// Audit view of the requests sent to the AI provider (recorded by background.js)
+
+const entriesContainer = document.getElementById('entries');
+const refreshButton = document.getElementById('refreshButton');
+const clearButton = document.getElementById('clearButton');
+
+const REDACTION_KIND_LABELS = {
+  sensitiveFields: 'sensitive fields',
+  emails: 'emails',
+  phones: 'phone numbers',
+  digitRuns: 'long numbers',
+  tokens: 'tokens',
+  queryStrings: 'query strings',
+  custom: 'custom rules'
+};
+
+// Summary line of a redaction report
+function formatRedactionReport(report) {
+  if (!report) return 'Redaction off';
+  const counts = Object.entries(report)
+    .filter(([, count]) => count > 0)
+    .map(([kind, count]) => `${count} ${REDACTION_KIND_LABELS[kind] || kind}`);
+  return counts.length > 0 ? `Redacted: ${counts.join(', ')}` : 'Redaction on - nothing to redact';
+}
+
+function createPromptDetails(title, text) {
+  const details = document.createElement('details');
+  const summary = document.createElement('summary');
+  summary.textContent = `${title} (${text.length} characters)`;
+  const pre = document.createElement('pre');
+  pre.textContent = text;
+  details.append(summary, pre);
+  return details;
+}
+
+function renderEntry(entry) {
+  const item = document.createElement('div');
+  item.className = 'entry';
+
+  const meta = document.createElement('div');
+  meta.className = 'entry-meta';
+  const fields = [
+    ['Time', new Date(entry.time).toLocaleString()],
+    ['Task', entry.task],
+    ['Provider', `${entry.provider} / ${entry.model}`]
+  ];
+  if (entry.region) {
+    fields.push(['Region', `${entry.region.index + 1} of ${entry.region.count} (y ${entry.region.top}-${entry.region.bottom})`]);
+  }
+  fields.forEach(([label, value]) => {
+    const field = document.createElement('span');
+    const strong = document.createElement('strong');
+    strong.textContent = label + ': ';
+    field.append(strong, value);
+    meta.appendChild(field);
+  });
+
+  const url = document.createElement('div');
+  url.className = 'entry-url';
+  url.textContent = entry.url;
+
+  const redaction = document.createElement('div');
+  redaction.className = 'entry-redaction' + (entry.redaction ? '' : ' off');
+  redaction.textContent = formatRedactionReport(entry.redaction);
+
+  item.append(meta, url, redaction,
+    createPromptDetails('System prompt', entry.system || ''),
+    createPromptDetails('User prompt', entry.user || ''));
+  return item;
+}
+
+function loadEntries() {
+  chrome.runtime.sendMessage({ type: 'getSentLog' }, (response) => {
+    entriesContainer.innerHTML = '';
+    const entries = response?.entries || [];
+
+    if (entries.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'empty';
+      empty.textContent = 'Nothing sent yet.';
+      entriesContainer.appendChild(empty);
+      return;
+    }
+
+    entries.forEach(entry => entriesContainer.appendChild(renderEntry(entry)));
+  });
+}
+
+refreshButton.addEventListener('click', loadEntries);
+clearButton.addEventListener('click', () => {
+  chrome.runtime.sendMessage({ type: 'clearSentLog' }, loadEntries);
+});
+
+loadEntries();
@@ -0,0 +1,119 @@
+// Mock provider fixtures: record live provider responses, replay them without a network
+//
+// A fixture is one recorded model response:
+//   { key, task, url, urlPattern, snapshot, inputs, content, provider, model, recordedAt }
+// key is "<task>|<snapshot fingerprint>|<hash of the task's other inputs>" - the fingerprint
+// only covers tags and selectors (cache.js), so a page replays as long as its layout is
+// unchanged, whatever its text, scroll position or redaction. content is the raw model
+// output and goes through the same streaming and parsing path as a live response, so a
+// bad label replays exactly as it was received.
+//
+// Fixtures come from recording mode (chrome.storage.local "mockFixtures", newest first) and
+// from the bundled fixtures/fixtures.json. Without an exact key match, a fixture with a
+// urlPattern ("*/test-iframe.html") replays for any page whose URL matches and whose
+// request has the fixture's inputs (e.g. the same containerSelector).
+
+const MAX_RECORDED_FIXTURES = 25; // Fixtures carry whole snapshots - keep storage.local small
+const BUNDLED_FIXTURES_PATH = 'fixtures/fixtures.json';
+const MOCK_STREAM_CHUNK_SIZE = 48;
+const MOCK_STREAM_CHUNK_DELAY_MS = 15;
+
+let bundledFixtures = null;
+
+// Replay key for a task request; message fields that don't reach the prompt are left out
+function getFixtureKey(taskName, message) {
+  const { type, requestId, bypassCache, redaction, domSnapshot, ...inputs } = message;
+  return `${taskName}|${fingerprintSnapshot(domSnapshot) || '-'}|${hashString(JSON.stringify(inputs))}`;
+}
+
+async function loadBundledFixtures() {
+  if (!bundledFixtures) {
+    try {
+      const response = await fetch(chrome.runtime.getURL(BUNDLED_FIXTURES_PATH));
+      bundledFixtures = (await response.json()).fixtures || [];
+    } catch (error) {
+      console.error('[SurfMate] Could not load bundled fixtures:', error);
+      bundledFixtures = [];
+    }
+  }
+  return bundledFixtures;
+}
+
+async function getRecordedFixtures() {
+  const { mockFixtures } = await chrome.storage.local.get('mockFixtures');
+  return mockFixtures || [];
+}
+
+// Glob match where * matches anything ("*/test-iframe.html*")
+function fixtureUrlMatches(pattern, url) {
+  const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`).test(url);
+}
+
+function fixtureInputsMatch(inputs, message) {
+  return Object.entries(inputs || {}).every(([name, value]) => JSON.stringify(message[name]) === JSON.stringify(value));
+}
+
+// Fixture for a task request: recorded fixtures win over bundled ones, exact keys over URL patterns
+async function findFixture(taskName, message) {
+  const key = getFixtureKey(taskName, message);
+  const url = message.domSnapshot?.url || '';
+  const fixtures = [...await getRecordedFixtures(), ...await loadBundledFixtures()];
+
+  return fixtures.find(fixture => fixture.key === key) ||
+    fixtures.find(fixture =>
+      fixture.task === taskName &&
+      fixture.urlPattern &&
+      fixtureUrlMatches(fixture.urlPattern, url) &&
+      fixtureInputsMatch(fixture.inputs, message)
+    ) ||
+    null;
+}
+
+// Replay a fixture as a model response: { content, usage }
+// With onText the content is streamed in small chunks, like a live response
+async function replayFixture(task, message, onText = null, signal = null) {
+  const fixture = await findFixture(task.name, message);
+  if (!fixture) {
+    throw new Error(`No mock fixture for the ${task.name} task on this page (key ${getFixtureKey(task.name, message)}) - record one with a real provider first`);
+  }
+
+  console.log('[SurfMate] Replaying', task.name, 'fixture', fixture.key, fixture.provider ? `recorded with ${fixture.provider} ${fixture.model}` : '(bundled)');
+
+  if (onText) {
+    for (let i = 0; i < fixture.content.length; i += MOCK_STREAM_CHUNK_SIZE) {
+      await delay(MOCK_STREAM_CHUNK_DELAY_MS, signal);
+      onText(fixture.content.slice(i, i + MOCK_STREAM_CHUNK_SIZE));
+    }
+  }
+
+  return { content: fixture.content, usage: { inputTokens: 0, outputTokens: 0, reasoningTokens: 0 } };
+}
+
+// Save a live response as a fixture when recording mode is on
+async function recordFixture(task, message, content, settings) {
+  const { mockRecording } = await chrome.storage.local.get('mockRecording');
+  if (!mockRecording) return;
+
+  const { type, requestId, bypassCache, redaction, domSnapshot, ...inputs } = message;
+  const fixture = {
+    key: getFixtureKey(task.name, message),
+    task: task.name,
+    url: domSnapshot?.url || '',
+    snapshot: domSnapshot || null,
+    inputs,
+    content,
+    provider: settings.provider,
+    model: settings.model,
+    recordedAt: Date.now()
+  };
+
+  try {
+    const fixtures = (await getRecordedFixtures()).filter(existing => existing.key !== fixture.key);
+    fixtures.unshift(fixture);
+    await chrome.storage.local.set({ mockFixtures: fixtures.slice(0, MAX_RECORDED_FIXTURES) });
+    console.log('[SurfMate] Recorded', task.name, 'fixture', fixture.key);
+  } catch (error) {
+    console.error('[SurfMate] Recording fixture failed:', error);
+  }
+}
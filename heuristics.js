@@ -0,0 +1,294 @@
+// Offline heuristic analyzer
+//
+// Builds the same { containers, standalone } structure as the AI analysis from a DOM
+// snapshot alone, so keyboard navigation works without an API (offline mode, no key
+// configured, provider errors) and as an instant first paint while the model works.
+//
+//   - container candidates come from CONTAINER_SELECTORS (semantic elements, ARIA
+//     landmarks, common class/id patterns) and generic divs in generateDOMSnapshot()
+//   - interactive elements are assigned to containers by geometric containment, tightest
+//     container first; leftover elements are clustered by proximity and the cluster is
+//     mapped to the smallest candidate around it
+//   - labels come from aria-label, the container's first heading, its landmark role,
+//     its id/class or the text of its elements
+//   - containers are ordered by a workflow score (search/forms/main content first)
+
+// Container-like elements (sections that may contain multiple interactive elements)
+const CONTAINER_SELECTORS = [
+  // Semantic HTML5 elements
+  'nav', 'header', 'main', 'footer', 'aside', 'section', 'article', 'form', 'dialog',
+  // ARIA landmarks and widget groups
+  '[role="navigation"]', '[role="banner"]', '[role="main"]', '[role="complementary"]',
+  '[role="contentinfo"]', '[role="search"]', '[role="form"]', '[role="region"]',
+  '[role="toolbar"]', '[role="menubar"]', '[role="tablist"]', '[role="dialog"]',
+  // Common class patterns (div-based containers)
+  '.nav', '.navbar', '.navigation', '.header', '.menu', '.sidebar',
+  '.container', '.wrapper', '.content', '.main-content', '.page-content',
+  '.sidebar', '.left-sidebar', '.right-sidebar', '.aside',
+  '.top-bar', '.topbar', '.toolbar', '.control-bar',
+  '.panel', '.card', '.widget', '.box', '.block',
+  '.section', '.area', '.region', '.zone',
+  // Common ID patterns
+  '#nav', '#navbar', '#navigation', '#header', '#menu', '#sidebar',
+  '#container', '#wrapper', '#content', '#main', '#main-content',
+  '#sidebar', '#left-sidebar', '#right-sidebar',
+  '#top-bar', '#topbar', '#toolbar',
+  '#panel', '#section',
+  // Data attributes commonly used for containers
+  '[data-container]', '[data-section]', '[data-region]'
+];
+
+const HEURISTIC_MAX_CONTAINERS = 12;
+const HEURISTIC_MAX_STANDALONE = 15;
+const HEURISTIC_CLUSTER_GAP_PX = 32; // Elements closer than this belong to the same group
+
+// Container type by landmark tag or ARIA role
+const LANDMARK_TYPES = {
+  nav: 'navigation', navigation: 'navigation', menubar: 'navigation', tablist: 'navigation',
+  header: 'header', banner: 'header',
+  main: 'main',
+  footer: 'footer', contentinfo: 'footer',
+  aside: 'sidebar', complementary: 'sidebar',
+  form: 'form', search: 'search',
+  toolbar: 'toolbar',
+  dialog: 'dialog',
+  section: 'section', region: 'section', article: 'card'
+};
+
+// Container type by id/class keywords, for div-based layouts
+const CLASS_TYPE_PATTERNS = [
+  [/search/i, 'search'],
+  [/nav|menu/i, 'navigation'],
+  [/sidebar|aside/i, 'sidebar'],
+  [/toolbar|top-?bar|control/i, 'toolbar'],
+  [/header/i, 'header'],
+  [/footer/i, 'footer'],
+  [/card|panel|widget/i, 'card'],
+  [/form/i, 'form']
+];
+
+// Label used when a container has no aria-label, heading or readable id/class
+const TYPE_LABELS = {
+  navigation: 'Navigation',
+  header: 'Header',
+  main: 'Main content',
+  footer: 'Footer',
+  sidebar: 'Sidebar',
+  form: 'Form',
+  search: 'Search',
+  toolbar: 'Toolbar',
+  dialog: 'Dialog',
+  card: 'Card',
+  section: 'Section'
+};
+
+// Workflow score per container type - where users usually start on a page
+const TYPE_WORKFLOW_WEIGHTS = {
+  dialog: 100, search: 90, form: 80, main: 70, toolbar: 60, navigation: 50,
+  card: 40, section: 40, sidebar: 30, header: 30, footer: 0
+};
+
+// Analyze a DOM snapshot (see generateDOMSnapshot) without any API
+function analyzeSnapshotHeuristically(snapshot) {
+  const elements = (snapshot?.elements || []).filter(e => e.selector && e.position);
+  const interactive = uniqueBySelector(elements.filter(e => !e.isContainer));
+  const candidates = uniqueBySelector(elements.filter(e => e.isContainer)).map(candidate => ({
+    candidate,
+    type: getHeuristicContainerType(candidate),
+    members: interactive.filter(e => rectContains(candidate.position, e.position))
+  }));
+
+  const covered = new Set();
+  const chosen = [];
+
+  const choose = (entry, members) => {
+    chosen.push({ ...entry, members });
+    members.forEach(e => covered.add(e.selector));
+  };
+
+  // Tightest containers first - a container only counts if most of its elements aren't taken yet
+  candidates
+    .filter(entry => entry.members.length >= (entry.type === 'section' && !isLandmark(entry.candidate) ? 3 : 2))
+    .sort((a, b) => rectArea(a.candidate.position) - rectArea(b.candidate.position))
+    .forEach(entry => {
+      const fresh = entry.members.filter(e => !covered.has(e.selector));
+      if (fresh.length >= 2 && fresh.length >= entry.members.length / 2) {
+        choose(entry, fresh);
+      }
+    });
+
+  // Group what's left by proximity and use the smallest candidate around each group
+  clusterByProximity(interactive.filter(e => !covered.has(e.selector))).forEach(cluster => {
+    if (cluster.length < 3) return;
+
+    const bounds = getBoundingRect(cluster.map(e => e.position));
+    const enclosing = candidates
+      .filter(entry => !chosen.some(c => c.candidate === entry.candidate) && rectEncloses(entry.candidate.position, bounds))
+      .sort((a, b) => rectArea(a.candidate.position) - rectArea(b.candidate.position))[0];
+
+    if (enclosing) choose(enclosing, cluster);
+  });
+
+  const containers = chosen
+    .map(entry => ({
+      selector: entry.candidate.selector,
+      label: getHeuristicContainerLabel(entry),
+      type: entry.type,
+      score: getWorkflowScore(entry)
+    }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, HEURISTIC_MAX_CONTAINERS)
+    .map(({ score, ...container }) => container);
+
+  const standalone = interactive
+    .filter(e => !covered.has(e.selector))
+    .slice(0, HEURISTIC_MAX_STANDALONE)
+    .map(e => ({
+      selector: e.selector,
+      label: getHeuristicElementLabel(e),
+      type: getHeuristicElementType(e)
+    }));
+
+  return { containers, standalone };
+}
+
+// Snapshot elements are collected per selector pattern, so the same element can appear twice
+function uniqueBySelector(elements) {
+  const seen = new Set();
+  return elements.filter(e => {
+    if (seen.has(e.selector)) return false;
+    seen.add(e.selector);
+    return true;
+  });
+}
+
+function rectArea(rect) {
+  return rect.width * rect.height;
+}
+
+// Whether outer contains the center of inner (tolerates borders and sub-pixel overflow)
+function rectContains(outer, inner) {
+  const cx = inner.x + inner.width / 2;
+  const cy = inner.y + inner.height / 2;
+  return cx >= outer.x && cx <= outer.x + outer.width && cy >= outer.y && cy <= outer.y + outer.height;
+}
+
+// Whether outer contains all of inner, give or take a few pixels
+function rectEncloses(outer, inner, tolerance = 4) {
+  return inner.x >= outer.x - tolerance &&
+    inner.y >= outer.y - tolerance &&
+    inner.x + inner.width <= outer.x + outer.width + tolerance &&
+    inner.y + inner.height <= outer.y + outer.height + tolerance;
+}
+
+function getBoundingRect(rects) {
+  const left = Math.min(...rects.map(r => r.x));
+  const top = Math.min(...rects.map(r => r.y));
+  const right = Math.max(...rects.map(r => r.x + r.width));
+  const bottom = Math.max(...rects.map(r => r.y + r.height));
+  return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+function rectsNear(a, b, gap) {
+  return !(a.x + a.width + gap < b.x ||
+           b.x + b.width + gap < a.x ||
+           a.y + a.height + gap < b.y ||
+           b.y + b.height + gap < a.y);
+}
+
+// Single-linkage clustering: elements within HEURISTIC_CLUSTER_GAP_PX of each other share a group
+function clusterByProximity(elements) {
+  const clusters = [];
+  const assigned = new Set();
+
+  elements.forEach(start => {
+    if (assigned.has(start)) return;
+
+    const cluster = [start];
+    assigned.add(start);
+    for (let i = 0; i < cluster.length; i++) {
+      elements.forEach(other => {
+        if (!assigned.has(other) && rectsNear(cluster[i].position, other.position, HEURISTIC_CLUSTER_GAP_PX)) {
+          assigned.add(other);
+          cluster.push(other);
+        }
+      });
+    }
+    clusters.push(cluster);
+  });
+
+  return clusters;
+}
+
+function isLandmark(candidate) {
+  return Boolean(LANDMARK_TYPES[candidate.attributes?.role] || LANDMARK_TYPES[candidate.tag]);
+}
+
+function getHeuristicContainerType(candidate) {
+  const attributes = candidate.attributes || {};
+  const landmarkType = LANDMARK_TYPES[attributes.role] || LANDMARK_TYPES[candidate.tag];
+  if (landmarkType && landmarkType !== 'section') return landmarkType;
+
+  const hint = `${attributes.id || ''} ${attributes.className || ''}`;
+  const match = CLASS_TYPE_PATTERNS.find(([pattern]) => pattern.test(hint));
+  return match ? match[1] : 'section';
+}
+
+function getHeuristicContainerLabel(entry) {
+  const attributes = entry.candidate.attributes || {};
+  const label = attributes.ariaLabel || attributes.heading || humanizeIdentifier(attributes.id);
+  if (label) return truncateLabel(label);
+
+  if (entry.type !== 'section') return TYPE_LABELS[entry.type];
+
+  // Name a generic section after its first few elements ("Home, Pricing, Docs")
+  const texts = entry.members.map(getHeuristicElementLabel).filter(Boolean).slice(0, 3);
+  return texts.length > 0 ? truncateLabel(texts.join(', ')) : TYPE_LABELS.section;
+}
+
+function getHeuristicElementLabel(element) {
+  const attributes = element.attributes || {};
+  const label = attributes.ariaLabel || element.text || attributes.placeholder ||
+    attributes.title || attributes.name || getLinkPathLabel(attributes.href);
+  return truncateLabel((label || '').replace(/\s+/g, ' ').trim()) || element.tag;
+}
+
+function getHeuristicElementType(element) {
+  if (element.tag === 'a') return 'link';
+  if (['input', 'textarea', 'select'].includes(element.tag)) return element.tag;
+  return 'button';
+}
+
+// Last path segment of a link as a label ("/docs/getting-started" -> "getting started")
+function getLinkPathLabel(href) {
+  if (!href) return '';
+  try {
+    const segment = new URL(href).pathname.split('/').filter(Boolean).pop();
+    return segment ? decodeURIComponent(segment).replace(/[-_]+/g, ' ') : '';
+  } catch (e) {
+    return '';
+  }
+}
+
+// "left-sidebar" -> "Left sidebar", skipping generated ids like "r-1a2b3c"
+function humanizeIdentifier(identifier) {
+  if (!identifier || /\d/.test(identifier)) return '';
+  const words = identifier.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/[-_]+/g, ' ').trim().toLowerCase();
+  return words ? words[0].toUpperCase() + words.slice(1) : '';
+}
+
+function truncateLabel(label) {
+  return label.length > 40 ? label.substring(0, 39) + '…' : label;
+}
+
+// Higher first: likely starting points (search, forms, main content), fuller containers,
+// and reading order as the tie-breaker
+function getWorkflowScore(entry) {
+  const position = entry.candidate.position;
+  const inputs = entry.members.filter(e => ['input', 'textarea', 'select'].includes(e.tag)).length;
+  return (TYPE_WORKFLOW_WEIGHTS[entry.type] ?? 40) +
+    Math.min(entry.members.length, 15) * 2 +
+    (inputs > 0 ? 20 : 0) -
+    Math.min(Math.max(position.y, 0) / 100, 30) -
+    Math.min(Math.max(position.x, 0) / 200, 10);
+}
@@ -0,0 +1,45 @@
+// Hint key sequences (Vimium-style)
+//
+// Every container and element gets a code typed from a configurable alphabet
+// (settings "containerHintKeys" and "elementHintKeys"). When there are more items than
+// keys, some keys become prefixes for two-key codes, and so on: the codes are prefix-free,
+// so a code is complete the moment it is typed. Items earlier in the list (workflow order)
+// keep the short codes. Keys bound to commands (keybindings.js) are never hint keys.
+// Loaded after settings.js and keybindings.js.
+
+const DEFAULT_CONTAINER_HINT_KEYS = SETTINGS_SCHEMA.containerHintKeys.default;
+const DEFAULT_ELEMENT_HINT_KEYS = SETTINGS_SCHEMA.elementHintKeys.default; // No "f" (reserved)
+const RESERVED_HINT_KEYS = getReservedHintKeys(getDefaultKeybindings()); // "f" opens follow mode
+
+const ALL_HINT_KEYS = 'abcdefghijklmnopqrstuvwxyz0123456789';
+
+// Lowercase letters and digits, each once, without reserved keys - or the fallback when
+// fewer than two keys are left (one key can't form prefix-free codes), and every unreserved
+// key when even the fallback is down to one
+// Pass the reserved keys of the user's bindings; the defaults reserve RESERVED_HINT_KEYS
+function normalizeHintKeys(value, fallback, reserved = RESERVED_HINT_KEYS) {
+  const clean = text => [...new Set((text || '').toLowerCase())]
+    .filter(key => /^[a-z0-9]$/.test(key) && !reserved.includes(key))
+    .join('');
+  return [value, fallback, ALL_HINT_KEYS].map(clean).find(keys => keys.length >= 2) || '';
+}
+
+// count prefix-free codes from keys, shortest first
+// The last of the shortest codes is split into longer ones until there are enough, so more
+// items mostly change the codes at the end of the list
+function generateHintCodes(count, keys) {
+  if (count <= 0) return [];
+  // Splitting a code into one longer code never adds any - use normalizeHintKeys() first
+  if (keys.length < 2) return [...keys].slice(0, count);
+
+  const codes = [...keys];
+  while (codes.length < count) {
+    const shortest = codes[0].length;
+    let last = 0;
+    while (last + 1 < codes.length && codes[last + 1].length === shortest) last++;
+
+    const longer = [...keys].map(key => codes[last] + key);
+    codes.splice(last, 1, ...longer);
+  }
+  return codes.slice(0, count);
+}
@@ -0,0 +1,184 @@
+// Keybindings for the overlay's commands
+//
+// KEYBINDING_COMMANDS lists every command with its default key. content.js looks keys up here
+// instead of hard-coding them, and the help modal and command palette render from the same list.
+// Users rebind them on the options page: "keybindings" overrides the defaults everywhere,
+// "siteKeybindings" per origin (like site profiles) on top of that. '' unbinds a command.
+//
+//   keybindings:     { follow: 'J' }
+//   siteKeybindings: { "https://mail.example.com": { save: '' } }
+//
+// Combos are written "Ctrl+Alt+Shift+Key". Ctrl also matches Cmd on macOS. Letters are
+// uppercase, so "F" is the f key and "Shift+F" is F. Keys are matched by the character they
+// type (event.key), so a binding stays on the printed key on Dvorak and other layouts.
+// Escape and Backspace are reserved (go back, undo a hint key). Loaded before hints.js.
+
+const KEYBINDING_COMMANDS = [
+  { id: 'palette', defaultKey: 'Ctrl+P', group: 'Actions', label: 'Command palette', description: 'Command palette - all commands' },
+  { id: 'follow', defaultKey: 'F', group: 'Actions', label: 'Follow mode', description: 'Follow mode - search links by typing' },
+  { id: 'reload', defaultKey: 'Shift+R', group: 'Actions', label: 'Force reload', description: 'Force reload - re-analyze page' },
+  { id: 'additional', defaultKey: 'Shift+A', group: 'Actions', label: 'More containers', description: 'Find additional containers' },
+  { id: 'record', defaultKey: 'Ctrl+Shift+R', group: 'Automation', label: 'Record macro', description: 'Record macro - sequence of actions' },
+  { id: 'save', defaultKey: 'Ctrl+S', group: 'Automation', label: 'Save session', description: 'Save session - current page state' },
+  { id: 'sessions', defaultKey: '', group: 'Automation', label: 'Load session', description: 'Load session - restore saved state' },
+  { id: 'help', defaultKey: '?', group: 'Help', label: 'Help', description: 'Show all keyboard shortcuts' }
+];
+
+const KEYBINDING_MODIFIERS = ['Ctrl', 'Alt', 'Shift'];
+const KEYBINDING_MODIFIER_ALIASES = {
+  ctrl: 'Ctrl', control: 'Ctrl', cmd: 'Ctrl', command: 'Ctrl', meta: 'Ctrl',
+  alt: 'Alt', option: 'Alt', opt: 'Alt',
+  shift: 'Shift'
+};
+const RESERVED_KEYBINDING_KEYS = ['Escape', 'Backspace'];
+
+// Keys with a name instead of a character (event.key, plus Space and Plus for " " and "+")
+const NAMED_KEYBINDING_KEYS = [
+  'Enter', 'Tab', 'Space', 'Plus', 'Delete', 'Insert', 'Home', 'End', 'PageUp', 'PageDown',
+  'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight',
+  ...Array.from({ length: 12 }, (_, i) => `F${i + 1}`),
+  ...RESERVED_KEYBINDING_KEYS
+];
+
+// Browser shortcuts a binding would shadow; the fixed ones never reach the page at all
+const BROWSER_SHORTCUTS = {
+  'Ctrl+A': { label: 'Select all' },
+  'Ctrl+C': { label: 'Copy' },
+  'Ctrl+D': { label: 'Bookmark page' },
+  'Ctrl+F': { label: 'Find in page' },
+  'Ctrl+G': { label: 'Find next' },
+  'Ctrl+H': { label: 'History' },
+  'Ctrl+J': { label: 'Downloads' },
+  'Ctrl+L': { label: 'Address bar' },
+  'Ctrl+P': { label: 'Print' },
+  'Ctrl+R': { label: 'Reload' },
+  'Ctrl+S': { label: 'Save page' },
+  'Ctrl+U': { label: 'View source' },
+  'Ctrl+V': { label: 'Paste' },
+  'Ctrl+X': { label: 'Cut' },
+  'Ctrl+Z': { label: 'Undo' },
+  'Ctrl+Shift+R': { label: 'Hard reload' },
+  'Ctrl+N': { label: 'New window', fixed: true },
+  'Ctrl+T': { label: 'New tab', fixed: true },
+  'Ctrl+W': { label: 'Close tab', fixed: true },
+  'Ctrl+Tab': { label: 'Next tab', fixed: true },
+  'Ctrl+Shift+N': { label: 'Incognito window', fixed: true },
+  'Ctrl+Shift+T': { label: 'Reopen closed tab', fixed: true },
+  'Ctrl+Shift+W': { label: 'Close window', fixed: true },
+  'Alt+Shift+B': { label: 'Toggle SurfMate', fixed: true } // manifest.json "commands"
+};
+
+// Canonical combo ("Ctrl+Shift+R") for a written one, or null when it isn't a key
+// Shift only counts for letters and named keys: "?" already says Shift on most layouts
+function normalizeKeyCombo(combo) {
+  const parts = String(combo || '').split('+').map(part => part.trim());
+  let key = parts.pop();
+  if (!key) return null;
+
+  const modifiers = new Set();
+  for (const part of parts) {
+    const modifier = KEYBINDING_MODIFIER_ALIASES[part.toLowerCase()];
+    if (!modifier) return null;
+    modifiers.add(modifier);
+  }
+
+  if (key.length === 1) {
+    if (/^[a-z]$/i.test(key)) key = key.toUpperCase();
+    else modifiers.delete('Shift');
+  } else {
+    key = NAMED_KEYBINDING_KEYS.find(name => name.toLowerCase() === key.toLowerCase());
+    if (!key) return null;
+  }
+
+  return [...KEYBINDING_MODIFIERS.filter(modifier => modifiers.has(modifier)), key].join('+');
+}
+
+// Combo of a keydown event, or null for a lone modifier
+function getKeyEventCombo(e) {
+  if (['Control', 'Alt', 'Shift', 'Meta'].includes(e.key)) return null;
+
+  const key = { ' ': 'Space', '+': 'Plus' }[e.key] || e.key;
+  const modifiers = [
+    e.ctrlKey || e.metaKey ? 'Ctrl' : '',
+    e.altKey ? 'Alt' : '',
+    e.shiftKey ? 'Shift' : ''
+  ].filter(Boolean);
+  return normalizeKeyCombo([...modifiers, key].join('+'));
+}
+
+function isReservedKeyCombo(combo) {
+  return RESERVED_KEYBINDING_KEYS.includes(combo);
+}
+
+function getDefaultKeybindings() {
+  return Object.fromEntries(KEYBINDING_COMMANDS.map(command => [command.id, command.defaultKey]));
+}
+
+// Effective bindings { commandId: combo }: the defaults, then each layer of overrides in order
+// (the user's, then the site's). Unknown commands, invalid and reserved combos are ignored
+function resolveKeybindings(...layers) {
+  const bindings = getDefaultKeybindings();
+  layers.forEach(layer => {
+    Object.entries(layer || {}).forEach(([id, combo]) => {
+      if (!(id in bindings)) return;
+      if (combo === '') {
+        bindings[id] = '';
+        return;
+      }
+      const normalized = normalizeKeyCombo(combo);
+      if (normalized && !isReservedKeyCombo(normalized)) bindings[id] = normalized;
+    });
+  });
+  return bindings;
+}
+
+// Command bound to a combo - the first one in KEYBINDING_COMMANDS when several share it
+function getKeybindingCommand(bindings, combo) {
+  if (!combo) return null;
+  return KEYBINDING_COMMANDS.find(command => bindings[command.id] === combo)?.id || null;
+}
+
+// Plain keys taken from the hint alphabets (hints.js) by bindings
+// Hints are typed without modifiers and ignore Shift, so "Shift+F" leaves f to the hints
+function getReservedHintKeys(bindings) {
+  return Object.values(bindings)
+    .filter(combo => combo && combo.length === 1)
+    .map(combo => combo.toLowerCase())
+    .join('');
+}
+
+// Problems per command id: { [id]: [{ type, message }] }
+//   duplicate - another command has the same key (the first one in the list wins)
+//   hint      - the key is in a hint alphabet, which then goes without it
+//   browser   - the key is a browser shortcut
+function findKeybindingConflicts(bindings, hintAlphabets = []) {
+  const conflicts = {};
+  const add = (id, type, message) => {
+    (conflicts[id] = conflicts[id] || []).push({ type, message });
+  };
+
+  KEYBINDING_COMMANDS.forEach((command, index) => {
+    const combo = bindings[command.id];
+    if (!combo) return;
+
+    KEYBINDING_COMMANDS.forEach((other, otherIndex) => {
+      if (other === command || bindings[other.id] !== combo) return;
+      add(command.id, 'duplicate', otherIndex < index
+        ? `Same key as "${other.label}", which wins - this command needs another key`
+        : `Same key as "${other.label}" - this command wins`);
+    });
+
+    if (combo.length === 1 && hintAlphabets.some(keys => keys.includes(combo.toLowerCase()))) {
+      add(command.id, 'hint', `"${combo.toLowerCase()}" is a hint key - hints go without it`);
+    }
+
+    const shortcut = BROWSER_SHORTCUTS[combo];
+    if (shortcut) {
+      add(command.id, 'browser', shortcut.fixed
+        ? `The browser keeps ${combo} (${shortcut.label}) - this binding never fires`
+        : `Replaces the browser's ${shortcut.label} while SurfMate is active`);
+    }
+  });
+
+  return conflicts;
+}
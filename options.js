@@ -0,0 +1,329 @@
+// Options page: site instructions editor (site profiles, see site-profiles.js) and
+// keyboard shortcut editor (keybindings.js)
+
+const originInput = document.getElementById('originInput');
+const addSiteButton = document.getElementById('addSiteButton');
+const siteList = document.getElementById('siteList');
+const saveStatus = document.getElementById('saveStatus');
+const keybindingScopeSelect = document.getElementById('keybindingScopeSelect');
+const keybindingOriginInput = document.getElementById('keybindingOriginInput');
+const addKeybindingSiteButton = document.getElementById('addKeybindingSiteButton');
+const removeKeybindingSiteButton = document.getElementById('removeKeybindingSiteButton');
+const keybindingList = document.getElementById('keybindingList');
+const keybindingSaveStatus = document.getElementById('keybindingSaveStatus');
+
+let siteProfiles = {};
+let saveStatusTimeout = null;
+let keybindings = {};
+let siteKeybindings = {};
+let keybindingScope = ''; // '' for all sites, or an origin with its own overrides
+let hintAlphabets = [];
+let keybindingSaveStatusTimeout = null;
+
+function saveSiteProfiles() {
+  chrome.storage.local.set({ siteProfiles }, () => {
+    saveStatus.textContent = 'Saved';
+    clearTimeout(saveStatusTimeout);
+    saveStatusTimeout = setTimeout(() => {
+      saveStatus.textContent = '';
+    }, 1500);
+  });
+}
+
+function createField(labelText, value, className, onChange) {
+  const wrapper = document.createElement('div');
+  const label = document.createElement('label');
+  label.textContent = labelText;
+  const textarea = document.createElement('textarea');
+  textarea.className = className;
+  textarea.value = value;
+  textarea.spellcheck = className !== 'selectors';
+  textarea.addEventListener('change', () => onChange(textarea.value));
+  wrapper.append(label, textarea);
+  return wrapper;
+}
+
+function renderSite(origin) {
+  const profile = siteProfiles[origin];
+
+  const item = document.createElement('div');
+  item.className = 'site';
+  item.dataset.origin = origin;
+
+  const header = document.createElement('div');
+  header.className = 'site-header';
+  const title = document.createElement('span');
+  title.className = 'site-origin';
+  title.textContent = origin;
+  const removeButton = document.createElement('button');
+  removeButton.textContent = 'Remove';
+  removeButton.addEventListener('click', () => {
+    delete siteProfiles[origin];
+    saveSiteProfiles();
+    renderSites();
+  });
+  header.append(title, removeButton);
+
+  const instructions = createField('Instructions', profile.instructions || '', 'instructions', value => {
+    profile.instructions = value.trim();
+    saveSiteProfiles();
+  });
+
+  const selectorLists = document.createElement('div');
+  selectorLists.className = 'selector-lists';
+  selectorLists.append(
+    createField('Preferred selectors (one per line)', (profile.preferredSelectors || []).join('\n'), 'selectors', value => {
+      profile.preferredSelectors = parseSelectorList(value);
+      saveSiteProfiles();
+    }),
+    createField('Ignored selectors (one per line)', (profile.ignoredSelectors || []).join('\n'), 'selectors', value => {
+      profile.ignoredSelectors = parseSelectorList(value);
+      saveSiteProfiles();
+    })
+  );
+
+  item.append(header, instructions, selectorLists);
+  return item;
+}
+
+function renderSites() {
+  siteList.innerHTML = '';
+  const origins = Object.keys(siteProfiles).sort();
+
+  if (origins.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'empty';
+    empty.textContent = 'No site instructions yet.';
+    siteList.appendChild(empty);
+    return;
+  }
+
+  origins.forEach(origin => siteList.appendChild(renderSite(origin)));
+}
+
+// Add a site (or jump to it when it already has instructions)
+function addSite(value) {
+  const origin = getSiteProfileOrigin(/^[a-z]+:\/\//i.test(value) ? value : `https://${value}`);
+  if (!origin) {
+    saveStatus.textContent = `Not a site: ${value}`;
+    return;
+  }
+
+  if (!siteProfiles[origin]) {
+    siteProfiles[origin] = { instructions: '', preferredSelectors: [], ignoredSelectors: [] };
+    renderSites();
+  }
+  originInput.value = '';
+
+  const item = Array.from(siteList.children).find(child => child.dataset.origin === origin);
+  item?.classList.add('highlight');
+  item?.scrollIntoView({ block: 'center' });
+  item?.querySelector('textarea')?.focus();
+}
+
+addSiteButton.addEventListener('click', () => {
+  if (originInput.value.trim()) addSite(originInput.value.trim());
+});
+originInput.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter' && originInput.value.trim()) addSite(originInput.value.trim());
+});
+
+// Keyboard shortcuts
+
+function saveKeybindings() {
+  chrome.storage.local.set({ keybindings, siteKeybindings }, () => {
+    keybindingSaveStatus.textContent = 'Saved';
+    clearTimeout(keybindingSaveStatusTimeout);
+    keybindingSaveStatusTimeout = setTimeout(() => {
+      keybindingSaveStatus.textContent = '';
+    }, 1500);
+  });
+}
+
+// Overrides edited in the current scope, and the bindings they apply on top of
+function getScopeLayer() {
+  if (!keybindingScope) return keybindings;
+  siteKeybindings[keybindingScope] = siteKeybindings[keybindingScope] || {};
+  return siteKeybindings[keybindingScope];
+}
+
+function getInheritedKeybindings() {
+  return keybindingScope ? resolveKeybindings(keybindings) : getDefaultKeybindings();
+}
+
+// Store a combo for a command in the current scope - the inherited key needs no override
+function setKeybinding(id, combo) {
+  const layer = getScopeLayer();
+  if (combo === getInheritedKeybindings()[id]) delete layer[id];
+  else layer[id] = combo;
+  saveKeybindings();
+  renderKeybindings();
+}
+
+function resetKeybinding(id) {
+  delete getScopeLayer()[id];
+  saveKeybindings();
+  renderKeybindings();
+}
+
+// Key button: click, then press the new combo (Backspace unbinds, Escape cancels)
+function createKeyButton(command, combo, isChanged) {
+  const button = document.createElement('button');
+  button.className = `keybinding-key${isChanged ? ' changed' : ''}`;
+  button.textContent = combo || 'unbound';
+  button.title = 'Click, then press the new key';
+
+  const stopCapture = () => {
+    button.classList.remove('capturing');
+    button.textContent = combo || 'unbound';
+  };
+
+  button.addEventListener('click', () => {
+    button.classList.add('capturing');
+    button.textContent = 'Press keys...';
+  });
+  button.addEventListener('blur', stopCapture);
+  button.addEventListener('keydown', (e) => {
+    if (!button.classList.contains('capturing')) return;
+    e.preventDefault();
+    e.stopPropagation();
+
+    if (e.key === 'Escape') {
+      stopCapture();
+      return;
+    }
+    if (e.key === 'Backspace') {
+      setKeybinding(command.id, '');
+      return;
+    }
+
+    const pressed = getKeyEventCombo(e);
+    if (pressed) setKeybinding(command.id, pressed);
+  });
+
+  return button;
+}
+
+function renderKeybinding(command, bindings, conflicts) {
+  const layer = keybindingScope ? siteKeybindings[keybindingScope] || {} : keybindings;
+  const isChanged = command.id in layer;
+
+  const item = document.createElement('div');
+  item.className = 'keybinding';
+
+  const text = document.createElement('div');
+  const label = document.createElement('div');
+  label.className = 'keybinding-label';
+  label.textContent = command.label;
+  const description = document.createElement('div');
+  description.className = 'keybinding-description';
+  description.textContent = `${command.description} • default ${command.defaultKey || 'unbound'}`;
+  text.append(label, description);
+
+  const resetButton = document.createElement('button');
+  resetButton.textContent = keybindingScope ? 'Use all-sites key' : 'Reset';
+  resetButton.disabled = !isChanged;
+  resetButton.addEventListener('click', () => resetKeybinding(command.id));
+
+  item.append(text, createKeyButton(command, bindings[command.id], isChanged), resetButton);
+
+  if (conflicts[command.id]) {
+    const list = document.createElement('div');
+    list.className = 'keybinding-conflicts';
+    conflicts[command.id].forEach(conflict => {
+      const line = document.createElement('div');
+      line.className = conflict.type;
+      line.textContent = `⚠ ${conflict.message}`;
+      list.appendChild(line);
+    });
+    item.appendChild(list);
+  }
+
+  return item;
+}
+
+function renderKeybindings() {
+  const bindings = keybindingScope
+    ? resolveKeybindings(keybindings, siteKeybindings[keybindingScope])
+    : resolveKeybindings(keybindings);
+  const conflicts = findKeybindingConflicts(bindings, hintAlphabets);
+
+  keybindingList.innerHTML = '';
+  KEYBINDING_COMMANDS.forEach(command => {
+    keybindingList.appendChild(renderKeybinding(command, bindings, conflicts));
+  });
+  removeKeybindingSiteButton.disabled = !keybindingScope;
+}
+
+// "All sites" plus every site with overrides (and the selected one, which may have none yet)
+function renderKeybindingScopes() {
+  const origins = Object.keys(siteKeybindings)
+    .filter(origin => Object.keys(siteKeybindings[origin] || {}).length > 0 || origin === keybindingScope)
+    .sort();
+
+  keybindingScopeSelect.innerHTML = '';
+  [['', 'All sites'], ...origins.map(origin => [origin, origin])].forEach(([value, text]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    keybindingScopeSelect.appendChild(option);
+  });
+  keybindingScopeSelect.value = keybindingScope;
+}
+
+function selectKeybindingScope(origin) {
+  keybindingScope = origin;
+  if (origin && !siteKeybindings[origin]) siteKeybindings[origin] = {};
+  renderKeybindingScopes();
+  renderKeybindings();
+}
+
+function addKeybindingSite(value) {
+  const origin = getSiteProfileOrigin(/^[a-z]+:\/\//i.test(value) ? value : `https://${value}`);
+  if (!origin) {
+    keybindingSaveStatus.textContent = `Not a site: ${value}`;
+    return;
+  }
+  keybindingOriginInput.value = '';
+  selectKeybindingScope(origin);
+}
+
+keybindingScopeSelect.addEventListener('change', () => selectKeybindingScope(keybindingScopeSelect.value));
+addKeybindingSiteButton.addEventListener('click', () => {
+  if (keybindingOriginInput.value.trim()) addKeybindingSite(keybindingOriginInput.value.trim());
+});
+keybindingOriginInput.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter' && keybindingOriginInput.value.trim()) addKeybindingSite(keybindingOriginInput.value.trim());
+});
+removeKeybindingSiteButton.addEventListener('click', () => {
+  if (!keybindingScope) return;
+  delete siteKeybindings[keybindingScope];
+  saveKeybindings();
+  selectKeybindingScope('');
+});
+
+// The popup opens this page as options.html#<origin> for the current site's instructions,
+// or options.html#keybindings/<origin> for its keyboard shortcuts
+loadSettings(['siteProfiles', 'keybindings', 'siteKeybindings', 'containerHintKeys', 'elementHintKeys']).then((result) => {
+  siteProfiles = result.siteProfiles;
+  keybindings = result.keybindings;
+  siteKeybindings = result.siteKeybindings;
+  // Conflicts are checked against the alphabets as configured, not as the overlay trims them:
+  // the bindings being edited decide which keys the hints lose. The default alphabets hold
+  // no key the default bindings use, so only changed bindings are flagged
+  hintAlphabets = [
+    normalizeHintKeys(result.containerHintKeys, DEFAULT_CONTAINER_HINT_KEYS, ''),
+    normalizeHintKeys(result.elementHintKeys, DEFAULT_ELEMENT_HINT_KEYS, '')
+  ];
+  renderSites();
+  renderKeybindingScopes();
+  renderKeybindings();
+
+  const hash = decodeURIComponent(location.hash.slice(1));
+  if (hash.startsWith('keybindings')) {
+    selectKeybindingScope(getSiteProfileOrigin(hash.slice('keybindings/'.length)));
+    document.getElementById('keybindings').scrollIntoView();
+  } else if (hash) {
+    addSite(hash);
+  }
+});
@@ -1,10 +1,16 @@
 // State
 let currentOpenAIKey = '';
 let currentGeminiKey = '';
+let currentAnthropicKey = '';
+let currentLocalBaseUrl = '';
+let currentLocalKey = '';
+let currentLocalModel = '';
 let currentProvider = 'openai';
 let currentModel = 'gpt-5.2';
 let extensionEnabled = false;
 let currentLanguage = 'en';
+let currentConcurrency = {};
+let reservedHintKeys = RESERVED_HINT_KEYS; // Plain keys of the user's command bindings (keybindings.js)
 
 // Provider and model configurations
 const PROVIDER_CONFIGS = {
@@ -20,14 +26,51 @@ const PROVIDER_CONFIGS = {
       { id: 'gpt-4.1', name: 'GPT-4.1 (Developer Series)' },
       { id: 'gpt-4.1-mini', name: 'GPT-4.1 Mini (Affordable)' }
     ],
-    defaultModel: 'gpt-5.2'
+    defaultModel: 'gpt-5.2',
+    defaultConcurrency: 2
   },
   gemini: {
     name: 'Gemini (Google AI)',
     models: [
       { id: 'gemini-3-flash-preview', name: 'Gemini 3.0 Flash' }
     ],
-    defaultModel: 'gemini-3-flash-preview'
+    defaultModel: 'gemini-3-flash-preview',
+    defaultConcurrency: 1
+  },
+  anthropic: {
+    name: 'Anthropic (Claude)',
+    models: [
+      { id: 'claude-sonnet-4-5', name: 'Claude Sonnet 4.5 (Balanced)' },
+      { id: 'claude-haiku-4-5', name: 'Claude Haiku 4.5 (Fast & Cost Efficient)' },
+      { id: 'claude-opus-4-1', name: 'Claude Opus 4.1 (Most Capable)' }
+    ],
+    defaultModel: 'claude-sonnet-4-5',
+    defaultConcurrency: 2
+  },
+  local: {
+    name: 'Local (OpenAI-compatible)',
+    // Free-form model id - whatever the local server has loaded (e.g. llama3.1, qwen2.5:7b)
+    models: [],
+    customModel: true,
+    defaultModel: '',
+    // Local servers usually process one request at a time
+    defaultConcurrency: 1
+  },
+  offline: {
+    name: 'Offline (no AI)',
+    // Pages are analyzed by heuristics.js in the page itself - no model, no key, nothing sent
+    models: [],
+    offline: true,
+    defaultModel: '',
+    defaultConcurrency: 1
+  },
+  mock: {
+    name: 'Mock (recorded fixtures)',
+    // Replays recorded responses (fixtures.js) - no key, no network
+    models: [],
+    mock: true,
+    defaultModel: 'fixtures',
+    defaultConcurrency: 2
   }
 };
 
@@ -37,16 +80,81 @@ const modelSelect = document.getElementById('modelSelect');
 const languageSelect = document.getElementById('languageSelect');
 const openaiApiKeyInput = document.getElementById('openaiApiKeyInput');
 const geminiApiKeyInput = document.getElementById('geminiApiKeyInput');
+const anthropicApiKeyInput = document.getElementById('anthropicApiKeyInput');
 const toggleOpenAIKeyVisibility = document.getElementById('toggleOpenAIKeyVisibility');
 const toggleGeminiKeyVisibility = document.getElementById('toggleGeminiKeyVisibility');
+const toggleAnthropicKeyVisibility = document.getElementById('toggleAnthropicKeyVisibility');
+const modelSection = document.getElementById('modelSection');
+const modelInput = document.getElementById('modelInput');
+const localServerSection = document.getElementById('localServerSection');
+const localBaseUrlInput = document.getElementById('localBaseUrlInput');
+const localApiKeyInput = document.getElementById('localApiKeyInput');
+const toggleLocalKeyVisibility = document.getElementById('toggleLocalKeyVisibility');
 const extensionToggle = document.getElementById('extensionToggle');
 const statusDot = document.getElementById('statusDot');
 const statusText = document.getElementById('statusText');
 const saveIndicator = document.getElementById('saveIndicator');
+const cacheTtlSelect = document.getElementById('cacheTtlSelect');
+const cacheMaxEntriesInput = document.getElementById('cacheMaxEntriesInput');
+const cacheSiteList = document.getElementById('cacheSiteList');
+const cacheSummary = document.getElementById('cacheSummary');
+const clearAllCacheButton = document.getElementById('clearAllCacheButton');
+const concurrencyInput = document.getElementById('concurrencyInput');
+const snapshotBudgetInput = document.getElementById('snapshotBudgetInput');
+const containerHintKeysInput = document.getElementById('containerHintKeysInput');
+const elementHintKeysInput = document.getElementById('elementHintKeysInput');
+const queueList = document.getElementById('queueList');
+const queueSummary = document.getElementById('queueSummary');
+const containerEnrichmentToggle = document.getElementById('containerEnrichmentToggle');
+const subcontainerAnalysisToggle = document.getElementById('subcontainerAnalysisToggle');
+const usageToday = document.getElementById('usageToday');
+const usageWeek = document.getElementById('usageWeek');
+const usageModelList = document.getElementById('usageModelList');
+const dailyBudgetInput = document.getElementById('dailyBudgetInput');
+const budgetActionSelect = document.getElementById('budgetActionSelect');
+const budgetStatus = document.getElementById('budgetStatus');
+const clearUsageButton = document.getElementById('clearUsageButton');
+const providerChainInput = document.getElementById('providerChainInput');
+const providerChainHint = document.getElementById('providerChainHint');
+const tierStatsList = document.getElementById('tierStatsList');
+const currentSitePolicyRow = document.getElementById('currentSitePolicyRow');
+const currentSiteLabel = document.getElementById('currentSiteLabel');
+const currentSitePolicySelect = document.getElementById('currentSitePolicySelect');
+const sitePoliciesInput = document.getElementById('sitePoliciesInput');
+const sitePoliciesHint = document.getElementById('sitePoliciesHint');
+const importPolicySelect = document.getElementById('importPolicySelect');
+const importSitePoliciesButton = document.getElementById('importSitePoliciesButton');
+const sitePoliciesFileInput = document.getElementById('sitePoliciesFileInput');
+const fixtureRecordingToggle = document.getElementById('fixtureRecordingToggle');
+const fixtureSummary = document.getElementById('fixtureSummary');
+const exportFixturesButton = document.getElementById('exportFixturesButton');
+const importFixturesButton = document.getElementById('importFixturesButton');
+const clearFixturesButton = document.getElementById('clearFixturesButton');
+const fixturesFileInput = document.getElementById('fixturesFileInput');
+const siteInstructionsSummary = document.getElementById('siteInstructionsSummary');
+const editSiteInstructionsButton = document.getElementById('editSiteInstructionsButton');
+const keybindingsSummary = document.getElementById('keybindingsSummary');
+const editKeybindingsButton = document.getElementById('editKeybindingsButton');
+const redactionToggle = document.getElementById('redactionToggle');
+const redactionOptionInputs = document.querySelectorAll('.redaction-option');
+const redactionRulesInput = document.getElementById('redactionRulesInput');
+const redactionRulesHint = document.getElementById('redactionRulesHint');
+const viewSentLogButton = document.getElementById('viewSentLogButton');
+const urlTemplatesToggle = document.getElementById('urlTemplatesToggle');
+const urlTemplatePatternsInput = document.getElementById('urlTemplatePatternsInput');
+const ignoredQueryParamsInput = document.getElementById('ignoredQueryParamsInput');
 
 // Populate model dropdown based on provider
 function populateModels(provider) {
   const config = PROVIDER_CONFIGS[provider];
+
+  // Providers with free-form model ids use a text input instead of the dropdown
+  modelSelect.style.display = config.customModel ? 'none' : '';
+  modelInput.style.display = config.customModel ? '' : 'none';
+  localServerSection.style.display = provider === 'local' ? '' : 'none';
+  modelSection.style.display = config.offline || config.mock ? 'none' : '';
+  concurrencyInput.value = currentConcurrency[provider] ?? config.defaultConcurrency;
+
   modelSelect.innerHTML = '';
   config.models.forEach(model => {
     const option = document.createElement('option');
@@ -58,29 +166,91 @@ function populateModels(provider) {
 
 // Get current API key based on provider
 function getCurrentApiKey() {
-  return currentProvider === 'gemini' ? currentGeminiKey : currentOpenAIKey;
+  if (currentProvider === 'gemini') return currentGeminiKey;
+  if (currentProvider === 'anthropic') return currentAnthropicKey;
+  if (currentProvider === 'local') return currentLocalKey;
+  return currentOpenAIKey;
+}
+
+// Check whether the current provider can make requests
+// (local servers need a URL and model id, the key is optional; offline mode needs nothing)
+function isProviderConfigured() {
+  if (PROVIDER_CONFIGS[currentProvider].offline || PROVIDER_CONFIGS[currentProvider].mock) return true;
+  if (currentProvider === 'local') {
+    return !!(currentLocalBaseUrl && currentModel);
+  }
+  return !!getCurrentApiKey();
 }
 
 // Initialize
 function init() {
-  // Load saved settings
-  chrome.storage.local.get(['openaiApiKey', 'geminiApiKey', 'provider', 'model', 'extensionEnabled', 'language'], (result) => {
-    currentOpenAIKey = result.openaiApiKey || '';
-    currentGeminiKey = result.geminiApiKey || '';
-    currentProvider = result.provider || 'openai';
-    currentModel = result.model || 'gpt-5.2';
-    extensionEnabled = result.extensionEnabled ?? false;
-    currentLanguage = result.language || 'en';
+  // Load saved settings (types and defaults from settings.js)
+  loadSettings().then((result) => {
+    currentOpenAIKey = result.openaiApiKey;
+    currentGeminiKey = result.geminiApiKey;
+    currentAnthropicKey = result.anthropicApiKey;
+    currentLocalBaseUrl = result.localBaseUrl;
+    currentLocalKey = result.localApiKey;
+    currentLocalModel = result.localModel;
+    currentProvider = result.provider;
+    currentModel = result.model;
+    extensionEnabled = result.extensionEnabled;
+    currentLanguage = result.language;
+    currentConcurrency = result.providerConcurrency;
 
     // Update UI
     providerSelect.value = currentProvider;
     populateModels(currentProvider);
     modelSelect.value = currentModel;
+    modelInput.value = currentProvider === 'local' ? currentModel : currentLocalModel;
     languageSelect.value = currentLanguage;
 
     // Set API key inputs
     openaiApiKeyInput.value = currentOpenAIKey;
     geminiApiKeyInput.value = currentGeminiKey;
+    anthropicApiKeyInput.value = currentAnthropicKey;
+    localBaseUrlInput.value = currentLocalBaseUrl;
+    localApiKeyInput.value = currentLocalKey;
+
+    // Cache settings
+    cacheTtlSelect.value = String(result.cacheTtlMinutes);
+    cacheMaxEntriesInput.value = result.cacheMaxEntries;
+    renderCacheInspector();
+
+    // URL template settings
+    containerEnrichmentToggle.checked = result.containerEnrichment;
+    subcontainerAnalysisToggle.checked = result.subcontainerAnalysis;
+    snapshotBudgetInput.value = result.snapshotTokenBudget;
+    reservedHintKeys = getReservedHintKeys(resolveKeybindings(result.keybindings));
+    containerHintKeysInput.value = normalizeHintKeys(result.containerHintKeys, DEFAULT_CONTAINER_HINT_KEYS, reservedHintKeys);
+    elementHintKeysInput.value = normalizeHintKeys(result.elementHintKeys, DEFAULT_ELEMENT_HINT_KEYS, reservedHintKeys);
+    providerChainInput.value = formatProviderChain(result.providerChain);
+    const usageBudget = { ...DEFAULT_USAGE_BUDGET, ...result.usageBudget };
+    dailyBudgetInput.value = usageBudget.dailyLimit > 0 ? usageBudget.dailyLimit : '';
+    budgetActionSelect.value = usageBudget.action;
+    renderUsage();
+    renderTierStats();
+    fixtureRecordingToggle.checked = result.mockRecording;
+    renderFixtureSummary();
+    const siteCount = Object.values(result.siteProfiles).filter(profile => !isEmptySiteProfile(profile)).length;
+    if (siteCount > 0) {
+      siteInstructionsSummary.textContent = `Instructions for ${siteCount} site${siteCount === 1 ? '' : 's'}`;
+    }
+    renderKeybindingsSummary(result.keybindings, result.siteKeybindings);
+    currentSitePolicies = result.sitePolicies || DEFAULT_SITE_POLICY_RULES;
+    sitePoliciesInput.value = formatSitePolicyRules(currentSitePolicies);
+    renderCurrentSitePolicy();
+    const redactionOptions = { ...DEFAULT_REDACTION_OPTIONS, ...result.redactionOptions };
+    redactionToggle.checked = redactionOptions.enabled;
+    redactionOptionInputs.forEach(input => {
+      input.checked = redactionOptions[input.dataset.option];
+    });
+    redactionRulesInput.value = formatRedactionRules(result.redactionRules);
+    urlTemplatesToggle.checked = result.urlTemplatesEnabled;
+    urlTemplatePatternsInput.value = result.urlTemplatePatterns
+      .map(rule => `${rule.domain} ${rule.pattern}`)
+      .join('\n');
+    ignoredQueryParamsInput.value = result.ignoredQueryParams.join(', ');
 
     // Update status based on current provider's API key
     updateStatus();
@@ -100,7 +270,6 @@ function saveOpenAIKey() {
       chrome.storage.local.set({ openaiApiKey: currentOpenAIKey }, () => {
         showSaveIndicator();
         updateStatus();
-        notifyContentScript();
       });
     }
   }, 500);
@@ -116,7 +285,93 @@ function saveGeminiKey() {
       chrome.storage.local.set({ geminiApiKey: currentGeminiKey }, () => {
         showSaveIndicator();
         updateStatus();
-        notifyContentScript();
+      });
+    }
+  }, 500);
+}
+
+// Save Anthropic API key with debounce
+function saveAnthropicKey() {
+  clearTimeout(saveTimeout);
+  saveTimeout = setTimeout(() => {
+    const newValue = anthropicApiKeyInput.value.trim();
+    if (newValue !== currentAnthropicKey) {
+      currentAnthropicKey = newValue;
+      chrome.storage.local.set({ anthropicApiKey: currentAnthropicKey }, () => {
+        showSaveIndicator();
+        updateStatus();
+      });
+    }
+  }, 500);
+}
+
+// Save local server API key with debounce (optional - most local servers ignore it)
+function saveLocalKey() {
+  clearTimeout(saveTimeout);
+  saveTimeout = setTimeout(() => {
+    const newValue = localApiKeyInput.value.trim();
+    if (newValue !== currentLocalKey) {
+      currentLocalKey = newValue;
+      chrome.storage.local.set({ localApiKey: currentLocalKey }, () => {
+        showSaveIndicator();
+        updateStatus();
+      });
+    }
+  }, 500);
+}
+
+// Save local server base URL
+// Runs on change (not input) so the host permission prompt happens with a user gesture
+function saveLocalBaseUrl() {
+  const newValue = localBaseUrlInput.value.trim().replace(/\/+$/, '');
+  if (newValue === currentLocalBaseUrl) return;
+
+  let origin;
+  try {
+    origin = new URL(newValue).origin;
+  } catch (e) {
+    if (newValue) {
+      statusDot.classList.remove('active');
+      statusText.textContent = 'Invalid server URL';
+      return;
+    }
+  }
+
+  const persist = () => {
+    currentLocalBaseUrl = newValue;
+    chrome.storage.local.set({ localBaseUrl: currentLocalBaseUrl }, () => {
+      showSaveIndicator();
+      updateStatus();
+    });
+  };
+
+  if (!origin) {
+    persist();
+    return;
+  }
+
+  // localhost and 127.0.0.1 are granted in the manifest; other hosts (intranet servers) are optional
+  chrome.permissions.request({ origins: [`${origin}/*`] }, (granted) => {
+    if (!granted) {
+      statusDot.classList.remove('active');
+      statusText.textContent = 'Permission to reach the server was denied';
+      return;
+    }
+    persist();
+  });
+}
+
+// Save free-form model id with debounce
+function saveModelId() {
+  clearTimeout(saveTimeout);
+  saveTimeout = setTimeout(() => {
+    const newModel = modelInput.value.trim();
+    if (newModel !== currentModel) {
+      currentModel = newModel;
+      currentLocalModel = newModel;
+      chrome.storage.local.set({ model: currentModel, localModel: currentLocalModel }, () => {
+        showSaveIndicator();
+        updateStatus();
       });
     }
   }, 500);
@@ -127,19 +382,21 @@ function saveProvider() {
   clearTimeout(saveTimeout);
   saveTimeout = setTimeout(() => {
     const newProvider = providerSelect.value;
-    const newModel = PROVIDER_CONFIGS[newProvider].defaultModel;
+    const config = PROVIDER_CONFIGS[newProvider];
+    // Restore the last model id typed for free-form providers
+    const newModel = config.customModel ? currentLocalModel : config.defaultModel;
 
     if (newProvider !== currentProvider) {
       currentProvider = newProvider;
       currentModel = newModel;
       populateModels(currentProvider);
       modelSelect.value = currentModel;
+      modelInput.value = currentLocalModel;
 
       updateStatus();
 
       chrome.storage.local.set({ provider: currentProvider, model: currentModel }, () => {
         showSaveIndicator();
-        notifyContentScript();
       });
     }
   }, 300);
@@ -154,7 +411,6 @@ function saveModel() {
       currentModel = newModel;
       chrome.storage.local.set({ model: currentModel }, () => {
         showSaveIndicator();
-        notifyContentScript();
       });
     }
   }, 300);
@@ -169,27 +425,30 @@ function saveLanguage() {
       currentLanguage = newLanguage;
       chrome.storage.local.set({ language: currentLanguage }, () => {
         showSaveIndicator();
-        notifyContentScript();
       });
     }
   }, 300);
 }
 
-// Toggle extension state
+// Toggle extension state (the background tells every tab about the change)
 function toggleExtension(enabled) {
   extensionEnabled = enabled;
   chrome.storage.local.set({ extensionEnabled }, () => {
     showSaveIndicator();
-    notifyContentScript();
   });
 }
 
 // Update status display
 function updateStatus() {
-  const currentKey = getCurrentApiKey();
-  if (currentKey) {
+  if (isProviderConfigured()) {
     statusDot.classList.add('active');
-    statusText.textContent = 'API key configured';
+    if (PROVIDER_CONFIGS[currentProvider].offline) {
+      statusText.textContent = 'Offline mode (no API)';
+    } else if (PROVIDER_CONFIGS[currentProvider].mock) {
+      statusText.textContent = 'Mock provider (replaying fixtures)';
+    } else {
+      statusText.textContent = currentProvider === 'local' ? 'Local server configured' : 'API key configured';
+    }
   } else {
     statusDot.classList.remove('active');
     statusText.textContent = 'Not configured';
@@ -204,19 +463,433 @@ function showSaveIndicator() {
   }, 1500);
 }
 
-// Notify content script of changes
-function notifyContentScript() {
+// Save cache TTL
+function saveCacheTtl() {
+  chrome.storage.local.set({ cacheTtlMinutes: parseInt(cacheTtlSelect.value, 10) }, () => {
+    showSaveIndicator();
+  });
+}
+
+// Save cache size limit (clamped to the input's range)
+function saveCacheMaxEntries() {
+  const value = Math.min(2000, Math.max(10, parseInt(cacheMaxEntriesInput.value, 10) || 200));
+  cacheMaxEntriesInput.value = value;
+  chrome.storage.local.set({ cacheMaxEntries: value }, () => {
+    showSaveIndicator();
+    // Background evicts on change - refresh the list afterwards
+    setTimeout(renderCacheInspector, 300);
+  });
+}
+
+// Save how many requests may run at once for the current provider
+function saveConcurrency() {
+  const value = Math.min(8, Math.max(1, parseInt(concurrencyInput.value, 10) || PROVIDER_CONFIGS[currentProvider].defaultConcurrency));
+  concurrencyInput.value = value;
+  currentConcurrency = { ...currentConcurrency, [currentProvider]: value };
+  chrome.storage.local.set({ providerConcurrency: currentConcurrency }, () => {
+    showSaveIndicator();
+  });
+}
+
+// Render running and queued requests from the background scheduler
+function renderQueueState() {
+  chrome.runtime.sendMessage({ type: 'getQueueState' }, (state) => {
+    if (chrome.runtime.lastError || !state) return;
+
+    queueList.innerHTML = '';
+    const jobs = [...state.running, ...state.queued];
+
+    jobs.forEach(job => {
+      const row = document.createElement('div');
+      row.className = `queue-job queue-job-${job.status}`;
+      const shared = job.waiters > 1 ? ` • shared ×${job.waiters}` : '';
+      const focused = job.focused ? ' • this tab' : '';
+      row.textContent = `${job.status === 'running' ? 'Running' : 'Queued'} • ${job.label} • ${Math.round(job.elapsedMs / 1000)}s${focused}${shared}`;
+      queueList.appendChild(row);
+    });
+
+    const providerState = state.providers[currentProvider];
+    let summary = jobs.length
+      ? `${state.running.length} running, ${state.queued.length} queued`
+      : 'No pending requests';
+    if (providerState) {
+      summary += ` • ${providerState.running}/${providerState.limit} slots`;
+      if (providerState.cooldownMs > 0) {
+        summary += ` • rate limited, resuming in ${Math.ceil(providerState.cooldownMs / 1000)}s`;
+      }
+    }
+    queueSummary.textContent = summary;
+  });
+}
+
+const PROVIDER_CHAIN_HINT = 'One "provider model" per line, cheapest first. Escalates on errors, timeouts and bad selectors. Empty uses the provider above.';
+
+// Save the provider fallback chain (provider-chain.js)
+function saveProviderChain() {
+  const { tiers, errors } = parseProviderChain(providerChainInput.value);
+  providerChainHint.textContent = errors.length > 0 ? formatInvalidLines(errors) : PROVIDER_CHAIN_HINT;
+
+  chrome.storage.local.set({ providerChain: tiers }, () => {
+    showSaveIndicator();
+  });
+}
+
+// Which chain tiers answered on the active tab's site
+function renderTierStats() {
   chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-    if (tabs[0]?.id) {
-      chrome.tabs.sendMessage(tabs[0].id, {
-        type: 'settingsUpdated',
-        apiKey: getCurrentApiKey(),
-        provider: currentProvider,
-        extensionEnabled: extensionEnabled
-      }).catch(() => {
-        // Content script might not be loaded yet, that's okay
+    const url = tabs[0]?.url || '';
+    const site = /^https?:/.test(url) ? getUrlHostname(url) : '';
+
+    chrome.storage.local.get('tierStats', ({ tierStats }) => {
+      tierStatsList.innerHTML = '';
+      const siteStats = (tierStats || {})[site];
+      if (!siteStats) return;
+
+      Object.entries(siteStats).forEach(([label, stats]) => {
+        const row = document.createElement('div');
+        row.className = 'queue-job';
+        row.textContent = `${site} • ${label} • answered ${stats.answered} • failed ${stats.failed}`;
+        tierStatsList.appendChild(row);
       });
-    }
+    });
+  });
+}
+
+// Token usage and estimated cost (usage.js): today, the last 7 days and per model
+function renderUsage() {
+  chrome.storage.local.get(['usageRecords', 'usageBudget'], ({ usageRecords, usageBudget }) => {
+    const { today, week, models } = summarizeUsage(usageRecords);
+    const estimate = (totals) => formatCost(totals.cost) + (totals.unpriced ? '+' : '');
+
+    usageToday.textContent = today.requests + today.cacheHits > 0
+      ? `Today: ${estimate(today)} • ${today.requests} requests • ${today.cacheHits} cache hits`
+      : 'No requests today';
+    usageWeek.textContent = week.requests + week.cacheHits > 0
+      ? `Last 7 days: ${estimate(week)} • ${week.requests} requests • ${formatTokenCount(week.inputTokens)} in / ${formatTokenCount(week.outputTokens)} out`
+      : '';
+
+    usageModelList.innerHTML = '';
+    models.forEach(model => {
+      const row = document.createElement('div');
+      row.className = 'queue-job';
+      const reasoning = model.reasoningTokens > 0 ? ` (+${formatTokenCount(model.reasoningTokens)} reasoning)` : '';
+      row.textContent = `${model.label} • ${model.requests} req • ${formatTokenCount(model.inputTokens)} in / ${formatTokenCount(model.outputTokens)} out${reasoning} • ${model.unpriced ? 'price unknown' : formatCost(model.cost)}`;
+      usageModelList.appendChild(row);
+    });
+
+    const budget = { ...DEFAULT_USAGE_BUDGET, ...usageBudget };
+    budgetStatus.textContent = budget.dailyLimit > 0
+      ? `${formatCost(today.cost)} of ${formatCost(budget.dailyLimit)} today${today.cost >= budget.dailyLimit ? ' • budget reached' : ''}`
+      : 'Costs are estimates from list prices';
+  });
+}
+
+// Save the daily budget (0 or empty = no budget) and what happens once it is reached
+function saveUsageBudget() {
+  const dailyLimit = Math.max(0, parseFloat(dailyBudgetInput.value) || 0);
+  chrome.storage.local.set({ usageBudget: { dailyLimit, action: budgetActionSelect.value } }, () => {
+    showSaveIndicator();
+    renderUsage();
+  });
+}
+
+function clearUsage() {
+  chrome.storage.local.remove('usageRecords', renderUsage);
+}
+
+// Save the per-request snapshot token budget
+function saveSnapshotBudget() {
+  const value = Math.min(200000, Math.max(2000, parseInt(snapshotBudgetInput.value, 10) || 12000));
+  snapshotBudgetInput.value = value;
+  chrome.storage.local.set({ snapshotTokenBudget: value }, () => {
+    showSaveIndicator();
+  });
+}
+
+// Save the hint alphabets (invalid keys are dropped, too few keys restore the default)
+function saveHintKeys() {
+  const containerHintKeys = normalizeHintKeys(containerHintKeysInput.value, DEFAULT_CONTAINER_HINT_KEYS, reservedHintKeys);
+  const elementHintKeys = normalizeHintKeys(elementHintKeysInput.value, DEFAULT_ELEMENT_HINT_KEYS, reservedHintKeys);
+  containerHintKeysInput.value = containerHintKeys;
+  elementHintKeysInput.value = elementHintKeys;
+  chrome.storage.local.set({ containerHintKeys, elementHintKeys }, () => {
+    showSaveIndicator();
+  });
+}
+
+// Save whether entering a container asks the AI for element labels
+function saveContainerEnrichment() {
+  chrome.storage.local.set({ containerEnrichment: containerEnrichmentToggle.checked }, () => {
+    showSaveIndicator();
+  });
+}
+
+// Save whether large containers ask the AI for their sections (nested containers)
+function saveSubcontainerAnalysis() {
+  chrome.storage.local.set({ subcontainerAnalysis: subcontainerAnalysisToggle.checked }, () => {
+    showSaveIndicator();
+  });
+}
+
+// Recorded mock fixtures (fixtures.js in the background worker)
+function renderFixtureSummary() {
+  chrome.storage.local.get('mockFixtures', ({ mockFixtures }) => {
+    const count = (mockFixtures || []).length;
+    fixtureSummary.textContent = count > 0 ? `${count} recorded fixture${count === 1 ? '' : 's'}` : 'No recorded fixtures';
+  });
+}
+
+function saveFixtureRecording() {
+  chrome.storage.local.set({ mockRecording: fixtureRecordingToggle.checked }, () => {
+    showSaveIndicator();
+  });
+}
+
+// Download the recorded fixtures in the bundled fixtures/fixtures.json format
+function exportFixtures() {
+  chrome.storage.local.get('mockFixtures', ({ mockFixtures }) => {
+    const json = JSON.stringify({ version: 1, fixtures: mockFixtures || [] }, null, 2);
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    link.download = `surfmate-fixtures-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  });
+}
+
+// Add fixtures from an exported file; imported fixtures replace recorded ones with the same key
+async function importFixtures() {
+  const file = fixturesFileInput.files[0];
+  if (!file) return;
+  fixturesFileInput.value = '';
+
+  let imported;
+  try {
+    imported = JSON.parse(await file.text()).fixtures;
+    if (!Array.isArray(imported)) throw new Error('no fixtures list');
+  } catch (error) {
+    fixtureSummary.textContent = `Import failed: ${error.message}`;
+    return;
+  }
+
+  chrome.storage.local.get('mockFixtures', ({ mockFixtures }) => {
+    const importedKeys = new Set(imported.map(fixture => fixture.key).filter(Boolean));
+    const kept = (mockFixtures || []).filter(fixture => !importedKeys.has(fixture.key));
+    chrome.storage.local.set({ mockFixtures: [...imported, ...kept] }, () => {
+      showSaveIndicator();
+      renderFixtureSummary();
+    });
+  });
+}
+
+function clearFixtures() {
+  chrome.storage.local.remove('mockFixtures', renderFixtureSummary);
+}
+
+// Site policy rules (site-policies.js) and the active tab's hostname
+let currentSitePolicies = [];
+let currentSiteHostname = '';
+
+const SITE_POLICIES_HINT = 'One "domain policy" per line: allow, ask, offline (never send, analyze locally) or block. * sets the default.';
+
+// Show the active tab's site and the policy that applies to it
+function renderCurrentSitePolicy() {
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    const url = tabs[0]?.url || '';
+    currentSiteHostname = /^https?:/.test(url) ? getUrlHostname(url) : '';
+    currentSitePolicyRow.style.display = currentSiteHostname ? '' : 'none';
+    if (!currentSiteHostname) return;
+
+    const { policy, domain } = getSitePolicy(url, currentSitePolicies);
+    currentSiteLabel.textContent = `This site (${currentSiteHostname})`;
+    currentSiteLabel.title = domain ? `Rule for ${domain}` : 'Default policy';
+    currentSitePolicySelect.value = policy;
+  });
+}
+
+function saveSitePolicies(rules, hint = SITE_POLICIES_HINT) {
+  currentSitePolicies = rules;
+  sitePoliciesInput.value = formatSitePolicyRules(rules);
+  sitePoliciesHint.textContent = hint;
+  renderCurrentSitePolicy();
+
+  chrome.storage.local.set({ sitePolicies: rules }, () => {
+    showSaveIndicator();
+  });
+}
+
+// Describe lines that were not valid rules
+function formatInvalidLines(errors) {
+  return `Ignored invalid line${errors.length > 1 ? 's' : ''}: ${errors.join(', ')}`;
+}
+
+// Save the rules edited in the text area
+function saveSitePoliciesInput() {
+  const { rules, errors } = parseSitePolicyRules(sitePoliciesInput.value);
+  saveSitePolicies(rules, errors.length > 0 ? formatInvalidLines(errors) : SITE_POLICIES_HINT);
+}
+
+// Open the site instructions editor (options page) at the active tab's site
+function editSiteInstructions() {
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    const origin = /^https?:/.test(tabs[0]?.url || '') ? getSiteProfileOrigin(tabs[0].url) : '';
+    chrome.tabs.create({ url: chrome.runtime.getURL('options.html') + (origin ? `#${encodeURIComponent(origin)}` : '') });
+  });
+}
+
+// Changed command keys (keybindings.js) and sites with their own
+function renderKeybindingsSummary(overrides, siteOverrides) {
+  const defaults = getDefaultKeybindings();
+  const bindings = resolveKeybindings(overrides);
+  const changedCount = Object.keys(defaults).filter(id => bindings[id] !== defaults[id]).length;
+  const siteCount = Object.values(siteOverrides).filter(layer => Object.keys(layer || {}).length > 0).length;
+
+  const parts = [];
+  if (changedCount > 0) parts.push(`${changedCount} key${changedCount === 1 ? '' : 's'} changed`);
+  if (siteCount > 0) parts.push(`overrides for ${siteCount} site${siteCount === 1 ? '' : 's'}`);
+  keybindingsSummary.textContent = parts.length > 0 ? parts.join(', ') : 'Default keys';
+}
+
+// Open the keybinding editor (options page) with the active tab's site selected
+function editKeybindings() {
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    const origin = /^https?:/.test(tabs[0]?.url || '') ? getSiteProfileOrigin(tabs[0].url) : '';
+    chrome.tabs.create({ url: chrome.runtime.getURL('options.html') + `#keybindings${origin ? `/${encodeURIComponent(origin)}` : ''}` });
+  });
+}
+
+// Set the policy of the active tab's site
+function saveCurrentSitePolicy() {
+  if (!currentSiteHostname) return;
+  saveSitePolicies(setSitePolicyRule(currentSitePolicies, currentSiteHostname, currentSitePolicySelect.value));
+}
+
+// Import a list of domains (one per line, optionally with a policy) from a text file
+// Domains without a policy get the one picked next to the import button
+async function importSitePolicies() {
+  const file = sitePoliciesFileInput.files[0];
+  if (!file) return;
+
+  const { rules, errors } = parseSitePolicyRules(await file.text(), importPolicySelect.value);
+  sitePoliciesFileInput.value = '';
+
+  const merged = rules.reduce((all, rule) => setSitePolicyRule(all, rule.domain, rule.policy), currentSitePolicies);
+  const hint = `Imported ${rules.length} site${rules.length === 1 ? '' : 's'}.` +
+    (errors.length > 0 ? ` ${formatInvalidLines(errors)}` : '');
+  saveSitePolicies(merged, hint);
+}
+
+// Save redaction settings (rules are parsed and validated by redaction.js)
+function saveRedaction() {
+  const options = { enabled: redactionToggle.checked };
+  redactionOptionInputs.forEach(input => {
+    options[input.dataset.option] = input.checked;
+  });
+
+  const { rules, errors } = parseRedactionRules(redactionRulesInput.value);
+  redactionRulesHint.textContent = errors.length > 0
+    ? `Ignored invalid rule${errors.length > 1 ? 's' : ''}: ${errors.join(', ')}`
+    : 'Custom rules: one "domain /regex/flags" per line, * for every site.';
+
+  chrome.storage.local.set({ redactionOptions: options, redactionRules: rules }, () => {
+    showSaveIndicator();
+  });
+}
+
+// Save URL template settings (patterns are parsed by url-templates.js)
+function saveUrlTemplates() {
+  const ignoredQueryParams = ignoredQueryParamsInput.value
+    .split(',')
+    .map(param => param.trim())
+    .filter(Boolean);
+
+  chrome.storage.local.set({
+    urlTemplatesEnabled: urlTemplatesToggle.checked,
+    urlTemplatePatterns: parseUrlTemplatePatterns(urlTemplatePatternsInput.value),
+    ignoredQueryParams
+  }, () => {
+    showSaveIndicator();
+  });
+}
+
+// Clear cache entries ({ site }, { key } or everything) and refresh the inspector
+function clearCache(filter) {
+  chrome.runtime.sendMessage({ type: 'clearCache', ...filter }, () => {
+    renderCacheInspector();
+  });
+}
+
+// Describe how long ago a timestamp was
+function formatAge(timestamp) {
+  const minutes = Math.round((Date.now() - timestamp) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  if (minutes < 1440) return `${Math.round(minutes / 60)}h ago`;
+  return `${Math.round(minutes / 1440)}d ago`;
+}
+
+function createClearButton(title, filter) {
+  const button = document.createElement('button');
+  button.className = 'cache-clear-button';
+  button.textContent = 'Clear';
+  button.title = title;
+  button.addEventListener('click', (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    clearCache(filter);
+  });
+  return button;
+}
+
+// Render cached analyses grouped per site
+function renderCacheInspector() {
+  chrome.runtime.sendMessage({ type: 'getCacheEntries' }, (response) => {
+    cacheSiteList.innerHTML = '';
+    const entries = response?.entries || [];
+
+    const sites = new Map();
+    entries.forEach(entry => {
+      if (!sites.has(entry.site)) sites.set(entry.site, []);
+      sites.get(entry.site).push(entry);
+    });
+
+    const totalKb = Math.round(entries.reduce((sum, entry) => sum + (entry.size || 0), 0) / 1024);
+    cacheSummary.textContent = entries.length
+      ? `${entries.length} entries on ${sites.size} sites (${totalKb} KB)`
+      : 'No cached pages';
+
+    sites.forEach((siteEntries, site) => {
+      const details = document.createElement('details');
+      details.className = 'cache-site';
+
+      const summary = document.createElement('summary');
+      const name = document.createElement('span');
+      name.className = 'cache-site-name';
+      name.textContent = site;
+      const count = document.createElement('span');
+      count.className = 'cache-site-count';
+      count.textContent = `${siteEntries.length}`;
+      summary.append(name, count, createClearButton(`Clear all entries for ${site}`, { site }));
+      details.appendChild(summary);
+
+      siteEntries.forEach(entry => {
+        const row = document.createElement('div');
+        row.className = 'cache-entry';
+        const info = document.createElement('span');
+        info.className = 'cache-entry-info';
+        let path = entry.url;
+        try {
+          const url = new URL(entry.url);
+          path = url.pathname + url.search;
+        } catch (e) {}
+        info.textContent = `${path} • ${entry.task} • ${entry.model} • ${formatAge(entry.lastAccessed)}`;
+        info.title = entry.key;
+        row.append(info, createClearButton('Clear this entry', { key: entry.key }));
+        details.appendChild(row);
+      });
+
+      cacheSiteList.appendChild(details);
+    });
   });
 }
 
@@ -238,13 +911,72 @@ toggleGeminiKeyVisibility.addEventListener('click', () => {
   }
 });
 
+// Toggle Anthropic API key visibility
+toggleAnthropicKeyVisibility.addEventListener('click', () => {
+  if (anthropicApiKeyInput.type === 'password') {
+    anthropicApiKeyInput.type = 'text';
+  } else {
+    anthropicApiKeyInput.type = 'password';
+  }
+});
+
+// Toggle local server API key visibility
+toggleLocalKeyVisibility.addEventListener('click', () => {
+  if (localApiKeyInput.type === 'password') {
+    localApiKeyInput.type = 'text';
+  } else {
+    localApiKeyInput.type = 'password';
+  }
+});
+
 // Event listeners
 providerSelect.addEventListener('change', saveProvider);
 modelSelect.addEventListener('change', saveModel);
+modelInput.addEventListener('input', saveModelId);
+localBaseUrlInput.addEventListener('change', saveLocalBaseUrl);
+localApiKeyInput.addEventListener('input', saveLocalKey);
 languageSelect.addEventListener('change', saveLanguage);
 openaiApiKeyInput.addEventListener('input', saveOpenAIKey);
 geminiApiKeyInput.addEventListener('input', saveGeminiKey);
+anthropicApiKeyInput.addEventListener('input', saveAnthropicKey);
 extensionToggle.addEventListener('change', (e) => toggleExtension(e.target.checked));
+cacheTtlSelect.addEventListener('change', saveCacheTtl);
+cacheMaxEntriesInput.addEventListener('change', saveCacheMaxEntries);
+clearAllCacheButton.addEventListener('click', () => clearCache({}));
+concurrencyInput.addEventListener('change', saveConcurrency);
+snapshotBudgetInput.addEventListener('change', saveSnapshotBudget);
+containerHintKeysInput.addEventListener('change', saveHintKeys);
+elementHintKeysInput.addEventListener('change', saveHintKeys);
+providerChainInput.addEventListener('change', saveProviderChain);
+dailyBudgetInput.addEventListener('change', saveUsageBudget);
+budgetActionSelect.addEventListener('change', saveUsageBudget);
+clearUsageButton.addEventListener('click', clearUsage);
+containerEnrichmentToggle.addEventListener('change', saveContainerEnrichment);
+subcontainerAnalysisToggle.addEventListener('change', saveSubcontainerAnalysis);
+fixtureRecordingToggle.addEventListener('change', saveFixtureRecording);
+exportFixturesButton.addEventListener('click', exportFixtures);
+importFixturesButton.addEventListener('click', () => fixturesFileInput.click());
+fixturesFileInput.addEventListener('change', importFixtures);
+clearFixturesButton.addEventListener('click', clearFixtures);
+currentSitePolicySelect.addEventListener('change', saveCurrentSitePolicy);
+editSiteInstructionsButton.addEventListener('click', editSiteInstructions);
+editKeybindingsButton.addEventListener('click', editKeybindings);
+sitePoliciesInput.addEventListener('change', saveSitePoliciesInput);
+importSitePoliciesButton.addEventListener('click', () => sitePoliciesFileInput.click());
+sitePoliciesFileInput.addEventListener('change', importSitePolicies);
+redactionToggle.addEventListener('change', saveRedaction);
+redactionOptionInputs.forEach(input => input.addEventListener('change', saveRedaction));
+redactionRulesInput.addEventListener('change', saveRedaction);
+viewSentLogButton.addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('debug.html') });
+});
+urlTemplatesToggle.addEventListener('change', saveUrlTemplates);
+urlTemplatePatternsInput.addEventListener('change', saveUrlTemplates);
+ignoredQueryParamsInput.addEventListener('change', saveUrlTemplates);
 
 // Initialize on load
 init();
+
+// Keep the request queue view live while the popup is open
+renderQueueState();
+setInterval(renderQueueState, 1000);
@@ -0,0 +1,96 @@
+// Provider fallback chain: cheap-then-strong escalation
+//
+// An ordered list of provider/model tiers, one "provider model" per line:
+//   openai gpt-5-mini
+//   gemini gemini-3-flash-preview
+//   openai gpt-5.2
+// Each analysis starts with the first tier and escalates to the next when the request fails,
+// times out (TIER_TIMEOUT_MS, except on the last tier) or returns mostly selectors that are not
+// in the snapshot. Tiers whose provider isn't configured are skipped; an empty chain means the
+// provider and model selected in the popup.
+//
+// Which tier answered is recorded per site (chrome.storage.local "tierStats") so the chain can
+// be tuned: { [site]: { "<provider> <model>": { answered, failed } } }
+
+const CHAIN_PROVIDERS = ['openai', 'gemini', 'anthropic', 'local', 'mock'];
+const TIER_TIMEOUT_MS = 30000; // The last tier gets whatever the scheduler's timeout leaves
+const MIN_VALID_SELECTOR_RATIO = 0.5;
+const MAX_TIER_STATS_SITES = 100;
+
+// Parse the chain, one "provider model" per line (the mock provider needs no model)
+function parseProviderChain(text) {
+  const tiers = [];
+  const errors = [];
+
+  (text || '').split('\n').forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) return;
+
+    const [provider, model, ...rest] = line.split(/\s+/);
+    if (!CHAIN_PROVIDERS.includes(provider) || (!model && provider !== 'mock') || rest.length > 0) {
+      errors.push(line);
+      return;
+    }
+    tiers.push({ provider, model: model || 'fixtures' });
+  });
+
+  return { tiers, errors };
+}
+
+function formatProviderChain(tiers) {
+  return (tiers || []).map(tier => `${tier.provider} ${tier.model}`).join('\n');
+}
+
+function getTierLabel(tier) {
+  return `${tier.provider} ${tier.model}`;
+}
+
+// Share of a result's selectors that appear in the snapshot it was given (1 when there are none to check)
+// An empty page analysis counts as a failure - every page has something to navigate
+function getValidSelectorRatio(task, result, message) {
+  const items = task.streamProperty === 'containers'
+    ? [...(result.containers || []), ...(result.standalone || [])]
+    : result.elements || [];
+  if (items.length === 0) return task.streamProperty === 'containers' ? 0 : 1;
+
+  const known = new Set((message.domSnapshot?.elements || []).map(element => element.selector));
+  (message.regions || []).forEach(region => {
+    [...region.containers, ...region.standalone].forEach(item => known.add(item.selector));
+  });
+  if (known.size === 0) return 1;
+
+  return items.filter(item => known.has(item.selector)).length / items.length;
+}
+
+// Stats updates are chained so concurrent analyses don't overwrite each other's counts
+let tierStatsWrite = Promise.resolve();
+
+// Count which tier answered a site's analysis and which ones failed before it
+function recordTierOutcome(url, answered, failed) {
+  tierStatsWrite = tierStatsWrite
+    .then(() => updateTierStats(url, answered, failed))
+    .catch(error => console.error('[SurfMate] Recording tier stats failed:', error));
+  return tierStatsWrite;
+}
+
+async function updateTierStats(url, answered, failed) {
+  const site = getCacheSite(url);
+  const { tierStats = {} } = await chrome.storage.local.get('tierStats');
+  const siteStats = tierStats[site] || {};
+
+  const bump = (tier, field) => {
+    const label = getTierLabel(tier);
+    siteStats[label] = { answered: 0, failed: 0, ...siteStats[label] };
+    siteStats[label][field]++;
+  };
+  failed.forEach(tier => bump(tier, 'failed'));
+  if (answered) bump(answered, 'answered');
+
+  // Most recently analyzed sites last, oldest dropped
+  delete tierStats[site];
+  tierStats[site] = siteStats;
+  const sites = Object.keys(tierStats);
+  sites.slice(0, Math.max(0, sites.length - MAX_TIER_STATS_SITES)).forEach(oldSite => delete tierStats[oldSite]);
+
+  await chrome.storage.local.set({ tierStats });
+}
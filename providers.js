@@ -0,0 +1,462 @@
+// Provider adapters (OpenAI, local OpenAI-compatible servers, Gemini, Anthropic, offline, mock)
+//
+// Every provider implements the same small interface, so adding a provider is one
+// adapter and adding an analysis task (tasks.js) works for every provider:
+//
+//   isConfigured(settings)                 -> boolean
+//   notConfiguredError                     -> message shown when isConfigured() is false
+//   buildRequest(task, prompts, settings, { stream }) -> { url, options } for fetch()
+//   parseResponse(data, task)              -> { content, usage } (content is the raw JSON text)
+//   parseStreamEvent(event, task)          -> { text, usage } for one server-sent event (usage may be partial or null)
+//   mapError(status, bodyText, settings)   -> Error (error.retryable = retry once with a rebuilt request)
+//   getUsage(data)                         -> { inputTokens, outputTokens, reasoningTokens }
+//                                             (outputTokens without the reasoning tokens)
+//
+// Adapters with enforcesSchema make the provider hold responses to the task schema, so a
+// mismatch is an error; the others (local JSON mode, fixtures) may leave fields out.
+// Adapters with replaysFixtures answer from recorded fixtures (fixtures.js) instead of HTTP.
+
+const providerAdapters = new Map();
+
+function registerProviderAdapter(id, adapter) {
+  providerAdapters.set(id, { id, ...adapter });
+}
+
+function getProviderAdapter(id) {
+  const adapter = providerAdapters.get(id);
+  if (!adapter) {
+    throw new Error(`Unknown provider: ${id}`);
+  }
+  return adapter;
+}
+
+// Pull a readable message out of an API error body (JSON or plain text)
+function extractErrorMessage(bodyText, fallback) {
+  try {
+    const body = JSON.parse(bodyText);
+    const message = body.error?.message || body.error || body.message;
+    if (message) return String(message);
+  } catch (e) {}
+  return bodyText || fallback;
+}
+
+// Error for a response cut off by the output token limit
+function truncatedResponseError(task) {
+  return new Error(`Response too large - try reducing ${task.name === 'container' ? 'container' : 'page'} complexity or increase token limit`);
+}
+
+// ============================================================================
+// OPENAI-COMPATIBLE CHAT COMPLETIONS (OpenAI + local servers)
+// ============================================================================
+
+// Build the chat completions URL from a user-entered base URL
+// Accepts "http://localhost:11434", "http://localhost:1234/v1/" or a full ".../chat/completions" URL
+function getLocalChatCompletionsUrl(baseUrl) {
+  let url = baseUrl.trim().replace(/\/+$/, '');
+  if (url.endsWith('/chat/completions')) return url;
+
+  try {
+    const parsed = new URL(url);
+    if (parsed.pathname === '' || parsed.pathname === '/') {
+      url += '/v1';
+    }
+  } catch (e) {
+    throw new Error('Invalid local server URL: ' + baseUrl);
+  }
+
+  return url + '/chat/completions';
+}
+
+// Local models that rejected response_format (keyed by endpoint|model), so we stop sending it
+const responseFormatUnsupported = new Set();
+
+// Build a chat completions request body shared by OpenAI and local servers
+function buildChatCompletionsBody(task, prompts, settings, stream) {
+  const body = {
+    model: settings.model,
+    messages: [
+      { role: 'system', content: prompts.system },
+      { role: 'user', content: prompts.user }
+    ],
+    temperature: 0.1,
+    response_format: { type: 'json_object' }
+  };
+  if (stream) {
+    body.stream = true;
+  }
+  return body;
+}
+
+function parseChatCompletionsResponse(data) {
+  const message = data.choices?.[0]?.message;
+  const content = message?.content;
+
+  // Structured outputs report a refusal instead of content that doesn't match the schema
+  if (message?.refusal) {
+    throw new Error('Model refused the request: ' + message.refusal);
+  }
+
+  console.log('[SurfMate] Raw API response length:', content?.length);
+
+  // Check if response is empty
+  if (!content || content.trim().length === 0) {
+    console.error('[SurfMate] Empty API response');
+    console.error('[SurfMate] Full API response:', JSON.stringify(data, null, 2));
+    throw new Error('Empty response from API');
+  }
+
+  return { content, usage: getChatCompletionsUsage(data) };
+}
+
+function parseChatCompletionsStreamEvent(event, task) {
+  const choice = event.choices?.[0];
+  if (choice?.finish_reason === 'length') {
+    console.error('[SurfMate] Streamed response was truncated due to token limit');
+    throw truncatedResponseError(task);
+  }
+
+  if (choice?.delta?.refusal) {
+    throw new Error('Model refused the request: ' + choice.delta.refusal);
+  }
+
+  return {
+    text: choice?.delta?.content || '',
+    usage: event.usage ? getChatCompletionsUsage(event) : null
+  };
+}
+
+// completion_tokens includes the reasoning tokens - they are reported separately
+function getChatCompletionsUsage(data) {
+  const reasoningTokens = data.usage?.completion_tokens_details?.reasoning_tokens || 0;
+  return {
+    inputTokens: data.usage?.prompt_tokens || 0,
+    outputTokens: Math.max(0, (data.usage?.completion_tokens || 0) - reasoningTokens),
+    reasoningTokens
+  };
+}
+
+registerProviderAdapter('openai', {
+  name: 'OpenAI',
+  enforcesSchema: true,
+  notConfiguredError: 'API key not configured',
+
+  isConfigured(settings) {
+    return !!settings.openaiApiKey;
+  },
+
+  buildRequest(task, prompts, settings, { stream = false } = {}) {
+    const body = buildChatCompletionsBody(task, prompts, settings, stream);
+    body.max_completion_tokens = task.maxOutputTokens;
+    // Structured outputs: the response must match the task schema (schemas.js) exactly
+    body.response_format = {
+      type: 'json_schema',
+      json_schema: { name: task.schemaName, strict: true, schema: toStrictJsonSchema(task.schema) }
+    };
+    if (stream) {
+      // Usage arrives in a final chunk only when asked for
+      body.stream_options = { include_usage: true };
+    }
+
+    return {
+      url: 'https://api.openai.com/v1/chat/completions',
+      options: {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${settings.openaiApiKey}`
+        },
+        body: JSON.stringify(body)
+      }
+    };
+  },
+
+  parseResponse: parseChatCompletionsResponse,
+  parseStreamEvent: parseChatCompletionsStreamEvent,
+
+  mapError(status, bodyText) {
+    return new Error(extractErrorMessage(bodyText, 'API request failed'));
+  },
+
+  getUsage: getChatCompletionsUsage
+});
+
+registerProviderAdapter('local', {
+  name: 'Local server',
+  notConfiguredError: 'Local server URL or model not configured',
+
+  // Local servers usually run without a key, but need a base URL and model id
+  isConfigured(settings) {
+    return !!(settings.localBaseUrl && settings.model);
+  },
+
+  buildRequest(task, prompts, settings, { stream = false } = {}) {
+    const url = getLocalChatCompletionsUrl(settings.localBaseUrl);
+    const body = buildChatCompletionsBody(task, prompts, settings, stream);
+    // Local servers expect the classic max_tokens parameter
+    body.max_tokens = task.maxOutputTokens;
+    if (responseFormatUnsupported.has(`${url}|${settings.model}`)) {
+      delete body.response_format;
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (settings.localApiKey) {
+      headers['Authorization'] = `Bearer ${settings.localApiKey}`;
+    }
+
+    return {
+      url,
+      options: { method: 'POST', headers, body: JSON.stringify(body) }
+    };
+  },
+
+  parseResponse: parseChatCompletionsResponse,
+  parseStreamEvent: parseChatCompletionsStreamEvent,
+
+  mapError(status, bodyText, settings) {
+    const message = extractErrorMessage(bodyText, 'Local server request failed');
+    const error = new Error(message);
+
+    // Some local models/servers reject JSON mode - retry once with plain output
+    const formatKey = `${getLocalChatCompletionsUrl(settings.localBaseUrl)}|${settings.model}`;
+    if (!responseFormatUnsupported.has(formatKey) && /response_format|json_object|json mode/i.test(message)) {
+      console.log('[SurfMate] Local model does not support response_format, retrying without it');
+      responseFormatUnsupported.add(formatKey);
+      error.retryable = true;
+    }
+
+    return error;
+  },
+
+  getUsage: getChatCompletionsUsage
+});
+
+// ============================================================================
+// GEMINI
+// ============================================================================
+
+registerProviderAdapter('gemini', {
+  name: 'Gemini',
+  enforcesSchema: true,
+  notConfiguredError: 'API key not configured',
+
+  isConfigured(settings) {
+    return !!settings.geminiApiKey;
+  },
+
+  buildRequest(task, prompts, settings, { stream = false } = {}) {
+    // Gemini API request format with structured output
+    const body = {
+      systemInstruction: {
+        parts: [{ text: prompts.system }]
+      },
+      contents: [{
+        role: 'user',
+        parts: [{ text: prompts.user }]
+      }],
+      generationConfig: {
+        temperature: 0.1,
+        maxOutputTokens: task.maxOutputTokens,
+        responseMimeType: 'application/json',
+        thinkingConfig: {
+          thinkingBudget: 0  // Disable thinking mode for faster responses
+        },
+        responseSchema: task.schema
+      }
+    };
+
+    // Streaming uses a separate method that returns server-sent events with alt=sse
+    const method = stream ? 'streamGenerateContent?alt=sse&' : 'generateContent?';
+
+    return {
+      url: `https://generativelanguage.googleapis.com/v1beta/models/${settings.model}:${method}key=${settings.geminiApiKey}`,
+      options: {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body)
+      }
+    };
+  },
+
+  parseResponse(data, task) {
+    // Check if response was truncated due to token limit
+    const finishReason = data.candidates?.[0]?.finishReason;
+    if (finishReason === 'MAX_TOKENS') {
+      console.error('[SurfMate] Response was truncated due to maxOutputTokens limit');
+      throw truncatedResponseError(task);
+    }
+
+    // Gemini returns text in candidates[0].content.parts[0].text
+    const content = data.candidates?.[0]?.content?.parts?.[0]?.text;
+
+    console.log('[SurfMate] Raw API response length:', content?.length);
+
+    if (!content || content.trim().length === 0) {
+      console.error('[SurfMate] Empty Gemini API response');
+      throw new Error('Empty response from Gemini API');
+    }
+
+    return { content, usage: this.getUsage(data) };
+  },
+
+  // Each streamed chunk has the same shape as a full response
+  parseStreamEvent(event, task) {
+    if (event.candidates?.[0]?.finishReason === 'MAX_TOKENS') {
+      console.error('[SurfMate] Streamed response was truncated due to maxOutputTokens limit');
+      throw truncatedResponseError(task);
+    }
+
+    return {
+      text: event.candidates?.[0]?.content?.parts?.map(part => part.text || '').join('') || '',
+      usage: event.usageMetadata ? this.getUsage(event) : null
+    };
+  },
+
+  mapError(status, bodyText) {
+    return new Error(extractErrorMessage(bodyText, 'Gemini API request failed'));
+  },
+
+  getUsage(data) {
+    return {
+      inputTokens: data.usageMetadata?.promptTokenCount || 0,
+      outputTokens: data.usageMetadata?.candidatesTokenCount || 0,
+      reasoningTokens: data.usageMetadata?.thoughtsTokenCount || 0
+    };
+  }
+});
+
+// ============================================================================
+// ANTHROPIC
+// ============================================================================
+
+// Structured output via a single forced tool whose input_schema is the task schema
+registerProviderAdapter('anthropic', {
+  name: 'Anthropic',
+  enforcesSchema: true,
+  notConfiguredError: 'API key not configured',
+
+  isConfigured(settings) {
+    return !!settings.anthropicApiKey;
+  },
+
+  buildRequest(task, prompts, settings, { stream = false } = {}) {
+    const body = {
+      model: settings.model,
+      max_tokens: task.maxOutputTokens,
+      temperature: 0.1,
+      system: prompts.system,
+      messages: [
+        { role: 'user', content: prompts.user }
+      ],
+      tools: [{
+        name: task.schemaName,
+        description: 'Report the analysis result. Always call this tool with the complete result.',
+        input_schema: task.schema
+      }],
+      tool_choice: { type: 'tool', name: task.schemaName }
+    };
+    if (stream) {
+      body.stream = true;
+    }
+
+    return {
+      url: 'https://api.anthropic.com/v1/messages',
+      options: {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': settings.anthropicApiKey,
+          'anthropic-version': '2023-06-01',
+          // Required for requests from a browser extension context
+          'anthropic-dangerous-direct-browser-access': 'true'
+        },
+        body: JSON.stringify(body)
+      }
+    };
+  },
+
+  parseResponse(data, task) {
+    if (data.stop_reason === 'max_tokens') {
+      console.error('[SurfMate] Response was truncated due to max_tokens limit');
+      throw truncatedResponseError(task);
+    }
+
+    // The result is the input of the forced tool call
+    const toolUse = data.content?.find(block => block.type === 'tool_use' && block.name === task.schemaName);
+
+    if (!toolUse?.input) {
+      console.error('[SurfMate] No tool_use block in Anthropic response:', JSON.stringify(data, null, 2));
+      throw new Error('Empty response from Anthropic API');
+    }
+
+    return { content: JSON.stringify(toolUse.input), usage: this.getUsage(data) };
+  },
+
+  // The forced tool's input streams as partial JSON text
+  parseStreamEvent(event, task) {
+    if (event.type === 'error') {
+      throw new Error(event.error?.message || 'Anthropic stream error');
+    }
+
+    if (event.type === 'message_delta' && event.delta?.stop_reason === 'max_tokens') {
+      console.error('[SurfMate] Streamed response was truncated due to max_tokens limit');
+      throw truncatedResponseError(task);
+    }
+
+    if (event.type === 'content_block_delta' && event.delta?.type === 'input_json_delta') {
+      return { text: event.delta.partial_json || '', usage: null };
+    }
+
+    if (event.type === 'message_start') {
+      return { text: '', usage: this.getUsage(event.message) };
+    }
+
+    if (event.type === 'message_delta' && event.usage) {
+      return { text: '', usage: { inputTokens: 0, outputTokens: event.usage.output_tokens || 0, reasoningTokens: 0 } };
+    }
+
+    return { text: '', usage: null };
+  },
+
+  mapError(status, bodyText) {
+    return new Error(extractErrorMessage(bodyText, 'Anthropic API request failed'));
+  },
+
+  getUsage(data) {
+    return {
+      inputTokens: (data.usage?.input_tokens || 0) + (data.usage?.cache_read_input_tokens || 0),
+      outputTokens: data.usage?.output_tokens || 0,
+      reasoningTokens: 0
+    };
+  }
+});
+
+// ============================================================================
+// OFFLINE
+// ============================================================================
+
+// Offline mode analyzes pages in the content script (heuristics.js) and never reaches a
+// provider - registered so settings and the scheduler treat it like any other provider
+registerProviderAdapter('offline', {
+  name: 'Offline',
+  notConfiguredError: 'Offline mode is on - pages are analyzed locally without AI',
+  isConfigured() {
+    return false;
+  }
+});
+
+// ============================================================================
+// MOCK
+// ============================================================================
+
+// Replays recorded responses (fixtures.js) instead of calling an API - no key, no network.
+// Used to reproduce a recorded analysis exactly and to test the overlay offline
+registerProviderAdapter('mock', {
+  name: 'Mock',
+  notConfiguredError: '',
+  replaysFixtures: true,
+  isConfigured() {
+    return true;
+  }
+});
@@ -0,0 +1,166 @@
+// Privacy redaction for DOM snapshots
+//
+// Applied in the content script before a snapshot leaves the page, so sensitive data never
+// reaches the background or a provider:
+//   - sensitive fields (passwords, credit cards, one-time codes, autocomplete=cc-*, ...) lose their text
+//   - emails, phone numbers, long digit runs and random-looking tokens are masked
+//   - query strings and fragments are stripped from link hrefs
+//   - custom per-domain regex rules ("example.com /acct-\d+/i", "*" for every site)
+// Selectors are never rewritten - they must match the page exactly.
+
+const DEFAULT_REDACTION_OPTIONS = {
+  enabled: true,
+  sensitiveFields: true,
+  emails: true,
+  phones: true,
+  digitRuns: true,
+  tokens: true,
+  queryStrings: true
+};
+
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+const PHONE_PATTERN = /\+?\d[\d\s().-]{7,}\d/g;
+const PHONE_MIN_DIGITS = 9; // Dates ("2024-01-15") have 8
+const DIGIT_RUN_PATTERN = /\d{6,}/g;
+// 24+ characters mixing letters and digits: session ids, API keys, reset tokens
+const TOKEN_PATTERN = /\b(?=[A-Za-z0-9_-]*\d)(?=[A-Za-z0-9_-]*[A-Za-z])[A-Za-z0-9_-]{24,}\b/g;
+
+const SENSITIVE_AUTOCOMPLETE = /\b(cc-|current-password|new-password|one-time-code)/i;
+const SENSITIVE_FIELD_NAME = /pass|card|cvv|cvc|ccnum|iban|ssn|secret|token|\bpin\b|otp/i;
+const FIELD_TAGS = ['input', 'textarea', 'select'];
+
+// Snapshot attributes that may carry page text
+const REDACTED_ATTRIBUTES = ['placeholder', 'ariaLabel', 'title', 'heading', 'name', 'text'];
+
+// Parse custom rules, one "domain /pattern/flags" per line ("*" matches every domain)
+// Lines that aren't valid rules are returned in errors so the popup can point them out
+function parseRedactionRules(text) {
+  const rules = [];
+  const errors = [];
+
+  (text || '').split('\n').forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) return;
+
+    const match = /^(\S+)\s+\/(.+)\/([a-z]*)$/.exec(line);
+    if (!match) {
+      errors.push(line);
+      return;
+    }
+
+    try {
+      new RegExp(match[2], match[3]);
+      rules.push({ domain: match[1].toLowerCase(), pattern: match[2], flags: match[3] });
+    } catch (e) {
+      errors.push(line);
+    }
+  });
+
+  return { rules, errors };
+}
+
+function formatRedactionRules(rules) {
+  return (rules || []).map(rule => `${rule.domain} /${rule.pattern}/${rule.flags}`).join('\n');
+}
+
+function redactionRuleMatches(hostname, domain) {
+  return domain === '*' || hostname === domain || hostname.endsWith('.' + domain);
+}
+
+// Whether a snapshot element is a field whose value must never be sent
+function isSensitiveField(element) {
+  if (!FIELD_TAGS.includes(element.tag)) return false;
+  const attributes = element.attributes || {};
+  return attributes.type === 'password' ||
+    SENSITIVE_AUTOCOMPLETE.test(attributes.autocomplete || '') ||
+    SENSITIVE_FIELD_NAME.test(`${attributes.name || ''} ${attributes.id || ''}`);
+}
+
+// Redactor for one page: { text(value), href(value), report }
+// report counts redactions per kind, for the audit view
+function createRedactor(pageUrl, options = DEFAULT_REDACTION_OPTIONS, customRules = []) {
+  let hostname = '';
+  try {
+    hostname = new URL(pageUrl).hostname;
+  } catch (e) {}
+
+  const report = { sensitiveFields: 0, emails: 0, phones: 0, digitRuns: 0, tokens: 0, queryStrings: 0, custom: 0 };
+  const rules = customRules
+    .filter(rule => redactionRuleMatches(hostname, rule.domain))
+    .map(rule => new RegExp(rule.pattern, rule.flags.includes('g') ? rule.flags : rule.flags + 'g'));
+
+  const mask = (value, pattern, kind, replacement, accept = () => true) =>
+    value.replace(pattern, match => {
+      if (!accept(match)) return match;
+      report[kind]++;
+      return replacement;
+    });
+
+  const text = (value) => {
+    if (typeof value !== 'string' || !value) return value;
+    let result = value;
+    rules.forEach(rule => {
+      result = mask(result, rule, 'custom', '[redacted]');
+    });
+    if (options.emails) result = mask(result, EMAIL_PATTERN, 'emails', '[email]');
+    if (options.tokens) result = mask(result, TOKEN_PATTERN, 'tokens', '[token]');
+    if (options.phones) {
+      result = mask(result, PHONE_PATTERN, 'phones', '[phone]', match => match.replace(/\D/g, '').length >= PHONE_MIN_DIGITS);
+    }
+    if (options.digitRuns) result = mask(result, DIGIT_RUN_PATTERN, 'digitRuns', '[number]');
+    return result;
+  };
+
+  const href = (value) => {
+    if (typeof value !== 'string' || !value) return value;
+    let result = value;
+    if (options.queryStrings) {
+      const stripped = result.replace(/[?#].*$/, '');
+      if (stripped !== result) report.queryStrings++;
+      result = stripped;
+    }
+    return text(result);
+  };
+
+  return { text, href, report };
+}
+
+// Redacted copy of a snapshot, with a report of what was redacted
+// options/customRules: stored redactionOptions / redactionRules (defaults when missing)
+function redactSnapshot(snapshot, options, customRules) {
+  const settings = { ...DEFAULT_REDACTION_OPTIONS, ...options };
+  if (!settings.enabled) {
+    return { snapshot, report: null };
+  }
+
+  const redactor = createRedactor(snapshot.url, settings, customRules || []);
+
+  const elements = (snapshot.elements || []).map(element => {
+    const attributes = { ...element.attributes };
+    let text = element.text;
+
+    if (settings.sensitiveFields && isSensitiveField(element)) {
+      if (text) redactor.report.sensitiveFields++;
+      text = '';
+    }
+
+    REDACTED_ATTRIBUTES.forEach(name => {
+      if (attributes[name]) attributes[name] = redactor.text(attributes[name]);
+    });
+    if (attributes.href) attributes.href = redactor.href(attributes.href);
+
+    return { ...element, text: redactor.text(text), attributes };
+  });
+
+  return {
+    snapshot: {
+      ...snapshot,
+      // Page URL keeps its query (URL templates need it) but not what the masks catch
+      url: redactor.text(snapshot.url),
+      title: redactor.text(snapshot.title),
+      containerLabel: redactor.text(snapshot.containerLabel),
+      elements
+    },
+    report: redactor.report
+  };
+}
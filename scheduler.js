@@ -0,0 +1,265 @@
+// Request scheduler
+//
+// Every tab gets its own FIFO queue and the focused tab is served first, so a background
+// tab's analysis never stalls the tab in use. Each provider runs up to a configurable
+// number of requests at once, identical requests (same cache key) share one API call, and
+// a rate-limited provider pauses for as long as its Retry-After / rate-limit headers ask.
+//
+// Cancellation is per caller: a caller's signal detaches it from the job, and the job
+// itself is aborted (or dropped from its queue) once nobody is waiting for it anymore.
+// Progress (streamed items) goes to every caller: run(signal, emit) emits events, and a
+// caller that joins a running job first gets the events emitted so far.
+
+const DEFAULT_PROVIDER_CONCURRENCY = { openai: 2, anthropic: 2, gemini: 1, local: 1, mock: 2 };
+const REQUEST_TIMEOUT_MS = 120000; // Generous enough for slow reasoning models
+
+const tabQueues = new Map(); // tabId -> [job], oldest first
+const runningJobs = new Set();
+const jobsByKey = new Map(); // dedupe key -> queued or running job
+const providerCooldowns = new Map(); // provider -> time before which no new request starts
+let providerConcurrency = { ...DEFAULT_PROVIDER_CONCURRENCY };
+let focusedTabId = null;
+let cooldownTimer = null;
+let nextJobId = 1;
+
+function createCancelledError() {
+  const error = new Error('Request cancelled');
+  error.cancelled = true;
+  return error;
+}
+
+function createTimeoutError() {
+  const error = new Error(`Analysis timed out after ${REQUEST_TIMEOUT_MS / 1000}s - try a faster model or retry`);
+  error.timedOut = true;
+  return error;
+}
+
+function setProviderConcurrency(config) {
+  providerConcurrency = { ...DEFAULT_PROVIDER_CONCURRENCY, ...config };
+  pumpScheduler();
+}
+
+function getProviderConcurrency(provider) {
+  return Math.max(1, providerConcurrency[provider] || 1);
+}
+
+function setFocusedTab(tabId) {
+  focusedTabId = tabId;
+}
+
+// Pause new requests to a provider (running requests handle their own retry)
+function noteRateLimit(provider, delayMs) {
+  const until = Date.now() + delayMs;
+  if (until > (providerCooldowns.get(provider) || 0)) {
+    providerCooldowns.set(provider, until);
+  }
+}
+
+// Schedule run(signal, emit) and resolve with its result
+// request: { tabId, provider, key, label, signal, onProgress } - requests with the same key share
+// one run, and onProgress receives every event the run emits
+function scheduleRequest(request, run) {
+  return new Promise((resolve, reject) => {
+    const waiter = { resolve, reject, onProgress: request.onProgress || null };
+    let job = request.key && jobsByKey.get(request.key);
+
+    if (job) {
+      console.log('[SurfMate] Sharing in-flight request', job.id, 'for', request.key);
+      job.waiters.push(waiter);
+      job.progress.forEach(event => waiter.onProgress?.(event));
+    } else {
+      job = {
+        id: nextJobId++,
+        tabId: request.tabId ?? -1,
+        provider: request.provider,
+        key: request.key || null,
+        label: request.label || 'request',
+        run,
+        waiters: [waiter],
+        progress: [], // Events emitted so far, replayed to callers that join later
+        controller: new AbortController(),
+        status: 'queued',
+        enqueuedAt: Date.now(),
+        startedAt: null,
+        timer: null
+      };
+
+      if (job.key) jobsByKey.set(job.key, job);
+      if (!tabQueues.has(job.tabId)) tabQueues.set(job.tabId, []);
+      tabQueues.get(job.tabId).push(job);
+    }
+
+    if (request.signal) {
+      if (request.signal.aborted) {
+        detachWaiter(job, waiter, request.signal.reason);
+        return;
+      }
+      request.signal.addEventListener('abort', () => {
+        detachWaiter(job, waiter, request.signal.reason);
+      }, { once: true });
+    }
+
+    pumpScheduler();
+  });
+}
+
+// A caller cancelled - answer it right away and abort the job if it was the last one waiting
+function detachWaiter(job, waiter, reason) {
+  const index = job.waiters.indexOf(waiter);
+  if (index === -1) return;
+
+  job.waiters.splice(index, 1);
+  waiter.resolve({ error: reason?.message || 'Request cancelled', cancelled: true });
+
+  if (job.waiters.length > 0) return;
+
+  if (job.status === 'queued') {
+    console.log('[SurfMate] Dropping queued request', job.id);
+    removeQueuedJob(job);
+    pumpScheduler();
+  } else {
+    job.controller.abort(reason || createCancelledError());
+  }
+}
+
+function removeQueuedJob(job) {
+  const queue = tabQueues.get(job.tabId);
+  if (queue) {
+    const index = queue.indexOf(job);
+    if (index !== -1) queue.splice(index, 1);
+    if (queue.length === 0) tabQueues.delete(job.tabId);
+  }
+  if (job.key && jobsByKey.get(job.key) === job) {
+    jobsByKey.delete(job.key);
+  }
+}
+
+function countRunning(provider) {
+  let count = 0;
+  runningJobs.forEach(job => {
+    if (job.provider === provider) count++;
+  });
+  return count;
+}
+
+function canStart(provider, now) {
+  return countRunning(provider) < getProviderConcurrency(provider) &&
+    (providerCooldowns.get(provider) || 0) <= now;
+}
+
+// Next job to start: the focused tab's oldest job first, then the oldest job of any tab
+function pickNextJob() {
+  const now = Date.now();
+  let best = null;
+
+  tabQueues.forEach((queue, tabId) => {
+    const head = queue[0];
+    if (!head || !canStart(head.provider, now)) return;
+
+    if (!best) {
+      best = head;
+    } else if (tabId === focusedTabId && best.tabId !== focusedTabId) {
+      best = head;
+    } else if ((tabId === focusedTabId) === (best.tabId === focusedTabId) && head.enqueuedAt < best.enqueuedAt) {
+      best = head;
+    }
+  });
+
+  return best;
+}
+
+function pumpScheduler() {
+  let job;
+  while ((job = pickNextJob())) {
+    startJob(job);
+  }
+  scheduleCooldownWake();
+}
+
+// Wake up when the earliest rate-limit pause ends, if anything is waiting for it
+function scheduleCooldownWake() {
+  if (cooldownTimer) {
+    clearTimeout(cooldownTimer);
+    cooldownTimer = null;
+  }
+
+  const now = Date.now();
+  let wakeAt = Infinity;
+  tabQueues.forEach(queue => {
+    const until = queue[0] && providerCooldowns.get(queue[0].provider);
+    if (until && until > now) wakeAt = Math.min(wakeAt, until);
+  });
+
+  if (wakeAt !== Infinity) {
+    cooldownTimer = setTimeout(pumpScheduler, wakeAt - now);
+  }
+}
+
+function startJob(job) {
+  removeQueuedJob(job);
+  // Still shareable while running
+  if (job.key) jobsByKey.set(job.key, job);
+
+  job.status = 'running';
+  job.startedAt = Date.now();
+  runningJobs.add(job);
+
+  // The timeout covers the request itself, not the time spent queued
+  job.timer = setTimeout(() => job.controller.abort(createTimeoutError()), REQUEST_TIMEOUT_MS);
+
+  console.log('[SurfMate] Starting request', job.id, job.label, 'for tab', job.tabId);
+
+  const emit = (event) => {
+    job.progress.push(event);
+    job.waiters.forEach(waiter => waiter.onProgress?.(event));
+  };
+
+  Promise.resolve()
+    .then(() => job.run(job.controller.signal, emit))
+    .then(
+      result => job.waiters.forEach(waiter => waiter.resolve(result)),
+      error => job.waiters.forEach(waiter => waiter.reject(error))
+    )
+    .finally(() => {
+      clearTimeout(job.timer);
+      runningJobs.delete(job);
+      if (job.key && jobsByKey.get(job.key) === job) {
+        jobsByKey.delete(job.key);
+      }
+      pumpScheduler();
+    });
+}
+
+// Snapshot of the scheduler for the popup
+function getSchedulerState() {
+  const now = Date.now();
+  const describe = job => ({
+    id: job.id,
+    tabId: job.tabId,
+    focused: job.tabId === focusedTabId,
+    provider: job.provider,
+    label: job.label,
+    status: job.status,
+    waiters: job.waiters.length,
+    elapsedMs: now - (job.startedAt || job.enqueuedAt)
+  });
+
+  const queued = [];
+  tabQueues.forEach(queue => queue.forEach(job => queued.push(describe(job))));
+
+  const providers = {};
+  Object.keys(DEFAULT_PROVIDER_CONCURRENCY).forEach(provider => {
+    const until = providerCooldowns.get(provider) || 0;
+    providers[provider] = {
+      running: countRunning(provider),
+      limit: getProviderConcurrency(provider),
+      cooldownMs: Math.max(0, until - now)
+    };
+  });
+
+  return {
+    running: Array.from(runningJobs).map(describe),
+    queued: queued.sort((a, b) => b.elapsedMs - a.elapsedMs),
+    providers
+  };
+}
@@ -0,0 +1,150 @@
+// Response schemas shared by every provider, and runtime validation of parsed results
+//
+// One JSON-schema definition per response shape. Gemini sends it as responseSchema,
+// Anthropic as the forced tool's input_schema and OpenAI as a strict json_schema
+// response format (toStrictJsonSchema). Every parsed response is checked against its
+// task's schema (validateJsonSchema) before it is used, so a wrong field fails with
+// its path ("containers[2].label") instead of turning into an empty result. Local servers
+// only get JSON mode, so their mismatches are logged and left to the task's normalize.
+
+// Schema for a labeled selector entry (containers and standalone elements)
+function labeledSelectorSchema(selectorDescription, labelDescription, typeDescription) {
+  return {
+    type: 'object',
+    properties: {
+      selector: { type: 'string', description: selectorDescription },
+      label: { type: 'string', description: labelDescription },
+      type: { type: 'string', description: typeDescription }
+    },
+    required: ['selector', 'label', 'type']
+  };
+}
+
+// Schema for the {containers, standalone} page structure
+const PAGE_STRUCTURE_SCHEMA = {
+  type: 'object',
+  properties: {
+    containers: {
+      type: 'array',
+      items: labeledSelectorSchema(
+        'CSS selector for the container element',
+        'Human-readable label for the container',
+        'Container type: navigation, main, form, list, card, section, etc.'
+      )
+    },
+    standalone: {
+      type: 'array',
+      items: labeledSelectorSchema(
+        'CSS selector for the element',
+        'Action-oriented label for this element',
+        'Element type: button, link, input, textarea, select'
+      )
+    }
+  },
+  required: ['containers', 'standalone']
+};
+
+// Schema for the elements inside a single container
+const CONTAINER_ELEMENTS_SCHEMA = {
+  type: 'object',
+  properties: {
+    elements: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          selector: { type: 'string', description: 'Exact CSS selector from DOM snapshot' },
+          label: { type: 'string', description: 'Action-oriented label describing what the element does' },
+          type: {
+            type: 'string',
+            description: 'Element type',
+            enum: ['button', 'link', 'input', 'textarea', 'select']
+          },
+          importance: {
+            type: 'string',
+            description: 'How central the element is to the container\'s purpose',
+            enum: ['high', 'medium', 'low']
+          }
+        },
+        required: ['selector', 'label', 'type', 'importance']
+      }
+    }
+  },
+  required: ['elements']
+};
+
+// Schema for selector repairs: each invalid selector mapped to a candidate (or "")
+const SELECTOR_REPAIRS_SCHEMA = {
+  type: 'object',
+  properties: {
+    repairs: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          original: { type: 'string', description: 'The invalid selector, copied exactly' },
+          selector: { type: 'string', description: 'Replacement selector copied exactly from the candidates, or empty string if none fits' }
+        },
+        required: ['original', 'selector']
+      }
+    }
+  },
+  required: ['repairs']
+};
+
+// OpenAI strict mode: every object closed (additionalProperties: false) with all of its
+// properties required - the definitions above already list every property as required
+function toStrictJsonSchema(schema) {
+  if (schema.type === 'object') {
+    const properties = {};
+    Object.entries(schema.properties).forEach(([name, property]) => {
+      properties[name] = toStrictJsonSchema(property);
+    });
+    return { ...schema, properties, required: Object.keys(properties), additionalProperties: false };
+  }
+  if (schema.type === 'array') {
+    return { ...schema, items: toStrictJsonSchema(schema.items) };
+  }
+  return schema;
+}
+
+function describeJsonType(value) {
+  if (value === null) return 'null';
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+// Check a parsed value against a schema (type, properties, required, items, enum)
+// Returns error messages that name the offending field, e.g. 'containers[2].label: expected string, got number'
+function validateJsonSchema(value, schema, path = '') {
+  const where = path || 'response';
+  const actual = describeJsonType(value);
+
+  if (schema.type === 'object') {
+    if (actual !== 'object') return [`${where}: expected object, got ${actual}`];
+    const errors = [];
+    (schema.required || []).forEach(name => {
+      if (value[name] === undefined) errors.push(`${where}: missing required field "${name}"`);
+    });
+    Object.entries(schema.properties || {}).forEach(([name, property]) => {
+      if (value[name] !== undefined) {
+        errors.push(...validateJsonSchema(value[name], property, path ? `${path}.${name}` : name));
+      }
+    });
+    return errors;
+  }
+
+  if (schema.type === 'array') {
+    if (actual !== 'array') return [`${where}: expected array, got ${actual}`];
+    return value.flatMap((item, index) => validateJsonSchema(item, schema.items, `${path}[${index}]`));
+  }
+
+  const typeMatches = schema.type === 'integer'
+    ? Number.isInteger(value)
+    : actual === schema.type;
+  if (!typeMatches) return [`${where}: expected ${schema.type}, got ${actual}`];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${where}: ${JSON.stringify(value)} is not one of ${schema.enum.join(', ')}`];
+  }
+  return [];
+}
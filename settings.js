@@ -0,0 +1,134 @@
+// Settings: one schema for the popup, the options page, the service worker and content scripts
+//
+// Every setting lives in chrome.storage.local under its own key. SETTINGS_SCHEMA gives each
+// one a type and a default; values that don't match (hand-edited storage, older builds) read
+// as the default. Stored settings carry "settingsVersion" and are upgraded by
+// SETTINGS_MIGRATIONS when the service worker wakes up.
+//
+// Changes are written straight to storage. The service worker picks them up and tells every
+// tab with a single { type: SETTINGS_CHANGED_MESSAGE, keys, settings } message - settings
+// there never include secret values (API keys).
+
+const SETTINGS_VERSION = 2;
+const SETTINGS_CHANGED_MESSAGE = 'settingsChanged';
+
+// type: 'boolean' | 'string' | 'number' | 'array' | 'object'
+// A default of null stands for the owning module's built-in default
+// (sitePolicies: site-policies.js, redactionOptions: redaction.js, usageBudget: usage.js)
+const SETTINGS_SCHEMA = {
+  extensionEnabled: { type: 'boolean', default: false },
+  provider: { type: 'string', default: 'openai', enum: ['openai', 'gemini', 'anthropic', 'local', 'offline', 'mock'] },
+  model: { type: 'string', default: 'gpt-5.2' },
+  language: { type: 'string', default: 'en', enum: ['en', 'ko'] },
+  openaiApiKey: { type: 'string', default: '', secret: true },
+  geminiApiKey: { type: 'string', default: '', secret: true },
+  anthropicApiKey: { type: 'string', default: '', secret: true },
+  localBaseUrl: { type: 'string', default: '' },
+  localApiKey: { type: 'string', default: '', secret: true },
+  localModel: { type: 'string', default: '' },
+  providerChain: { type: 'array', default: [] },
+  providerConcurrency: { type: 'object', default: {} },
+  snapshotTokenBudget: { type: 'number', default: 12000, min: 2000, max: 200000 },
+  containerEnrichment: { type: 'boolean', default: true },
+  subcontainerAnalysis: { type: 'boolean', default: true },
+  cacheTtlMinutes: { type: 'number', default: 24 * 60, min: 5, max: 7 * 24 * 60 },
+  cacheMaxEntries: { type: 'number', default: 200, min: 10, max: 2000 },
+  urlTemplatesEnabled: { type: 'boolean', default: true },
+  urlTemplatePatterns: { type: 'array', default: [] },
+  ignoredQueryParams: { type: 'array', default: [] },
+  sitePolicies: { type: 'array', default: null },
+  siteProfiles: { type: 'object', default: {} },
+  redactionOptions: { type: 'object', default: null },
+  redactionRules: { type: 'array', default: [] },
+  usageBudget: { type: 'object', default: null },
+  containerHintKeys: { type: 'string', default: '123456789' },
+  elementHintKeys: { type: 'string', default: '123456789abcdeghijklmnopqrstuvwxyz' },
+  keybindings: { type: 'object', default: {} },
+  siteKeybindings: { type: 'object', default: {} },
+  mockRecording: { type: 'boolean', default: false }
+};
+
+// Upgrades from the previous settingsVersion: migrate(stored) -> { updates, removals }
+const SETTINGS_MIGRATIONS = [
+  // 1 -> 2: early builds stored the OpenAI key as "apiKey" and the on/off state as "browseEnabled"
+  {
+    version: 2,
+    migrate(stored) {
+      const updates = {};
+      if (stored.apiKey && !stored.openaiApiKey) updates.openaiApiKey = stored.apiKey;
+      if (stored.browseEnabled !== undefined && stored.extensionEnabled === undefined) {
+        updates.extensionEnabled = !!stored.browseEnabled;
+      }
+      return { updates, removals: ['apiKey', 'browseEnabled'] };
+    }
+  }
+];
+
+function getSettingDefault(key) {
+  const fallback = SETTINGS_SCHEMA[key].default;
+  return fallback === null ? null : structuredClone(fallback);
+}
+
+// A stored value as its schema type: the default when missing or invalid, numbers clamped to range
+function coerceSetting(key, value) {
+  const schema = SETTINGS_SCHEMA[key];
+  if (value === undefined || value === null) return getSettingDefault(key);
+
+  const type = Array.isArray(value) ? 'array' : typeof value;
+  if (type !== schema.type || (schema.type === 'number' && !Number.isFinite(value)) ||
+      (schema.enum && !schema.enum.includes(value))) {
+    console.warn('[SurfMate] Ignoring invalid value for setting', key);
+    return getSettingDefault(key);
+  }
+
+  if (schema.type === 'number') {
+    return Math.min(schema.max ?? Infinity, Math.max(schema.min ?? -Infinity, value));
+  }
+  return value;
+}
+
+function getDefaultSettings() {
+  const settings = {};
+  Object.keys(SETTINGS_SCHEMA).forEach(key => {
+    settings[key] = getSettingDefault(key);
+  });
+  return settings;
+}
+
+// Read settings (all of them, or only keys) with types and defaults applied
+async function loadSettings(keys = Object.keys(SETTINGS_SCHEMA)) {
+  const stored = await chrome.storage.local.get(keys);
+  const settings = {};
+  keys.forEach(key => {
+    settings[key] = coerceSetting(key, stored[key]);
+  });
+  return settings;
+}
+
+// Settings that may be sent to content scripts (no API keys)
+function getPublicSettings(settings) {
+  const visible = {};
+  Object.keys(settings).forEach(key => {
+    if (!SETTINGS_SCHEMA[key]?.secret) visible[key] = settings[key];
+  });
+  return visible;
+}
+
+// Bring stored settings up to SETTINGS_VERSION (run by the service worker)
+async function migrateSettings() {
+  const { settingsVersion = 1 } = await chrome.storage.local.get('settingsVersion');
+  if (settingsVersion >= SETTINGS_VERSION) return;
+
+  const stored = await chrome.storage.local.get(null);
+  for (const migration of SETTINGS_MIGRATIONS) {
+    if (migration.version <= settingsVersion) continue;
+
+    const { updates = {}, removals = [] } = migration.migrate(stored);
+    Object.assign(stored, updates);
+    removals.forEach(key => delete stored[key]);
+
+    await chrome.storage.local.set({ ...updates, settingsVersion: migration.version });
+    if (removals.length > 0) await chrome.storage.local.remove(removals);
+    console.log('[SurfMate] Migrated settings to version', migration.version);
+  }
+}
@@ -0,0 +1,103 @@
+// Per-site policies: whether a page's content may be sent to an AI provider
+//
+//   allow   - analyze with the AI provider
+//   ask     - ask on the page first (once per tab and site)
+//   offline - never send anything, analyze with the offline heuristics only
+//   block   - SurfMate doesn't run on the site at all
+//
+// Rules are "domain policy", one per line; a rule covers the domain and its subdomains,
+// the most specific rule wins and "*" sets the policy for every other site.
+// Enforced in background.js from the sender's URL, so content scripts cannot bypass it.
+// Uses domainMatches from url-templates.js.
+
+const SITE_POLICIES = ['allow', 'ask', 'offline', 'block']; // Least to most restrictive
+const DEFAULT_SITE_POLICY = 'allow';
+
+// Banking, payment and HR/payroll sites are never sent to a cloud model unless the user says so
+const DEFAULT_SITE_POLICY_RULES = [
+  'chase.com', 'bankofamerica.com', 'wellsfargo.com', 'citi.com', 'capitalone.com', 'usbank.com',
+  'schwab.com', 'fidelity.com', 'hsbc.com', 'barclays.co.uk', 'santander.com', 'ing.com',
+  'paypal.com', 'revolut.com', 'wise.com',
+  'workday.com', 'myworkday.com', 'adp.com', 'bamboohr.com', 'gusto.com', 'rippling.com',
+  'paychex.com', 'successfactors.com', 'personio.com', 'hibob.com'
+].map(domain => ({ domain, policy: 'offline' }));
+
+// Domain from a rule or an imported line: "*.example.com", "https://example.com/path" -> "example.com"
+function normalizePolicyDomain(value) {
+  const domain = value.toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/[/:?#].*$/, '')
+    .replace(/^\*\./, '');
+  return domain === '*' || /^[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(domain) ? domain : null;
+}
+
+// Parse rules, one "domain policy" per line
+// Lines with only a domain get defaultPolicy (importing a plain domain list), or are invalid without one
+// Later lines win over earlier ones for the same domain
+function parseSitePolicyRules(text, defaultPolicy = null) {
+  const rulesByDomain = new Map();
+  const errors = [];
+
+  (text || '').split('\n').forEach(rawLine => {
+    const line = rawLine.replace(/,/g, ' ').trim();
+    if (!line || line.startsWith('#')) return;
+
+    const [value, policyValue, ...rest] = line.split(/\s+/);
+    const domain = normalizePolicyDomain(value);
+    const policy = policyValue ? policyValue.toLowerCase() : defaultPolicy;
+
+    if (!domain || !SITE_POLICIES.includes(policy) || rest.length > 0) {
+      errors.push(line);
+      return;
+    }
+
+    rulesByDomain.delete(domain);
+    rulesByDomain.set(domain, { domain, policy });
+  });
+
+  return { rules: Array.from(rulesByDomain.values()), errors };
+}
+
+function formatSitePolicyRules(rules) {
+  return (rules || []).map(rule => `${rule.domain} ${rule.policy}`).join('\n');
+}
+
+// Rules with one domain's policy changed (policy null removes the domain's rule)
+function setSitePolicyRule(rules, domain, policy) {
+  const remaining = (rules || []).filter(rule => rule.domain !== domain);
+  return policy ? [...remaining, { domain, policy }] : remaining;
+}
+
+function getUrlHostname(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch (e) {
+    return '';
+  }
+}
+
+// Policy for a page URL: { policy, domain } where domain is the matching rule's domain (null for the default)
+function getSitePolicy(url, rules) {
+  const hostname = getUrlHostname(url);
+  let match = null;
+
+  (rules || []).forEach(rule => {
+    if (rule.domain === '*') return;
+    if (!hostname || !domainMatches(hostname, rule.domain)) return;
+    if (!match || rule.domain.length > match.domain.length) match = rule;
+  });
+
+  if (!match) {
+    match = (rules || []).find(rule => rule.domain === '*') || null;
+  }
+
+  return {
+    policy: match ? match.policy : DEFAULT_SITE_POLICY,
+    domain: match && match.domain !== '*' ? match.domain : null
+  };
+}
+
+// The more restrictive of two policies
+function getStricterSitePolicy(a, b) {
+  return SITE_POLICIES.indexOf(a) >= SITE_POLICIES.indexOf(b) ? a : b;
+}
@@ -0,0 +1,59 @@
+// Per-site analysis instructions ("site profiles"), stored per origin in chrome.storage.local:
+//
+//   siteProfiles: {
+//     "https://app.example.com": {
+//       instructions: "The left rail is the project tree, always list it first",
+//       preferredSelectors: ["nav.project-tree"],
+//       ignoredSelectors: ["#chat-widget"]
+//     }
+//   }
+//
+// The instructions and selectors are added to the analysis prompts (tasks.js) and are part of
+// the cache key, so editing a profile invalidates its site's cached analyses. The content script
+// applies the selectors to every result: ignored elements (and anything inside them) are dropped,
+// preferred ones are listed first. Edited on the options page (options.html).
+
+// Origin a profile applies to ("https://app.example.com"), or '' for URLs without one
+function getSiteProfileOrigin(url) {
+  try {
+    const origin = new URL(url).origin;
+    return origin === 'null' ? '' : origin;
+  } catch (e) {
+    return '';
+  }
+}
+
+function isEmptySiteProfile(profile) {
+  return !profile || (!profile.instructions && !profile.preferredSelectors?.length && !profile.ignoredSelectors?.length);
+}
+
+// Profile for a page URL, or null when the page's origin has none
+function getSiteProfile(profiles, url) {
+  const profile = (profiles || {})[getSiteProfileOrigin(url)];
+  if (isEmptySiteProfile(profile)) return null;
+  return {
+    instructions: (profile.instructions || '').trim(),
+    preferredSelectors: profile.preferredSelectors || [],
+    ignoredSelectors: profile.ignoredSelectors || []
+  };
+}
+
+// One selector per line
+function parseSelectorList(text) {
+  return (text || '').split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+// Prompt section for a profile ('' without one)
+function formatSiteProfilePrompt(profile) {
+  if (!profile) return '';
+
+  const lines = ['', '*** SITE-SPECIFIC INSTRUCTIONS (from the user - they override the general rules above) ***'];
+  if (profile.instructions) lines.push(profile.instructions);
+  if (profile.preferredSelectors.length > 0) {
+    lines.push(`Preferred - always include these when they are in the snapshot and list them first: ${profile.preferredSelectors.join(', ')}`);
+  }
+  if (profile.ignoredSelectors.length > 0) {
+    lines.push(`Ignore - never return these or anything inside them: ${profile.ignoredSelectors.join(', ')}`);
+  }
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,147 @@
+// Snapshot token budgeting
+//
+// DOM snapshots are sent in a compact one-line-per-element encoding instead of
+// pretty-printed JSON, and never exceed a per-request token budget. A page that doesn't
+// fit is split into regions (horizontal bands, top to bottom) that are analyzed
+// independently and merged in one final pass (runChunkedAnalysis in background.js).
+//
+// Encoding, one element per line:
+//   C nav.top-nav "Home Docs Blog" <nav> role=navigation aria="Main menu" @0,0 1200x64
+//   E a.login "Sign in" <a> href=/login @1100,16 80x32
+// C = container candidate, E = interactive element; text and spaced values are JSON-quoted
+
+const DEFAULT_SNAPSHOT_TOKEN_BUDGET = 12000;
+const MIN_SNAPSHOT_TOKEN_BUDGET = 2000;
+const MAX_SNAPSHOT_REGIONS = 6; // Beyond this, the least important elements are dropped instead
+
+const SNAPSHOT_ENCODING_LEGEND = 'One element per line: C = container candidate, E = interactive element, then its selector, "text", <tag>, attributes, @x,y position and WxH size in px.';
+
+// Snapshot attributes worth sending, with their short names in the encoding
+const ENCODED_ATTRIBUTES = [
+  ['role', 'role'],
+  ['type', 'type'],
+  ['name', 'name'],
+  ['placeholder', 'placeholder'],
+  ['ariaLabel', 'aria'],
+  ['title', 'title'],
+  ['heading', 'heading'],
+  ['href', 'href']
+];
+
+// Rough token count: ~4 characters per token for ASCII text, ~1 per character for other scripts (CJK, ...)
+function estimateTokens(text) {
+  let ascii = 0;
+  let other = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (text.charCodeAt(i) < 128) ascii++;
+    else other++;
+  }
+  return Math.ceil(ascii / 4 + other);
+}
+
+function getSnapshotOrigin(url) {
+  try {
+    return new URL(url).origin;
+  } catch (e) {
+    return '';
+  }
+}
+
+function formatEncodedValue(value) {
+  const text = String(value).replace(/\s+/g, ' ').trim().substring(0, 80);
+  return /[\s"=]/.test(text) ? JSON.stringify(text) : text;
+}
+
+// One snapshot element as one line; same-origin links are shortened to their path
+function encodeSnapshotElement(element, origin) {
+  const attributes = element.attributes || {};
+  const parts = [element.isContainer ? 'C' : 'E', element.selector];
+
+  const text = (element.text || '').replace(/\s+/g, ' ').trim().substring(0, element.isContainer ? 60 : 80);
+  if (text) parts.push(JSON.stringify(text));
+  parts.push(`<${element.tag}>`);
+
+  ENCODED_ATTRIBUTES.forEach(([name, shortName]) => {
+    let value = attributes[name];
+    if (!value) return;
+    if (name === 'href' && origin && value.startsWith(origin)) {
+      value = value.slice(origin.length) || '/';
+    }
+    parts.push(`${shortName}=${formatEncodedValue(value)}`);
+  });
+
+  if (element.isGradioComponent) parts.push('gradio');
+
+  const position = element.position;
+  if (position) {
+    parts.push(`@${Math.round(position.x)},${Math.round(position.y)} ${Math.round(position.width)}x${Math.round(position.height)}`);
+  }
+
+  return parts.join(' ');
+}
+
+// Snapshot elements (highest priority first) that fit the budget, with their encoded lines
+function fitSnapshotToBudget(snapshot, budgetTokens) {
+  const origin = getSnapshotOrigin(snapshot.url);
+  const kept = [];
+  let tokens = 0;
+  let dropped = 0;
+
+  (snapshot.elements || []).forEach(element => {
+    const line = encodeSnapshotElement(element, origin);
+    const cost = estimateTokens(line) + 1;
+    if (tokens + cost > budgetTokens) {
+      dropped++;
+      return;
+    }
+    kept.push({ element, line, cost });
+    tokens += cost;
+  });
+
+  return { kept, tokens, dropped };
+}
+
+// Encode a snapshot within a token budget - the least important elements are dropped first
+function encodeSnapshotCompact(snapshot, budgetTokens = Infinity) {
+  const { kept, tokens, dropped } = fitSnapshotToBudget(snapshot, budgetTokens);
+  return { text: kept.map(entry => entry.line).join('\n'), tokens, dropped };
+}
+
+// Split a snapshot into regions that each fit the budget (a single region when it already fits)
+// Elements are cut into horizontal bands top to bottom, so each region is one contiguous part
+// of the page; a container goes with the band its top edge falls into
+function splitSnapshotByRegion(snapshot, budgetTokens) {
+  const { kept, tokens, dropped } = fitSnapshotToBudget(snapshot, budgetTokens * MAX_SNAPSHOT_REGIONS);
+  if (tokens <= budgetTokens && dropped === 0) return [snapshot];
+
+  const top = entry => entry.element.position?.y ?? 0;
+  const left = entry => entry.element.position?.x ?? 0;
+  kept.sort((a, b) => top(a) - top(b) || left(a) - left(b));
+
+  const bands = [];
+  let band = [];
+  let bandTokens = 0;
+  kept.forEach(entry => {
+    if (band.length > 0 && bandTokens + entry.cost > budgetTokens) {
+      bands.push(band);
+      band = [];
+      bandTokens = 0;
+    }
+    band.push(entry);
+    bandTokens += entry.cost;
+  });
+  if (band.length > 0) bands.push(band);
+
+  console.log('[SurfMate] Snapshot is ~' + tokens + ' tokens (budget ' + budgetTokens + '), split into', bands.length, 'regions', dropped ? `(${dropped} elements dropped)` : '');
+
+  return bands.map((entries, index) => ({
+    ...snapshot,
+    elements: entries.map(entry => entry.element),
+    region: {
+      index,
+      count: bands.length,
+      top: Math.round(Math.min(...entries.map(top))),
+      bottom: Math.round(Math.max(...entries.map(entry => top(entry) + (entry.element.position?.height ?? 0))))
+    }
+  }));
+}
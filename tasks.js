@@ -0,0 +1,599 @@
+// Analysis tasks shared by every provider adapter
+//
+// A task owns everything that is provider-independent: the prompts, the response
+// schema, how the parsed JSON is normalized and how results are cached. Provider
+// adapters (providers.js) only translate a task into an HTTP request and back,
+// so a prompt fix here applies to every provider at once. Response schemas live in
+// schemas.js.
+
+// Normalize a parsed {containers, standalone} response
+// Validated against the schema, but adapters that don't enforce it may leave fields out
+function normalizePageStructure(parsed) {
+  return {
+    containers: normalizeResultItems(parsed.containers),
+    standalone: normalizeResultItems(parsed.standalone)
+  };
+}
+
+// Items of a result array that can be used: objects with the key field (selector) as a string
+// Missing optional fields (type, importance) stay undefined and get the overlay's defaults
+function normalizeResultItems(items, keyField = 'selector') {
+  if (!Array.isArray(items)) return [];
+  return items.filter(item => item && typeof item === 'object' && typeof item[keyField] === 'string');
+}
+
+// Incrementally extract complete objects from a JSON array property while a response streams in
+// e.g. createStreamingArrayParser('containers', onItem).push(chunk) calls onItem once per container
+function createStreamingArrayParser(property, onItem) {
+  const propertyPattern = new RegExp(`"${property}"\\s*:\\s*\\[`);
+  let text = '';
+  let pos = -1; // Scan position, -1 until the array has started
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let itemStart = -1;
+  let done = false;
+
+  return {
+    push(chunk) {
+      text += chunk;
+      if (done) return;
+
+      if (pos === -1) {
+        const match = propertyPattern.exec(text);
+        if (!match) return;
+        pos = match.index + match[0].length;
+      }
+
+      for (; pos < text.length; pos++) {
+        const ch = text[pos];
+
+        if (inString) {
+          if (escaped) escaped = false;
+          else if (ch === '\\') escaped = true;
+          else if (ch === '"') inString = false;
+          continue;
+        }
+
+        if (ch === '"') {
+          inString = true;
+        } else if (ch === '{') {
+          if (depth === 0) itemStart = pos;
+          depth++;
+        } else if (ch === '}') {
+          depth--;
+          if (depth === 0 && itemStart !== -1) {
+            let item = null;
+            try {
+              item = JSON.parse(text.slice(itemStart, pos + 1));
+            } catch (e) {}
+            itemStart = -1;
+            if (item) onItem(item);
+          }
+        } else if (ch === ']' && depth === 0) {
+          // End of the array - later properties are left to the full parse
+          done = true;
+          return;
+        }
+      }
+    }
+  };
+}
+
+// Serialize a DOM snapshot for a prompt
+// Compact snapshot encoding (snapshot-budget.js), trimmed to the per-request token budget
+function formatSnapshot(domSnapshot, context) {
+  const budget = context?.snapshotTokenBudget || DEFAULT_SNAPSHOT_TOKEN_BUDGET;
+  const { text, dropped } = encodeSnapshotCompact(domSnapshot, budget);
+  const omitted = dropped ? `\n(${dropped} lower-priority elements omitted to fit the token budget)` : '';
+  return `${SNAPSHOT_ENCODING_LEGEND}${omitted}\n${text}`;
+}
+
+// Cache key part for the page's site profile (site-profiles.js), so editing it invalidates cached analyses
+function getSiteProfileKey(url, context) {
+  const profile = getSiteProfile(context.siteProfiles, url);
+  return profile ? `|site:${hashString(JSON.stringify(profile))}` : '';
+}
+
+const ANALYSIS_TASKS = {
+  // Whole-page analysis: containers + standalone elements
+  page: {
+    name: 'page',
+    schemaName: 'page_structure',
+    schema: PAGE_STRUCTURE_SCHEMA,
+    maxOutputTokens: 8192,
+    // Containers are rendered one by one while the response streams in
+    streamProperty: 'containers',
+    // Snapshots over the token budget are analyzed region by region and merged by this task
+    mergeTask: 'merge',
+
+    // Pages sharing a URL template (url-templates.js) share one analysis
+    getCacheKey(message, context) {
+      const templateUrl = normalizePageUrl(message.domSnapshot.url, context.urlTemplateRules);
+      return `${templateUrl}|${context.provider}|${context.model}${getSiteProfileKey(message.domSnapshot.url, context)}`;
+    },
+
+    getFingerprint(message) {
+      return fingerprintSnapshot(message.domSnapshot);
+    },
+
+    buildPrompts(message, context) {
+      const { domSnapshot } = message;
+      const { language } = context;
+      const url = domSnapshot.url;
+      const title = domSnapshot.title;
+
+      const system = `You are a web page navigation assistant. Analyze the DOM snapshot and identify:
+
+1. CONTAINERS (semantic sections with multiple interactive elements) - Return the container selector and label ONLY
+2. STANDALONE elements (important elements not in any container) - For elements that don't belong in any container
+
+*** IMPORTANT ***
+- For CONTAINERS: Only return the container selector, label, and type. DO NOT include elements inside containers.
+- Elements inside containers will be detected dynamically when the user enters the container.
+- This is important because container contents often change dynamically (especially in SPAs).
+
+${domSnapshot.isGradio ? `
+*** GRADIO APP DETECTED ***
+This is a Gradio/ML application. Pay special attention to:
+- Gradio components: inputs (textbox, dropdown, slider, checkbox, radio, file upload)
+- Submit/Generate/Run buttons (highest priority!)
+- Output areas: galleries, chatbots, dataframes, markdown
+- Grouped components in tabs, accordions, or rows/columns
+
+For Gradio apps:
+- Group related components (e.g., all inputs in one section)
+- Submit/Clear buttons are always important
+- Output areas (chatbot, gallery, dataframe) are important containers
+` : ''}
+
+*** LANGUAGE ***
+${language === 'ko' ? `
+ALL labels and descriptions MUST be in Korean (한국어).
+- Use natural Korean phrases for labels
+- Examples:
+  ❌ BAD: "Search", "Submit", "Login"
+  ✅ GOOD: "검색", "제출", "로그인"
+  ✅ GOOD: "상품 검색", "게시글 등록", "로그인하기"
+- Keep labels SHORT (10-15 Korean characters) but MEANINGFUL
+` : language === 'en' ? `
+ALL labels and descriptions MUST be in English.
+- Use natural English phrases for labels
+` : ''}
+
+*** CRITICAL - ORDER BY WORKFLOW IMPORTANCE ***
+The ORDER of containers in your response determines their hint priority: the first containers get the shortest keyboard hints.
+Return containers in the LOGICAL ORDER a user should interact with them:
+- First: Input/entry points (search box, prompt input, forms)
+- Second: Primary actions (submit, generate, run, search buttons)
+- Third: Results/outputs (results, gallery, output display)
+- Fourth: Secondary actions (settings, filters, options)
+- Last: Navigation and utility items
+
+${domSnapshot.isGradio ? `
+Gradio workflow ordering example:
+1. Prompt/Model input area
+2. Submit/Generate button
+3. Output gallery/chatbot
+4. Settings/Advanced options
+` : ''}
+
+BE VERY SELECTIVE - Quality over quantity:
+- Find ALL meaningful containers on the page (no limit)
+- Focus on sections with actual interactive content (buttons, links, forms)
+- Maximum 5 standalone elements
+- Skip: decorative elements, footers, social links, cookie notices, empty containers
+
+*** CRITICAL - MEANINGFUL LABELS THAT ADD VALUE ***
+Your labels should provide CONTEXT and ACTIONABLE GUIDANCE, NOT just repeat visible text:
+- DO NOT just copy the button/input text - users can already see that!
+- INSTEAD: Describe the PURPOSE, ACTION, or OUTCOME
+- Use action verbs: "Enter...", "Generate...", "View...", "Adjust..."
+- Combine context with function for clarity
+
+${domSnapshot.isGradio ? `
+Gradio examples:
+❌ BAD: "Submit", "Prompt", "Output"
+✅ GOOD: "Generate image", "Enter your prompt", "View results"
+
+❌ BAD: "Model", "Settings", "Clear"
+✅ GOOD: "Choose AI model", "Adjust parameters", "Reset form"
+` : ''}
+
+General examples:
+❌ BAD: "Search", "Login", "Cart"
+✅ GOOD: "Find products", "Sign in", "View 3 items"
+
+❌ BAD: "Submit", "Save", "Cancel"
+✅ GOOD: "Post comment", "Save changes", "Go back"
+
+Keep labels SHORT (15-20 chars) but MEANINGFUL:
+- "Generate image" (not "Submit")
+- "Enter search terms" (not "Search box")
+- "View cart (3)" (not "Cart")
+
+CRITICAL - SELECTOR HANDLING:
+- For CONTAINERS: Use lines starting with "C" (container candidates) from the DOM snapshot
+  - "C" lines are actual container divs/navs/sections
+  - Check if any "C" line covers the region you want to make a container (compare the @x,y positions and sizes)
+  - If no "C" line exists for a region, that's OK - just skip creating a container for that region
+- For STANDALONE ELEMENTS: use the EXACT "selector" from the DOM snapshot
+- NEVER use button/link/input selectors as container selectors - only use div/nav/section/header/main/footer elements
+- DO NOT generate completely new selectors - only use selectors that exist in the snapshot
+- Selectors containing " >>> " reach into a web component's shadow root - copy them whole
+${domSnapshot.isGradio ? `
+- For Gradio: Use the exact selector from the snapshot, including those marked "isGradioComponent"
+- Gradio components often have nested structures - prefer the innermost actionable element
+` : ''}
+
+Return a JSON object with "containers" (each with selector, label, type) and "standalone" arrays.`;
+
+      const region = domSnapshot.region;
+      const regionNote = region
+        ? `\n*** REGION ${region.index + 1} OF ${region.count} *** This page is too large for one request. The snapshot covers only y=${region.top}-${region.bottom}px; analyze this region only - the other regions are analyzed separately and merged afterwards.\n`
+        : '';
+
+      const user = `Page URL: ${url}\nPage Title: ${title}\n${domSnapshot.isGradio ? '\n*** GRADIO APP *** This is a Gradio/ML application interface.\n' : ''}${regionNote}\n\nDOM Snapshot:\n${formatSnapshot(domSnapshot, context)}\n\nAnalyze this page and return containers in WORKFLOW ORDER with MEANINGFUL, ACTION-ORIENTED labels that add value beyond visible text. Use exact selectors from the snapshot. Respond with JSON only.`;
+
+      return { system: system + formatSiteProfilePrompt(getSiteProfile(context.siteProfiles, domSnapshot.url)), user };
+    },
+
+    normalize: normalizePageStructure
+  },
+
+  // Elements inside a single container
+  container: {
+    name: 'container',
+    schemaName: 'container_elements',
+    schema: CONTAINER_ELEMENTS_SCHEMA,
+    maxOutputTokens: 4096,
+
+    // Keyed by selector as well - two containers may share a label ("Section")
+    getCacheKey(message, context) {
+      const templateUrl = normalizePageUrl(message.domSnapshot.url, context.urlTemplateRules);
+      return `${templateUrl}|container|${message.containerSelector || ''}|${message.containerLabel}|${context.provider}|${context.model}${getSiteProfileKey(message.domSnapshot.url, context)}`;
+    },
+
+    getFingerprint(message) {
+      return fingerprintSnapshot(message.domSnapshot);
+    },
+
+    buildPrompts(message, context) {
+      const { domSnapshot, containerLabel, containerType } = message;
+      const { language } = context;
+      const url = domSnapshot.url;
+      const title = domSnapshot.title;
+
+      const system = `You are a web page navigation assistant. Analyze the DOM snapshot of a container section.
+
+IMPORTANT: Find AS MANY interactive elements as possible (up to 20).
+
+Include EVERYTHING that looks interactive:
+- All buttons (primary, secondary, icon buttons)
+- All links (navigation, actions, external links)
+- All form inputs (text, email, password, checkbox, radio, select, textarea)
+- All clickable elements with onclick handlers
+- All elements with tabindex
+
+DO NOT skip elements unless they are:
+- Purely decorative (icons without actions)
+- Duplicate/repeated items (like "read more" links appearing 10+ times)
+- Social media sharing links
+
+*** LANGUAGE ***
+${language === 'ko' ? `
+ALL labels MUST be in Korean (한국어).
+- Use natural Korean action verbs
+- Examples:
+  ❌ BAD: "Submit", "Search", "Save"
+  ✅ GOOD: "제출", "검색", "저장"
+  ✅ GOOD: "댓글 작성", "상품 검색", "변경사항 저장"
+- Keep labels SHORT (8-12 Korean characters)
+` : language === 'en' ? `
+ALL labels MUST be in English.
+- Use natural English action verbs
+` : ''}
+
+*** CRITICAL - ORDER BY WORKFLOW IMPORTANCE ***
+The ORDER of elements in your response determines their hint priority: the first elements get the shortest keyboard hints.
+Return elements in the LOGICAL ORDER a user should interact with them within this container:
+- First: Inputs and form fields
+- Second: Primary action buttons (submit, confirm, save)
+- Third: Secondary actions (cancel, delete, edit)
+- Last: Navigation and utility links
+
+*** CRITICAL - MEANINGFUL LABELS THAT ADD VALUE ***
+Your labels should provide CONTEXT and ACTIONABLE GUIDANCE, NOT just repeat visible text:
+- DO NOT just copy the button/input text - users can already see that!
+- INSTEAD: Describe the PURPOSE, ACTION, or OUTCOME
+- Use action verbs: "Enter...", "Click to...", "View...", "Adjust..."
+
+Examples:
+❌ BAD: "Submit", "Search", "Buy"
+✅ GOOD: "Post comment", "Find products", "Add to cart"
+
+❌ BAD: "Email", "Password", "Name"
+✅ GOOD: "Enter email", "Choose password", "Your full name"
+
+❌ BAD: "Edit", "Delete", "Cancel"
+✅ GOOD: "Modify item", "Remove item", "Go back"
+
+Keep labels SHORT (12-18 chars) but MEANINGFUL:
+- Focus on WHAT HAPPENS or WHAT TO DO
+- Include context when helpful
+
+CRITICAL - SELECTOR HANDLING:
+- Use the EXACT "selector" from the DOM snapshot for each element
+- DO NOT generate your own CSS selectors or modify existing ones
+- Selectors containing " >>> " reach into a web component's shadow root - copy them whole
+- Examples:
+  * Snapshot has: "button.search" → Use: "button.search"
+  * Snapshot has: "#submit-btn" → Use: "#submit-btn"
+
+*** IMPORTANCE ***
+- "high": the container's primary action or main input (submit, search box, checkout)
+- "medium": secondary actions and important navigation
+- "low": utility links, footers, rarely used controls
+
+Return a JSON object with an "elements" array (up to 20 items) containing: selector, label, type (button/link/input/textarea/select) and importance (high/medium/low).`;
+
+      const user = `Container: ${containerLabel} (type: ${containerType})
+Page URL: ${url}
+Page Title: ${title}
+
+DOM Snapshot of this container:
+${formatSnapshot(domSnapshot, context)}
+
+Analyze this container and return interactive elements in WORKFLOW ORDER with MEANINGFUL, ACTION-ORIENTED labels that add value beyond visible text. Use exact selectors from the snapshot. Respond with JSON only.`;
+
+      return { system: system + formatSiteProfilePrompt(getSiteProfile(context.siteProfiles, domSnapshot.url)), user };
+    },
+
+    normalize(parsed) {
+      return {
+        elements: normalizeResultItems(parsed.elements)
+      };
+    }
+  },
+
+  // Sections of a container with too many elements for one hint set (nested containers)
+  subcontainers: {
+    name: 'subcontainers',
+    schemaName: 'page_structure',
+    schema: PAGE_STRUCTURE_SCHEMA,
+    maxOutputTokens: 4096,
+
+    // Keyed by selector like a container analysis
+    getCacheKey(message, context) {
+      const templateUrl = normalizePageUrl(message.domSnapshot.url, context.urlTemplateRules);
+      return `${templateUrl}|subcontainers|${message.containerSelector || ''}|${message.containerLabel}|${context.provider}|${context.model}${getSiteProfileKey(message.domSnapshot.url, context)}`;
+    },
+
+    getFingerprint(message) {
+      return fingerprintSnapshot(message.domSnapshot);
+    },
+
+    buildPrompts(message, context) {
+      const { domSnapshot, containerLabel, containerType } = message;
+      const { language } = context;
+
+      const system = `You are a web page navigation assistant. The user entered one container of a page, but it has too many interactive elements to navigate at once. Split it into SUB-CONTAINERS.
+
+The DOM snapshot covers the inside of this container only.
+
+*** WHAT TO RETURN ***
+- "containers": the sections inside this container (settings groups, panels, lists, toolbars, forms, cards)
+  - Each sub-container must hold at least 2 interactive elements
+  - Sub-containers must NOT overlap or nest inside each other - pick the level that splits the container best
+  - Prefer 2-9 sub-containers; never return the whole container itself
+- "standalone": leave empty - elements outside the sub-containers are shown on their own
+
+*** LANGUAGE ***
+${language === 'ko' ? `
+ALL labels MUST be in Korean (한국어).
+- Keep labels SHORT (8-12 Korean characters)
+` : language === 'en' ? `
+ALL labels MUST be in English.
+` : ''}
+
+*** CRITICAL - ORDER BY WORKFLOW IMPORTANCE ***
+The ORDER of sub-containers in your response determines their keyboard shortcuts.
+Return them in the LOGICAL ORDER a user should work through this container:
+- First: Inputs and forms
+- Second: Main content and primary actions
+- Last: Secondary options, navigation and utility sections
+
+*** LABELS ***
+Short (12-18 chars) labels that say what the section is FOR, not its markup:
+❌ BAD: "Div", "Section 2", "Panel"
+✅ GOOD: "Privacy options", "Unread messages", "Billing details"
+
+CRITICAL - SELECTOR HANDLING:
+- Use lines starting with "C" (container candidates) from the DOM snapshot as sub-container selectors
+- NEVER use button/link/input selectors as sub-container selectors
+- DO NOT generate new selectors - only use selectors that exist in the snapshot
+- Selectors containing " >>> " reach into a web component's shadow root - copy them whole
+
+Return a JSON object with "containers" (each with selector, label, type) and an empty "standalone" array.`;
+
+      const user = `Container: ${containerLabel} (type: ${containerType})
+Page URL: ${domSnapshot.url}
+Page Title: ${domSnapshot.title}
+
+DOM Snapshot of this container:
+${formatSnapshot(domSnapshot, context)}
+
+Split this container into sub-containers in WORKFLOW ORDER with meaningful labels. Use exact selectors from the snapshot. Respond with JSON only.`;
+
+      return { system: system + formatSiteProfilePrompt(getSiteProfile(context.siteProfiles, domSnapshot.url)), user };
+    },
+
+    normalize: normalizePageStructure
+  },
+
+  // Additional containers (Shift+A) - excludes the ones already found
+  additional: {
+    name: 'additional',
+    schemaName: 'page_structure',
+    schema: PAGE_STRUCTURE_SCHEMA,
+    maxOutputTokens: 4096,
+
+    // Depends on what was already found, so never cached
+    getCacheKey() {
+      return null;
+    },
+
+    buildPrompts(message, context) {
+      const { domSnapshot, excludeSelectors, containerScopes } = message;
+      const url = domSnapshot.url;
+      const title = domSnapshot.title;
+
+      // Build exclude list for prompt
+      const excludeList = excludeSelectors.map((s, i) => `${i + 1}. ${s}`).join('\n');
+
+      // Build container scope list - elements inside these should be ignored
+      const scopeList = containerScopes.map((s, i) => `${i + 1}. ${s}`).join('\n');
+
+      const system = `You are a web page navigation assistant. Find ADDITIONAL containers and standalone elements that were NOT already identified.
+
+IMPORTANT - Exclude these already found selectors:
+${excludeList}
+
+CRITICAL - IGNORE ALL ELEMENTS INSIDE THESE CONTAINERS:
+${scopeList}
+Any element that is a descendant (child, grandchild, etc.) of the containers above MUST be ignored. Only look for siblings or ancestors of these containers.
+
+Find:
+1. ADDITIONAL CONTAINERS - Semantic sections with multiple interactive elements (NOT in exclude list, NOT inside scope containers above)
+2. ADDITIONAL STANDALONE elements - Important standalone elements (NOT in exclude list, NOT inside scope containers above)
+
+Return JSON ONLY with this exact structure:
+{
+  "containers": [
+    {"selector": "css_selector", "label": "human_readable_label", "type": "container_type"}
+  ],
+  "standalone": [
+    {"selector": "css_selector", "label": "human_readable_label", "type": "element_type"}
+  ]
+}
+
+Rules:
+- DO NOT return any selector from the exclude list
+- DO NOT return any element that is inside/nested within the scope containers
+- Only return NEW/MISSING containers and elements at the same level or higher, not nested inside existing ones
+- Use CSS attribute selectors like [data-testid="..."] over complex nth-child
+- For dynamic classes use: [class*="partial-class-name"]
+- For elements inside a web component's shadow root use the host's selector, " >>> ", then the selector inside it (as in the snapshot)
+- Escape single quotes in selectors with backslash: \\\'`;
+
+      const user = `URL: ${url}\nTitle: ${title}\n\nDOM Snapshot:\n${formatSnapshot(domSnapshot, context)}`;
+
+      return { system: system + formatSiteProfilePrompt(getSiteProfile(context.siteProfiles, domSnapshot.url)), user };
+    },
+
+    normalize: normalizePageStructure
+  },
+
+  // Selector repair - maps selectors that don't resolve on the live page to valid candidates
+  repair: {
+    name: 'repair',
+    schemaName: 'selector_repairs',
+    schema: SELECTOR_REPAIRS_SCHEMA,
+    maxOutputTokens: 2048,
+
+    // Specific to one validation pass, so never cached
+    getCacheKey() {
+      return null;
+    },
+
+    buildPrompts(message) {
+      const { domSnapshot, invalid, candidates } = message;
+
+      const formatCandidates = list => list
+        .map(c => `- ${c.selector}  <${c.tag}> ${c.text ? JSON.stringify(c.text) : ''}`)
+        .join('\n') || '(none)';
+
+      const system = `You repair CSS selectors for a web page navigation assistant.
+Some selectors returned by an earlier analysis do not match anything on the page. For each invalid entry, pick the candidate selector that best matches the entry's label and type.
+
+Rules:
+- Only use selectors from the candidate lists, copied EXACTLY
+- Containers must be repaired with a container candidate, standalone elements with an element candidate
+- Use an empty string as the selector when no candidate fits
+- Return one repair per invalid entry, with "original" copied exactly
+
+Return JSON ONLY: {"repairs": [{"original": "invalid_selector", "selector": "candidate_selector_or_empty"}]}`;
+
+      const invalidList = invalid
+        .map(entry => `- [${entry.kind}] ${JSON.stringify(entry.selector)} label: ${JSON.stringify(entry.label)} type: ${entry.type}`)
+        .join('\n');
+
+      const user = `URL: ${domSnapshot.url}
+Title: ${domSnapshot.title}
+
+Invalid entries:
+${invalidList}
+
+Container candidates:
+${formatCandidates(candidates.containers)}
+
+Element candidates:
+${formatCandidates(candidates.standalone)}`;
+
+      return { system, user };
+    },
+
+    normalize(parsed) {
+      return {
+        repairs: normalizeResultItems(parsed.repairs, 'original')
+      };
+    }
+  },
+
+  // Final pass over a page analyzed in regions (see page.mergeTask) - dedupes and ranks the regions' results
+  merge: {
+    name: 'merge',
+    schemaName: 'page_structure',
+    schema: PAGE_STRUCTURE_SCHEMA,
+    maxOutputTokens: 4096,
+    streamProperty: 'containers',
+
+    // The merged result is cached as the page analysis itself
+    getCacheKey() {
+      return null;
+    },
+
+    buildPrompts(message, context) {
+      const { domSnapshot, regions } = message;
+      const { language } = context;
+
+      const formatItem = item => `  - ${JSON.stringify(item.selector)} label: ${JSON.stringify(item.label)} type: ${item.type}${item.y != null ? ` y=${item.y}` : ''}`;
+      const regionList = regions.map(region => `Region ${region.index + 1} (y=${region.top}-${region.bottom}px):
+ Containers:
+${region.containers.map(formatItem).join('\n') || '  (none)'}
+ Standalone:
+${region.standalone.map(formatItem).join('\n') || '  (none)'}`).join('\n\n');
+
+      const system = `You are a web page navigation assistant. A long page was analyzed in separate regions, top to bottom. Merge the regions' results into one analysis of the whole page.
+
+Rules:
+- Only use selectors from the region results, copied EXACTLY - never invent selectors
+- Drop duplicates: the same selector, or two containers covering the same section
+- Keep every distinct, useful container from every region - lower regions matter as much as the top
+- Return containers in WORKFLOW ORDER for the whole page: their order determines hint priority (the first containers get the shortest keyboard hints). Inputs and primary actions first, then results, secondary actions, navigation and utilities last
+- Maximum 5 standalone elements, skip standalone elements that sit inside a returned container
+- Keep the labels unless two containers need to be told apart${language === 'ko' ? ' - labels MUST be in Korean (한국어)' : ''}
+
+Return JSON ONLY: {"containers": [{"selector", "label", "type"}], "standalone": [{"selector", "label", "type"}]}`;
+
+      const user = `Page URL: ${domSnapshot.url}
+Page Title: ${domSnapshot.title}
+
+${regionList}`;
+
+      return { system: system + formatSiteProfilePrompt(getSiteProfile(context.siteProfiles, domSnapshot.url)), user };
+    },
+
+    normalize: normalizePageStructure
+  }
+};
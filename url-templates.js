@@ -0,0 +1,92 @@
+// URL templates for the analysis cache
+//
+// Pages that share a layout (/issues/123 and /issues/456) normalize to the same
+// template URL, so one analysis is reused across all of them. Rules:
+//   - numeric path segments become :id, UUID segments become :uuid
+//   - tracking query params (utm_*, fbclid, ...) and user-listed params are dropped
+//   - user-defined patterns per domain ("github.com /:owner/:repo/issues/*") win over
+//     the built-in rules; "*" or ":name" matches one segment, "**" the rest of the path
+
+const DEFAULT_IGNORED_QUERY_PARAMS = ['utm_*', 'fbclid', 'gclid', 'msclkid', 'mc_cid', 'mc_eid', 'ref', 'ref_src'];
+
+const UUID_SEGMENT = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const NUMERIC_SEGMENT = /^\d+$/;
+
+// Parse user-defined patterns, one "domain /path/pattern" per line
+function parseUrlTemplatePatterns(text) {
+  return (text || '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => {
+      const [domain, pattern] = line.split(/\s+/);
+      return { domain: domain.toLowerCase(), pattern: pattern || '/**' };
+    })
+    .filter(rule => rule.pattern.startsWith('/'));
+}
+
+function domainMatches(hostname, domain) {
+  return hostname === domain || hostname.endsWith('.' + domain);
+}
+
+// Match path segments against a pattern like /:owner/:repo/issues/* or /app/**
+function matchPathPattern(segments, pattern) {
+  const patternSegments = pattern.split('/').filter(Boolean);
+
+  for (let i = 0; i < patternSegments.length; i++) {
+    const part = patternSegments[i];
+    if (part === '**') return true;
+    if (i >= segments.length) return false;
+    if (part === '*' || part.startsWith(':')) continue;
+    if (part !== segments[i]) return false;
+  }
+
+  return patternSegments.length === segments.length;
+}
+
+function isIgnoredQueryParam(name, ignoredParams) {
+  return ignoredParams.some(ignored =>
+    ignored.endsWith('*') ? name.startsWith(ignored.slice(0, -1)) : name === ignored
+  );
+}
+
+function normalizePathSegment(segment) {
+  if (NUMERIC_SEGMENT.test(segment)) return ':id';
+  if (UUID_SEGMENT.test(segment)) return ':uuid';
+  return segment;
+}
+
+// Normalize a page URL to its template URL
+// rules: { enabled, patterns: [{ domain, pattern }], ignoredQueryParams: [...] }
+function normalizePageUrl(url, rules = {}) {
+  if (rules.enabled === false) return url;
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return url;
+  }
+
+  const ignoredParams = [...DEFAULT_IGNORED_QUERY_PARAMS, ...(rules.ignoredQueryParams || [])];
+  const params = Array.from(parsed.searchParams.entries())
+    .filter(([name]) => !isIgnoredQueryParam(name, ignoredParams))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = params.length ? '?' + new URLSearchParams(params).toString() : '';
+
+  const segments = parsed.pathname.split('/').filter(Boolean);
+  const hostname = parsed.hostname.toLowerCase();
+
+  const userRule = (rules.patterns || []).find(rule =>
+    domainMatches(hostname, rule.domain) && matchPathPattern(segments, rule.pattern)
+  );
+
+  const path = userRule
+    ? userRule.pattern
+    : '/' + segments.map(normalizePathSegment).join('/');
+
+  // Keep hash routes (#/inbox), drop plain anchors (#comment-12)
+  const hash = /^#!?\//.test(parsed.hash) ? parsed.hash : '';
+
+  return `${parsed.origin}${path}${query}${hash}`;
+}
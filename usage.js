@@ -0,0 +1,151 @@
+// Token usage and cost accounting
+//
+// Every provider request and cache hit is recorded in chrome.storage.local "usageRecords":
+//   { time, provider, model, task, domain, cacheHit, inputTokens, outputTokens, reasoningTokens, cost }
+// (the last USAGE_RETENTION_DAYS days, at most MAX_USAGE_RECORDS). cost is an estimate in USD
+// from MODEL_PRICING, or null for models without a known price.
+//
+// An optional daily budget ("usageBudget": { dailyLimit, action }) switches SurfMate to
+// cache-only or offline mode for the rest of the day once today's estimated cost reaches it.
+// Enforced in background.js; the popup shows the totals.
+
+const USAGE_RETENTION_DAYS = 35;
+const MAX_USAGE_RECORDS = 5000;
+const BUDGET_ACTIONS = ['cache-only', 'offline'];
+const DEFAULT_USAGE_BUDGET = { dailyLimit: 0, action: 'cache-only' }; // dailyLimit 0 = no budget
+
+// USD per million tokens { input, output } - list prices, reasoning (thinking) tokens are billed
+// as output. Local servers and fixtures are free.
+const MODEL_PRICING = {
+  'openai gpt-5.2': { input: 1.75, output: 14 },
+  'openai gpt-5.1': { input: 1.25, output: 10 },
+  'openai gpt-5-mini': { input: 0.25, output: 2 },
+  'openai o3': { input: 2, output: 8 },
+  'openai o3-mini': { input: 1.1, output: 4.4 },
+  'openai o4-mini': { input: 1.1, output: 4.4 },
+  'openai gpt-4.1': { input: 2, output: 8 },
+  'openai gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gemini gemini-3-flash-preview': { input: 0.5, output: 3 },
+  'anthropic claude-sonnet-4-5': { input: 3, output: 15 },
+  'anthropic claude-haiku-4-5': { input: 1, output: 5 },
+  'anthropic claude-opus-4-1': { input: 15, output: 75 }
+};
+const FREE_PROVIDERS = ['local', 'mock'];
+
+// Estimated cost of a request in USD, or null when the model's price is unknown
+// Adapters report reasoning tokens apart from the output tokens, so both are added up
+function estimateCost(provider, model, usage) {
+  if (FREE_PROVIDERS.includes(provider)) return 0;
+  const price = MODEL_PRICING[`${provider} ${model}`];
+  if (!price) return null;
+  const billedOutputTokens = usage.outputTokens + (usage.reasoningTokens || 0);
+  return (usage.inputTokens * price.input + billedOutputTokens * price.output) / 1e6;
+}
+
+function formatCost(cost) {
+  if (cost === null) return '$?';
+  return cost > 0 && cost < 0.01 ? '<$0.01' : `$${cost.toFixed(2)}`;
+}
+
+function formatTokenCount(count) {
+  if (count >= 1e6) return `${(count / 1e6).toFixed(1)}M`;
+  if (count >= 1e3) return `${Math.round(count / 1e3)}k`;
+  return String(count);
+}
+
+// Midnight (local time) of the day `now` is in
+function getStartOfDay(now = Date.now()) {
+  const start = new Date(now);
+  start.setHours(0, 0, 0, 0);
+  return start.getTime();
+}
+
+// Records are appended one at a time so concurrent requests don't overwrite each other
+let usageWrite = Promise.resolve();
+
+// Record one request (usage from the provider) or cache hit (no usage)
+function recordUsage({ provider, model, task, url, cacheHit = false, usage = null }) {
+  const inputTokens = usage?.inputTokens || 0;
+  const outputTokens = usage?.outputTokens || 0;
+  const reasoningTokens = usage?.reasoningTokens || 0;
+  const record = {
+    time: Date.now(),
+    provider,
+    model,
+    task,
+    domain: getCacheSite(url),
+    cacheHit,
+    inputTokens,
+    outputTokens,
+    reasoningTokens,
+    cost: cacheHit ? 0 : estimateCost(provider, model, { inputTokens, outputTokens, reasoningTokens })
+  };
+
+  usageWrite = usageWrite
+    .then(() => appendUsageRecord(record))
+    .catch(error => console.error('[SurfMate] Recording usage failed:', error));
+  return usageWrite;
+}
+
+async function appendUsageRecord(record) {
+  const { usageRecords = [] } = await chrome.storage.local.get('usageRecords');
+  const oldest = getStartOfDay(record.time) - USAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const kept = usageRecords.filter(existing => existing.time >= oldest);
+  kept.push(record);
+  await chrome.storage.local.set({ usageRecords: kept.slice(-MAX_USAGE_RECORDS) });
+}
+
+// Totals for a set of records
+function sumUsage(records) {
+  return records.reduce((total, record) => ({
+    requests: total.requests + (record.cacheHit ? 0 : 1),
+    cacheHits: total.cacheHits + (record.cacheHit ? 1 : 0),
+    inputTokens: total.inputTokens + record.inputTokens,
+    outputTokens: total.outputTokens + record.outputTokens,
+    reasoningTokens: total.reasoningTokens + record.reasoningTokens,
+    cost: total.cost + (record.cost || 0),
+    unpriced: total.unpriced || record.cost === null
+  }), { requests: 0, cacheHits: 0, inputTokens: 0, outputTokens: 0, reasoningTokens: 0, cost: 0, unpriced: false });
+}
+
+// Today's and the last 7 days' totals, and the week's totals per "provider model"
+function summarizeUsage(records, now = Date.now()) {
+  const today = getStartOfDay(now);
+  const weekStart = today - 6 * 24 * 60 * 60 * 1000;
+  const week = (records || []).filter(record => record.time >= weekStart);
+
+  const byModel = {};
+  week.forEach(record => {
+    const label = `${record.provider} ${record.model}`;
+    (byModel[label] = byModel[label] || []).push(record);
+  });
+
+  return {
+    today: sumUsage(week.filter(record => record.time >= today)),
+    week: sumUsage(week),
+    models: Object.entries(byModel)
+      .map(([label, modelRecords]) => ({ label, ...sumUsage(modelRecords) }))
+      .sort((a, b) => b.cost - a.cost || b.requests - a.requests)
+  };
+}
+
+// Whether today's estimated cost has reached the daily budget
+// Returns { exceeded, action, dailyLimit, spent }
+async function getBudgetStatus() {
+  const { usageBudget, usageRecords } = await chrome.storage.local.get(['usageBudget', 'usageRecords']);
+  const budget = { ...DEFAULT_USAGE_BUDGET, ...usageBudget };
+  const spent = summarizeUsage(usageRecords).today.cost;
+
+  return {
+    exceeded: budget.dailyLimit > 0 && spent >= budget.dailyLimit,
+    action: BUDGET_ACTIONS.includes(budget.action) ? budget.action : DEFAULT_USAGE_BUDGET.action,
+    dailyLimit: budget.dailyLimit,
+    spent
+  };
+}
+
+function formatBudgetError(status) {
+  return status.action === 'offline'
+    ? `Daily budget of ${formatCost(status.dailyLimit)} reached - AI analysis is off until tomorrow`
+    : `Daily budget of ${formatCost(status.dailyLimit)} reached - only cached analyses until tomorrow`;
+}